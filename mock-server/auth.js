@@ -0,0 +1,134 @@
+// Stand-in auth backend for air-gapped installs: the same account rules as
+// the in-browser backend (src/auth/authStore.js), with accounts and the audit
+// trail kept in a JSON file and sessions as bearer tokens held in memory.
+//
+//   POST   /auth/login            { username, password } -> { user, token }
+//   GET    /auth/session          -> { user }
+//   POST   /auth/logout
+//   POST   /auth/password         { current, next } -> { user }
+//   GET    /auth/users            -> { users }              (admin)
+//   POST   /auth/users            { username, displayName, role, password } (admin)
+//   PATCH  /auth/users/:username  { displayName?, role?, disabled?, password? } (admin)
+//   DELETE /auth/users/:username  (admin)
+//   POST   /auth/audit            { action, detail } -> { entry }
+//   GET    /auth/audit?limit=n    -> { entries }            (admin)
+//
+// A session whose account must change its password gets 403 on everything
+// but /auth/session, /auth/logout and /auth/password until it does.
+import fs from 'node:fs';
+import { createAuthStore, randomHex } from '../src/auth/authStore.js';
+
+const CORS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS'
+};
+
+// localStorage-shaped view of a JSON file
+const createFileStorage = (file) => {
+  let data = {};
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    data = {};
+  }
+  return {
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => {
+      data[key] = value;
+      fs.writeFileSync(file, JSON.stringify(data));
+    }
+  };
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, { ...CORS, 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', chunk => {
+    raw += chunk;
+  });
+  req.on('end', () => {
+    try {
+      resolve(raw ? JSON.parse(raw) : {});
+    } catch {
+      reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+    }
+  });
+  req.on('error', reject);
+});
+
+export const createAuthRoutes = ({ file }) => {
+  const store = createAuthStore({ storage: createFileStorage(file) });
+  const sessions = new Map();
+
+  // `options.pendingPassword` lets a session that still has to change its
+  // password through (session check, logout, password change)
+  const actor = (req, options) => {
+    const match = /^Bearer (\S+)$/.exec(req.headers.authorization || '');
+    const username = match && sessions.get(match[1]);
+    if (!username) throw Object.assign(new Error('Session expired, sign in again'), { status: 401 });
+    return { user: store.sessionUser(username, options), token: match[1] };
+  };
+
+  const route = async (req, pathname, searchParams) => {
+    const userPath = /^\/auth\/users\/([^/]+)$/.exec(pathname);
+    const key = `${req.method} ${userPath ? '/auth/users/:username' : pathname}`;
+    switch (key) {
+      case 'POST /auth/login': {
+        const { username, password } = await readBody(req);
+        const user = store.authenticate(username, password);
+        const token = randomHex(24);
+        sessions.set(token, user.username);
+        return [200, { user, token }];
+      }
+      case 'GET /auth/session':
+        return [200, { user: actor(req, { pendingPassword: true }).user }];
+      case 'POST /auth/logout': {
+        const { user, token } = actor(req, { pendingPassword: true });
+        sessions.delete(token);
+        store.appendAudit(user, 'auth.logout');
+        return [204];
+      }
+      case 'POST /auth/password': {
+        const { current, next } = await readBody(req);
+        return [200, { user: store.changePassword(actor(req, { pendingPassword: true }).user.username, current, next) }];
+      }
+      case 'GET /auth/users':
+        return [200, { users: store.listUsers(actor(req).user) }];
+      case 'POST /auth/users':
+        return [201, { user: store.createUser(actor(req).user, await readBody(req)) }];
+      case 'PATCH /auth/users/:username':
+        return [200, { user: store.updateUser(actor(req).user, decodeURIComponent(userPath[1]), await readBody(req)) }];
+      case 'DELETE /auth/users/:username':
+        store.deleteUser(actor(req).user, decodeURIComponent(userPath[1]));
+        return [204];
+      case 'POST /auth/audit': {
+        const { action, detail } = await readBody(req);
+        if (typeof action !== 'string' || !action) throw Object.assign(new Error('action is required'), { status: 400 });
+        return [201, { entry: store.appendAudit(actor(req).user, action, detail ?? '') }];
+      }
+      case 'GET /auth/audit':
+        return [200, { entries: store.queryAudit(actor(req).user, { limit: Number(searchParams.get('limit')) || undefined }) }];
+      default:
+        return [404, { error: 'Not found' }];
+    }
+  };
+
+  // Handles /auth/* requests; returns false for anything else
+  return (req, res, pathname, searchParams) => {
+    if (!pathname.startsWith('/auth/')) return false;
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS);
+      res.end();
+      return true;
+    }
+    route(req, pathname, searchParams)
+      .then(([status, body]) => send(res, status, body))
+      .catch(err => send(res, err.status || 500, { error: err.message }));
+    return true;
+  };
+};
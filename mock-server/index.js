@@ -0,0 +1,124 @@
+// Local mock plant gateway for exercising the live feeds offline.
+//
+//   npm run mock-server              -> ws://localhost:8090/ws, http://localhost:8090/stream
+//   PORT=9000 INTERVAL=500 npm run mock-server
+//
+// GET /drop closes every open connection so the dashboard's reconnect/backoff can be tested.
+// GET /fault?idv=6 injects an IDV disturbance into the streamed simulation (idv=0 clears it).
+// POST /webhook receives the dashboard's alarm webhooks and logs them; GET /webhook lists the last ones.
+// /auth/* is the stand-in auth backend (see auth.js); AUTH_FILE sets where accounts are kept.
+import http from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer } from 'ws';
+import { createTEPSimulator } from '../src/simulation/tepSimulator.js';
+import { createAuthRoutes } from './auth.js';
+
+const PORT = Number(process.env.PORT) || 8090;
+const INTERVAL = Number(process.env.INTERVAL) || 1000;
+const AUTH_FILE = process.env.AUTH_FILE || fileURLToPath(new URL('./auth-data.json', import.meta.url));
+
+const simulator = createTEPSimulator();
+const sseClients = new Set();
+const authRoutes = createAuthRoutes({ file: AUTH_FILE });
+const WEBHOOK_LIMIT = 100;
+const webhooks = [];
+
+const server = http.createServer((req, res) => {
+  const { pathname, searchParams } = new URL(req.url, `http://${req.headers.host}`);
+
+  if (authRoutes(req, res, pathname, searchParams)) return;
+
+  if (pathname === '/stream') {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.write('retry: 1000\n\n');
+    sseClients.add(res);
+    req.on('close', () => sseClients.delete(res));
+    return;
+  }
+
+  if (pathname === '/drop') {
+    sseClients.forEach(client => client.destroy());
+    sseClients.clear();
+    wss.clients.forEach(client => client.terminate());
+    res.writeHead(200, { 'Access-Control-Allow-Origin': '*' });
+    res.end('dropped\n');
+    return;
+  }
+
+  if (pathname === '/webhook') {
+    const cors = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+    };
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, cors);
+      res.end();
+      return;
+    }
+    if (req.method === 'GET') {
+      res.writeHead(200, { ...cors, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(webhooks));
+      return;
+    }
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      try {
+        const payload = JSON.parse(raw);
+        webhooks.unshift({ receivedAt: new Date().toISOString(), payload });
+        webhooks.length = Math.min(webhooks.length, WEBHOOK_LIMIT);
+        const { event, alarm } = payload;
+        console.log(`webhook ${event}: ${alarm ? `${alarm.priority} ${alarm.type} ${alarm.sensor} = ${alarm.value}` : ''}`);
+        res.writeHead(204, cors);
+        res.end();
+      } catch {
+        res.writeHead(400, cors);
+        res.end('invalid JSON\n');
+      }
+    });
+    return;
+  }
+
+  if (pathname === '/fault') {
+    const raw = (searchParams.get('idv') || '').trim();
+    const idv = raw ? Number(raw) : NaN;
+    if (!Number.isInteger(idv) || idv < 0 || idv > 21) {
+      res.writeHead(400, { 'Access-Control-Allow-Origin': '*' });
+      res.end('idv must be an integer 0-21\n');
+      return;
+    }
+    simulator.setFault(idv);
+    res.writeHead(200, { 'Access-Control-Allow-Origin': '*' });
+    res.end(idv ? `IDV(${idv}) active\n` : 'fault cleared\n');
+    return;
+  }
+
+  res.writeHead(404);
+  res.end();
+});
+
+const wss = new WebSocketServer({ server, path: '/ws' });
+
+setInterval(() => {
+  const message = JSON.stringify(simulator.step());
+  sseClients.forEach(client => client.write(`data: ${message}\n\n`));
+  wss.clients.forEach(client => {
+    if (client.readyState === client.OPEN) client.send(message);
+  });
+}, INTERVAL);
+
+server.listen(PORT, () => {
+  console.log(`TEP mock gateway on http://localhost:${PORT}`);
+  console.log(`  WebSocket: ws://localhost:${PORT}/ws`);
+  console.log(`  SSE:       http://localhost:${PORT}/stream`);
+  console.log(`  Webhook:   http://localhost:${PORT}/webhook`);
+  console.log(`  Auth:      http://localhost:${PORT}/auth (accounts in ${AUTH_FILE})`);
+});
@@ -0,0 +1,195 @@
+import { TEP_VARIABLES } from '../catalog/tepVariables.js';
+
+export const LIMIT_TYPES = ['LOLO', 'LO', 'HI', 'HIHI'];
+export const PRIORITIES = ['high', 'medium', 'low'];
+
+const DEFAULT_PRIORITIES = { LOLO: 'high', LO: 'medium', HI: 'medium', HIHI: 'high' };
+const HISTORY_LIMIT = 2000;
+
+const isHighLimit = (type) => type === 'HI' || type === 'HIHI';
+const hasLimit = (limit) => limit !== null && limit !== undefined && limit !== '';
+const round = (value) => Number(value.toPrecision(5));
+
+// Defaults: HI/LO at ±4 sd and HIHI/LOLO at ±6 sd around the nominal
+// operating point, half an sd of deadband and a 3-sample on-delay.
+export const defaultLimits = () => Object.fromEntries(TEP_VARIABLES.map(({ id, nominal, sd }) => [id, {
+  enabled: true,
+  LOLO: round(nominal - 6 * sd),
+  LO: round(nominal - 4 * sd),
+  HI: round(nominal + 4 * sd),
+  HIHI: round(nominal + 6 * sd),
+  deadband: round(sd / 2),
+  onDelay: 3,
+  priorities: { ...DEFAULT_PRIORITIES }
+}]));
+
+// Alarm states follow ISA-18.2: an alarm is active/returned and
+// acknowledged/unacknowledged independently; it leaves the list once it has
+// returned to normal and been acknowledged. Shelved alarms keep being
+// evaluated but are excluded from counts and annunciation.
+// Alarm and event times are wall-clock (epoch ms) even for replayed samples,
+// whose timestamps are run time, so every source shares one alarm timeline.
+export const createAlarmEngine = ({ limits = defaultLimits() } = {}) => {
+  let config = limits;
+  const alarms = new Map();
+  const pending = new Map();
+  let history = [];
+  const listeners = new Set();
+
+  const notify = () => listeners.forEach(listener => listener());
+
+  const record = (alarm, event, extra = {}) => {
+    history = [{
+      time: Date.now(),
+      key: alarm.key,
+      sensorId: alarm.sensorId,
+      type: alarm.type,
+      priority: alarm.priority,
+      value: alarm.value,
+      event,
+      ...extra
+    }, ...history].slice(0, HISTORY_LIMIT);
+  };
+
+  const unshelveExpired = (now) => {
+    let changed = false;
+    alarms.forEach(alarm => {
+      if (alarm.shelvedUntil && alarm.shelvedUntil <= now) {
+        alarm.shelvedUntil = null;
+        record(alarm, 'UNSHELVE');
+        changed = true;
+      }
+    });
+    return changed;
+  };
+
+  // Alarms and on-delay counts of sensors that were disabled or lost the
+  // limit they were raised on leave the list; they could never clear
+  const removeUnconfigured = () => {
+    const configured = (key) => {
+      const [id, type] = key.split(':');
+      const cfg = config[id];
+      return Boolean(cfg && cfg.enabled && hasLimit(cfg[type]));
+    };
+    [...pending.keys()].filter(key => !configured(key)).forEach(key => pending.delete(key));
+    let changed = false;
+    alarms.forEach((alarm, key) => {
+      if (configured(key)) return;
+      alarms.delete(key);
+      record(alarm, 'REMOVED');
+      changed = true;
+    });
+    return changed;
+  };
+
+  const evaluate = (sample) => {
+    const now = Date.now();
+    let changed = removeUnconfigured();
+    if (unshelveExpired(now)) changed = true;
+
+    Object.entries(config).forEach(([id, cfg]) => {
+      const sensorId = Number(id);
+      const value = sample.values[sensorId - 1];
+      if (!cfg.enabled || value === undefined) return;
+
+      LIMIT_TYPES.forEach(type => {
+        const limit = cfg[type];
+        if (!hasLimit(limit)) return;
+
+        const key = `${sensorId}:${type}`;
+        const high = isHighLimit(type);
+        const over = high ? value > limit : value < limit;
+        const alarm = alarms.get(key);
+
+        if (alarm && alarm.active) {
+          alarm.value = value;
+          const cleared = high ? value < limit - cfg.deadband : value > limit + cfg.deadband;
+          if (!cleared) return;
+          alarm.active = false;
+          alarm.clearedAt = now;
+          record(alarm, 'CLEAR');
+          if (alarm.acked) alarms.delete(key);
+          changed = true;
+          return;
+        }
+
+        if (!over) {
+          pending.delete(key);
+          return;
+        }
+
+        const count = (pending.get(key) || 0) + 1;
+        pending.set(key, count);
+        if (count < Math.max(1, cfg.onDelay)) return;
+        pending.delete(key);
+
+        const next = alarm || { key, sensorId, type, shelvedUntil: null };
+        Object.assign(next, {
+          priority: cfg.priorities[type],
+          limit,
+          value,
+          active: true,
+          acked: false,
+          activatedAt: now,
+          clearedAt: null
+        });
+        alarms.set(key, next);
+        record(next, 'ACTIVE', { limit });
+        changed = true;
+      });
+    });
+
+    if (changed) notify();
+    return changed;
+  };
+
+  // `user` (username) is kept on operator events for accountability
+  const acknowledge = (key, user = null) => {
+    const alarm = alarms.get(key);
+    if (!alarm || alarm.acked) return;
+    alarm.acked = true;
+    record(alarm, 'ACK', { user });
+    if (!alarm.active) alarms.delete(key);
+    notify();
+  };
+
+  return {
+    evaluate,
+    acknowledge,
+    acknowledgeAll: (user = null) => {
+      [...alarms.values()].filter(a => !a.acked && !a.shelvedUntil).forEach(a => acknowledge(a.key, user));
+    },
+    shelve: (key, duration, user = null) => {
+      const alarm = alarms.get(key);
+      if (!alarm) return;
+      alarm.shelvedUntil = Date.now() + duration;
+      record(alarm, 'SHELVE', { duration, user });
+      notify();
+    },
+    unshelve: (key, user = null) => {
+      const alarm = alarms.get(key);
+      if (!alarm || !alarm.shelvedUntil) return;
+      alarm.shelvedUntil = null;
+      record(alarm, 'UNSHELVE', { user });
+      notify();
+    },
+    setLimits: (next) => {
+      config = next;
+      pending.clear();
+      removeUnconfigured();
+      notify();
+    },
+    getLimits: () => config,
+    getAlarms: () => [...alarms.values()]
+      .map(alarm => ({ ...alarm }))
+      .sort((a, b) => PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority) || b.activatedAt - a.activatedAt),
+    getHistory: () => history,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
+
+// Unacknowledged, active, unshelved alarms: what the operator still has to act on
+export const unacknowledgedActive = (alarms) => alarms.filter(a => a.active && !a.acked && !a.shelvedUntil);
@@ -0,0 +1,106 @@
+import { normalCdf } from '../monitoring/distributions.js';
+
+// Split rows into `bucketCount` equal time buckets and take min/max/mean of
+// each selected sensor. Keys follow the chart convention: `mean_${id}` and
+// `range_${id}` ([min, max], for a recharts range area).
+// Rolled-up history rows contribute their own min/max and are weighted by count.
+export const aggregateBuckets = (rows, sensorIds, bucketCount = 100) => {
+  if (rows.length === 0) return [];
+  const from = rows[0].timestamp;
+  const span = Math.max(1, rows[rows.length - 1].timestamp - from);
+  const width = span / bucketCount;
+  const buckets = [];
+
+  rows.forEach(row => {
+    const index = Math.min(bucketCount - 1, Math.floor((row.timestamp - from) / width));
+    if (!buckets[index]) {
+      buckets[index] = { timestamp: from + index * width, count: 0, stats: sensorIds.map(() => ({ min: Infinity, max: -Infinity, sum: 0 })) };
+    }
+    const bucket = buckets[index];
+    const weight = row.count ?? 1;
+    bucket.count += weight;
+    sensorIds.forEach((id, k) => {
+      const value = row.values[id - 1];
+      const stat = bucket.stats[k];
+      stat.min = Math.min(stat.min, row.min ? row.min[id - 1] : value);
+      stat.max = Math.max(stat.max, row.max ? row.max[id - 1] : value);
+      stat.sum += value * weight;
+    });
+  });
+
+  return buckets.filter(Boolean).map(bucket => {
+    const point = { timestamp: bucket.timestamp, count: bucket.count };
+    sensorIds.forEach((id, k) => {
+      const stat = bucket.stats[k];
+      point[`mean_${id}`] = stat.sum / bucket.count;
+      point[`range_${id}`] = [stat.min, stat.max];
+    });
+    return point;
+  });
+};
+
+// Histogram of `values` over `bins` equal bins; when a baseline `{ mean, std }`
+// is given each bin also carries the count expected under that normal
+// distribution, for comparison with normal operation.
+export const histogram = (values, { bins = 30, baseline } = {}) => {
+  if (values.length === 0) return [];
+  let min = values.reduce((acc, v) => Math.min(acc, v), Infinity);
+  let max = values.reduce((acc, v) => Math.max(acc, v), -Infinity);
+  if (baseline) {
+    min = Math.min(min, baseline.mean - 3 * baseline.std);
+    max = Math.max(max, baseline.mean + 3 * baseline.std);
+  }
+  if (max - min < 1e-12) {
+    min -= 0.5;
+    max += 0.5;
+  }
+  const width = (max - min) / bins;
+  const counts = new Array(bins).fill(0);
+  values.forEach(v => {
+    counts[Math.min(bins - 1, Math.floor((v - min) / width))] += 1;
+  });
+
+  return counts.map((count, i) => {
+    const x0 = min + i * width;
+    const x1 = x0 + width;
+    const bin = { x: (x0 + x1) / 2, x0, x1, count };
+    if (baseline && baseline.std > 0) {
+      const p = normalCdf((x1 - baseline.mean) / baseline.std) - normalCdf((x0 - baseline.mean) / baseline.std);
+      bin.baseline = p * values.length;
+    }
+    return bin;
+  });
+};
+
+// Pearson correlation matrix of all columns. Constant columns have no defined
+// correlation and yield null entries (1 on the diagonal).
+export const correlationMatrix = (rows) => {
+  const n = rows.length;
+  if (n < 2) return null;
+  const m = rows[0].values.length;
+  const means = new Array(m).fill(0);
+  rows.forEach(row => row.values.forEach((v, j) => { means[j] += v / n; }));
+
+  const cov = Array.from({ length: m }, () => new Array(m).fill(0));
+  rows.forEach(row => {
+    const centred = row.values.map((v, j) => v - means[j]);
+    for (let i = 0; i < m; i++) {
+      for (let j = i; j < m; j++) cov[i][j] += centred[i] * centred[j];
+    }
+  });
+
+  const std = cov.map((r, i) => Math.sqrt(r[i]));
+  return cov.map((_, i) => cov.map((__, j) => {
+    if (i === j) return 1;
+    const [a, b] = i < j ? [i, j] : [j, i];
+    const denom = std[a] * std[b];
+    return denom > 1e-12 ? cov[a][b] / denom : null;
+  }));
+};
+
+// Evenly thin rows to at most `limit` for scatter plots
+export const thin = (rows, limit) => {
+  if (rows.length <= limit) return rows;
+  const step = rows.length / limit;
+  return Array.from({ length: limit }, (_, i) => rows[Math.floor(i * step)]);
+};
@@ -0,0 +1,79 @@
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { createAuthBackend, can } from './index.js';
+
+// Survives reloads but not closing the tab
+const SESSION_KEY = 'tep.session';
+
+const AuthContext = createContext(null);
+
+const storedToken = () => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+    return stored && typeof stored.token === 'string' ? stored.token : null;
+  } catch {
+    return null;
+  }
+};
+
+export const AuthProvider = ({ children }) => {
+  const [backend] = useState(() => createAuthBackend());
+  const [session, setSession] = useState(null);
+  const [restoring, setRestoring] = useState(() => storedToken() !== null);
+
+  // Resume the tab's session if the backend still accepts it
+  useEffect(() => {
+    const token = storedToken();
+    if (token === null) return;
+    backend.restore(token)
+      .then(user => setSession(user ? { user, token } : null))
+      .catch(() => setSession(null))
+      .finally(() => setRestoring(false));
+  }, [backend]);
+
+  useEffect(() => {
+    if (restoring) return;
+    if (session) sessionStorage.setItem(SESSION_KEY, JSON.stringify({ token: session.token }));
+    else sessionStorage.removeItem(SESSION_KEY);
+  }, [session, restoring]);
+
+  const user = session ? session.user : null;
+  const token = session ? session.token : null;
+
+  const value = {
+    backend,
+    user,
+    token,
+    restoring,
+    login: async (username, password) => {
+      const next = await backend.login(username, password);
+      setSession(next);
+      return next.user;
+    },
+    logout: async () => {
+      if (token) await backend.logout(token).catch(() => {});
+      setSession(null);
+    },
+    changePassword: async (current, next) => {
+      const updated = await backend.changePassword(token, current, next);
+      setSession({ user: updated, token });
+    },
+    // Re-read the signed-in account after an admin edit; signs out if it is gone
+    refresh: async () => {
+      const updated = await backend.restore(token).catch(() => null);
+      setSession(updated ? { user: updated, token } : null);
+    },
+    can: (permission) => can(user, permission),
+    // Fire-and-forget: a failed audit write must not block the operator
+    audit: (action, detail = '') => {
+      if (token) backend.audit(token, action, detail).catch(() => {});
+    }
+  };
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) throw new Error('useAuth must be used inside <AuthProvider>');
+  return context;
+};
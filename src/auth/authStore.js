@@ -0,0 +1,225 @@
+import { sha256, toHex } from './sha256.js';
+import { ROLES, can } from './roles.js';
+
+// User accounts and the audit trail, persisted through a localStorage-like
+// `storage` ({ getItem, setItem }). Shared by the in-browser auth backend and
+// the mock server so both enforce the same rules: only admins manage users,
+// the last enabled admin cannot be removed, and every sign-in and account
+// change is written to the audit trail.
+
+const USERS_KEY = 'tep.users';
+const AUDIT_KEY = 'tep.audit';
+export const AUDIT_LIMIT = 5000;
+const HASH_ROUNDS = 5000;
+const USERNAME = /^[a-z0-9._-]{2,32}$/i;
+const MIN_PASSWORD = 6;
+
+// First start: one admin account that must pick a new password at sign-in
+const DEFAULT_ADMIN = { username: 'admin', password: 'admin', displayName: 'Administrator' };
+
+const fail = (message, status) => {
+  throw Object.assign(new Error(message), { status });
+};
+
+export const randomHex = (bytes) => toHex(crypto.getRandomValues(new Uint8Array(bytes)));
+
+// Salted, iterated SHA-256
+const hashPassword = (password, salt) => {
+  let digest = sha256(`${salt}:${password}`);
+  for (let i = 1; i < HASH_ROUNDS; i++) digest = sha256(digest);
+  return toHex(digest);
+};
+
+const credentials = (password) => {
+  const salt = randomHex(16);
+  return { salt, hash: hashPassword(password, salt) };
+};
+
+// What leaves the store: never the salt or hash
+const publicUser = ({ username, displayName, role, disabled, mustChangePassword, createdAt, lastLogin }) => ({
+  username, displayName, role, disabled, mustChangePassword, createdAt, lastLogin
+});
+
+const readJSON = (storage, key, fallback) => {
+  try {
+    const value = JSON.parse(storage.getItem(key));
+    return Array.isArray(value) ? value : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+export const createAuthStore = ({ storage }) => {
+  let users = readJSON(storage, USERS_KEY, []);
+  let audit = readJSON(storage, AUDIT_KEY, []);
+
+  const saveUsers = () => storage.setItem(USERS_KEY, JSON.stringify(users));
+
+  const record = (actor, action, detail = '') => {
+    const entry = {
+      id: randomHex(8),
+      time: Date.now(),
+      username: actor ? actor.username : null,
+      role: actor ? actor.role : null,
+      action,
+      detail: String(detail)
+    };
+    audit = [entry, ...audit].slice(0, AUDIT_LIMIT);
+    storage.setItem(AUDIT_KEY, JSON.stringify(audit));
+    return entry;
+  };
+
+  if (users.length === 0) {
+    users = [{
+      username: DEFAULT_ADMIN.username,
+      displayName: DEFAULT_ADMIN.displayName,
+      role: 'admin',
+      disabled: false,
+      mustChangePassword: true,
+      createdAt: Date.now(),
+      lastLogin: null,
+      ...credentials(DEFAULT_ADMIN.password)
+    }];
+    saveUsers();
+  }
+
+  const find = (username) => users.find(u => u.username === String(username || '').toLowerCase());
+
+  const requireAdmin = (actor) => {
+    if (!can(actor, 'users.manage')) fail('Only administrators can manage users', 403);
+  };
+
+  const checkPassword = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD) fail(`Password must be at least ${MIN_PASSWORD} characters`, 400);
+  };
+
+  const checkRole = (role) => {
+    if (!ROLES.includes(role)) fail(`Unknown role: ${role}`, 400);
+  };
+
+  // Refuse changes that would leave nobody able to manage users
+  const keepAnAdmin = (username, next) => {
+    const admins = users.filter(u => u.role === 'admin' && !u.disabled);
+    if (admins.length === 1 && admins[0].username === username && (!next || next.role !== 'admin' || next.disabled)) {
+      fail('At least one enabled admin account is required', 409);
+    }
+  };
+
+  return {
+    authenticate: (username, password) => {
+      const user = find(username);
+      if (!user || user.disabled || user.hash !== hashPassword(String(password), user.salt)) {
+        record(null, 'auth.login_failed', String(username || ''));
+        fail('Invalid username or password', 401);
+      }
+      user.lastLogin = Date.now();
+      saveUsers();
+      record(user, 'auth.login');
+      return publicUser(user);
+    },
+
+    // Current record of a signed-in user, or null once removed or disabled
+    getUser: (username) => {
+      const user = find(username);
+      return user && !user.disabled ? publicUser(user) : null;
+    },
+    // The account behind a session. Until a required password change is made
+    // the session may only change the password, be checked or sign out
+    // (`pendingPassword`); everything else is refused.
+    sessionUser: (username, { pendingPassword = false } = {}) => {
+      const user = find(username);
+      if (!user || user.disabled) fail('Session expired, sign in again', 401);
+      if (user.mustChangePassword && !pendingPassword) fail('Change your password first', 403);
+      return publicUser(user);
+    },
+
+    listUsers: (actor) => {
+      requireAdmin(actor);
+      return users.map(publicUser);
+    },
+
+    createUser: (actor, { username, displayName, role, password }) => {
+      requireAdmin(actor);
+      const name = String(username || '').trim().toLowerCase();
+      if (!USERNAME.test(name)) fail('Username: 2-32 letters, digits, ".", "_" or "-"', 400);
+      if (find(name)) fail(`User ${name} already exists`, 409);
+      checkRole(role);
+      checkPassword(password);
+      const user = {
+        username: name,
+        displayName: String(displayName || '').trim() || name,
+        role,
+        disabled: false,
+        mustChangePassword: true,
+        createdAt: Date.now(),
+        lastLogin: null,
+        ...credentials(password)
+      };
+      users = [...users, user];
+      saveUsers();
+      record(actor, 'users.create', `${name} (${role})`);
+      return publicUser(user);
+    },
+
+    // Admin edits; a new password is temporary until the user changes it
+    updateUser: (actor, username, patch) => {
+      requireAdmin(actor);
+      const user = find(username);
+      if (!user) fail(`No user ${username}`, 404);
+      const next = { ...user };
+      const changes = [];
+      if (patch.displayName !== undefined) {
+        next.displayName = String(patch.displayName).trim() || user.username;
+        changes.push(`name=${next.displayName}`);
+      }
+      if (patch.role !== undefined) {
+        checkRole(patch.role);
+        next.role = patch.role;
+        changes.push(`role=${patch.role}`);
+      }
+      if (patch.disabled !== undefined) {
+        next.disabled = Boolean(patch.disabled);
+        changes.push(next.disabled ? 'disabled' : 'enabled');
+      }
+      if (patch.password !== undefined) {
+        checkPassword(patch.password);
+        Object.assign(next, credentials(patch.password), { mustChangePassword: true });
+        changes.push('password reset');
+      }
+      keepAnAdmin(user.username, next);
+      users = users.map(u => (u === user ? next : u));
+      saveUsers();
+      record(actor, 'users.update', `${user.username}: ${changes.join(', ')}`);
+      return publicUser(next);
+    },
+
+    deleteUser: (actor, username) => {
+      requireAdmin(actor);
+      const user = find(username);
+      if (!user) fail(`No user ${username}`, 404);
+      if (user.username === actor.username) fail('You cannot delete your own account', 409);
+      keepAnAdmin(user.username, null);
+      users = users.filter(u => u !== user);
+      saveUsers();
+      record(actor, 'users.delete', user.username);
+    },
+
+    changePassword: (username, current, next) => {
+      const user = find(username);
+      if (!user || user.hash !== hashPassword(String(current), user.salt)) fail('Current password is incorrect', 401);
+      checkPassword(next);
+      if (next === current) fail('Choose a password different from the current one', 400);
+      Object.assign(user, credentials(next), { mustChangePassword: false });
+      saveUsers();
+      record(user, 'auth.password_change');
+      return publicUser(user);
+    },
+
+    appendAudit: (actor, action, detail) => record(actor, action, detail),
+
+    queryAudit: (actor, { limit = AUDIT_LIMIT } = {}) => {
+      requireAdmin(actor);
+      return audit.slice(0, limit);
+    }
+  };
+};
@@ -0,0 +1,44 @@
+// Auth backend served over HTTP (`npm run mock-server` provides a local
+// stand-in at /auth). Sessions are bearer tokens issued at sign-in.
+export const createHttpAuthBackend = ({ url }) => {
+  const base = url.replace(/\/$/, '');
+
+  const request = async (method, path, token, body) => {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    let response;
+    try {
+      response = await fetch(`${base}${path}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    } catch {
+      throw Object.assign(new Error(`Auth server unreachable (${base})`), { status: 0 });
+    }
+    const data = response.status === 204 ? null : await response.json().catch(() => null);
+    if (!response.ok) {
+      throw Object.assign(new Error((data && data.error) || `Auth server: HTTP ${response.status}`), { status: response.status });
+    }
+    return data;
+  };
+
+  const user = (username) => `/auth/users/${encodeURIComponent(username)}`;
+
+  return {
+    kind: 'http',
+    login: (username, password) => request('POST', '/auth/login', null, { username, password }),
+    // null when the server no longer knows the token (restart, user disabled)
+    restore: (token) => request('GET', '/auth/session', token)
+      .then(data => data.user)
+      .catch(err => {
+        if (err.status === 401) return null;
+        throw err;
+      }),
+    logout: (token) => request('POST', '/auth/logout', token),
+    changePassword: (token, current, next) => request('POST', '/auth/password', token, { current, next }).then(data => data.user),
+    listUsers: (token) => request('GET', '/auth/users', token).then(data => data.users),
+    createUser: (token, fields) => request('POST', '/auth/users', token, fields).then(data => data.user),
+    updateUser: (token, username, patch) => request('PATCH', user(username), token, patch).then(data => data.user),
+    deleteUser: (token, username) => request('DELETE', user(username), token),
+    audit: (token, action, detail) => request('POST', '/auth/audit', token, { action, detail }).then(data => data.entry),
+    queryAudit: (token, { limit } = {}) => request('GET', `/auth/audit${limit ? `?limit=${limit}` : ''}`, token).then(data => data.entries)
+  };
+};
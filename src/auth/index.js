@@ -0,0 +1,23 @@
+import { createLocalAuthBackend } from './localBackend.js';
+import { createHttpAuthBackend } from './httpBackend.js';
+
+export { ROLES, ROLE_LABELS, PERMISSIONS, can } from './roles.js';
+
+export const AUTH_BACKENDS = ['local', 'http'];
+
+// Picked up from .env / .env.local (see .env.example)
+export const defaultAuthConfig = {
+  kind: import.meta.env.VITE_AUTH_BACKEND || 'local',
+  url: import.meta.env.VITE_AUTH_URL || ''
+};
+
+export const createAuthBackend = (config = defaultAuthConfig) => {
+  switch (config.kind) {
+    case 'http':
+      return createHttpAuthBackend({ url: config.url || 'http://localhost:8090' });
+    case 'local':
+      return createLocalAuthBackend();
+    default:
+      throw new Error(`Unknown auth backend: ${config.kind}`);
+  }
+};
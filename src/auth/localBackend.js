@@ -0,0 +1,34 @@
+import { createAuthStore } from './authStore.js';
+
+// Accounts and audit trail kept in this browser's localStorage. The session
+// token is the username: anyone with access to the browser profile can edit
+// the stored data, so this suits a single shared HMI station, while the HTTP
+// backend keeps accounts on a server.
+export const createLocalAuthBackend = ({ storage = localStorage } = {}) => {
+  const store = createAuthStore({ storage });
+
+  const actor = (token, options) => store.sessionUser(token, options);
+
+  // Same async surface as the HTTP backend; thrown errors become rejections
+  const run = (fn) => new Promise(resolve => resolve(fn()));
+
+  return {
+    kind: 'local',
+    login: (username, password) => run(() => {
+      const user = store.authenticate(username, password);
+      return { user, token: user.username };
+    }),
+    restore: (token) => run(() => store.getUser(token)),
+    logout: (token) => run(() => {
+      const user = store.getUser(token);
+      if (user) store.appendAudit(user, 'auth.logout');
+    }),
+    changePassword: (token, current, next) => run(() => store.changePassword(actor(token, { pendingPassword: true }).username, current, next)),
+    listUsers: (token) => run(() => store.listUsers(actor(token))),
+    createUser: (token, user) => run(() => store.createUser(actor(token), user)),
+    updateUser: (token, username, patch) => run(() => store.updateUser(actor(token), username, patch)),
+    deleteUser: (token, username) => run(() => store.deleteUser(actor(token), username)),
+    audit: (token, action, detail) => run(() => store.appendAudit(actor(token), action, detail)),
+    queryAudit: (token, options) => run(() => store.queryAudit(actor(token), options))
+  };
+};
@@ -0,0 +1,26 @@
+// Roles from least to most privileged; each role inherits everything the
+// roles before it may do.
+export const ROLES = ['operator', 'engineer', 'admin'];
+
+export const ROLE_LABELS = { operator: 'Operator', engineer: 'Engineer', admin: 'Admin' };
+
+// Least privileged role allowed to perform each action
+export const PERMISSIONS = {
+  'alarms.acknowledge': 'operator',
+  'alarms.shelve': 'operator',
+  'notes.add': 'operator',
+  'replay.load': 'operator',
+  'limits.edit': 'engineer',
+  'model.train': 'engineer',
+  'settings.edit': 'engineer',
+  'faults.inject': 'engineer',
+  'history.clear': 'engineer',
+  'layouts.edit': 'engineer',
+  'layouts.assign': 'admin',
+  'users.manage': 'admin'
+};
+
+export const can = (user, permission) => Boolean(user)
+  && !user.disabled
+  && !user.mustChangePassword
+  && ROLES.indexOf(user.role) >= ROLES.indexOf(PERMISSIONS[permission]);
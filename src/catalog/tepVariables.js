@@ -0,0 +1,95 @@
+// Tennessee Eastman Process variables in dataset column order:
+// ids 1-41 are the measurements XMEAS(1)-XMEAS(41), ids 42-52 are the
+// manipulated variables XMV(1)-XMV(11). Descriptions, units and the base-case
+// operating point (`nominal`) are from Downs & Vogel (1993); `sd` is the
+// typical normal-operation spread. XMEAS(23)-XMEAS(41) are sampled analyzers.
+
+export const UNIT_OPERATIONS = [
+  { id: 'feeds', label: 'Feeds' },
+  { id: 'reactor', label: 'Reactor' },
+  { id: 'separator', label: 'Separator' },
+  { id: 'compressor', label: 'Compressor / Recycle' },
+  { id: 'stripper', label: 'Stripper' }
+];
+
+// Analyzer sampling interval and dead time in hours
+const FAST_ANALYZER = { interval: 0.1, deadTime: 0.1 };
+const SLOW_ANALYZER = { interval: 0.25, deadTime: 0.25 };
+
+const xmeas = (n, description, unit, unitOp, nominal, sd, analyzer = null) => ({
+  id: n, tag: `XMEAS(${n})`, kind: 'measured', description, unit, unitOp, nominal, sd, analyzer
+});
+const xmv = (n, description, unitOp, nominal, sd) => ({
+  id: 41 + n, tag: `XMV(${n})`, kind: 'manipulated', description, unit: '%', unitOp, nominal, sd, analyzer: null
+});
+
+export const TEP_VARIABLES = [
+  xmeas(1, 'A feed (stream 1)', 'kscmh', 'feeds', 0.25052, 0.03),
+  xmeas(2, 'D feed (stream 2)', 'kg/h', 'feeds', 3664.0, 33),
+  xmeas(3, 'E feed (stream 3)', 'kg/h', 'feeds', 4509.3, 38),
+  xmeas(4, 'A and C feed (stream 4)', 'kscmh', 'feeds', 9.3477, 0.08),
+  xmeas(5, 'Recycle flow (stream 8)', 'kscmh', 'compressor', 26.902, 0.22),
+  xmeas(6, 'Reactor feed rate (stream 6)', 'kscmh', 'reactor', 42.339, 0.2),
+  xmeas(7, 'Reactor pressure', 'kPa gauge', 'reactor', 2705.0, 6),
+  xmeas(8, 'Reactor level', '%', 'reactor', 75.0, 0.5),
+  xmeas(9, 'Reactor temperature', '°C', 'reactor', 120.4, 0.04),
+  xmeas(10, 'Purge rate (stream 9)', 'kscmh', 'compressor', 0.33712, 0.012),
+  xmeas(11, 'Product separator temperature', '°C', 'separator', 80.109, 0.12),
+  xmeas(12, 'Product separator level', '%', 'separator', 50.0, 1.0),
+  xmeas(13, 'Product separator pressure', 'kPa gauge', 'separator', 2633.7, 6),
+  xmeas(14, 'Product separator underflow (stream 10)', 'm³/h', 'separator', 25.16, 1.0),
+  xmeas(15, 'Stripper level', '%', 'stripper', 50.0, 1.0),
+  xmeas(16, 'Stripper pressure', 'kPa gauge', 'stripper', 3102.2, 6),
+  xmeas(17, 'Stripper underflow (stream 11)', 'm³/h', 'stripper', 22.949, 0.6),
+  xmeas(18, 'Stripper temperature', '°C', 'stripper', 65.731, 0.5),
+  xmeas(19, 'Stripper steam flow', 'kg/h', 'stripper', 230.31, 5),
+  xmeas(20, 'Compressor work', 'kW', 'compressor', 341.43, 1.5),
+  xmeas(21, 'Reactor cooling water outlet temperature', '°C', 'reactor', 94.599, 0.06),
+  xmeas(22, 'Separator cooling water outlet temperature', '°C', 'separator', 77.297, 0.3),
+  xmeas(23, 'Reactor feed analysis: A', 'mol%', 'reactor', 32.188, 0.2, FAST_ANALYZER),
+  xmeas(24, 'Reactor feed analysis: B', 'mol%', 'reactor', 8.8933, 0.1, FAST_ANALYZER),
+  xmeas(25, 'Reactor feed analysis: C', 'mol%', 'reactor', 26.383, 0.2, FAST_ANALYZER),
+  xmeas(26, 'Reactor feed analysis: D', 'mol%', 'reactor', 6.882, 0.07, FAST_ANALYZER),
+  xmeas(27, 'Reactor feed analysis: E', 'mol%', 'reactor', 18.776, 0.15, FAST_ANALYZER),
+  xmeas(28, 'Reactor feed analysis: F', 'mol%', 'reactor', 1.6567, 0.04, FAST_ANALYZER),
+  xmeas(29, 'Purge gas analysis: A', 'mol%', 'compressor', 32.958, 0.25, FAST_ANALYZER),
+  xmeas(30, 'Purge gas analysis: B', 'mol%', 'compressor', 13.823, 0.1, FAST_ANALYZER),
+  xmeas(31, 'Purge gas analysis: C', 'mol%', 'compressor', 23.978, 0.2, FAST_ANALYZER),
+  xmeas(32, 'Purge gas analysis: D', 'mol%', 'compressor', 1.2565, 0.03, FAST_ANALYZER),
+  xmeas(33, 'Purge gas analysis: E', 'mol%', 'compressor', 18.579, 0.15, FAST_ANALYZER),
+  xmeas(34, 'Purge gas analysis: F', 'mol%', 'compressor', 2.2633, 0.04, FAST_ANALYZER),
+  xmeas(35, 'Purge gas analysis: G', 'mol%', 'compressor', 4.8436, 0.07, FAST_ANALYZER),
+  xmeas(36, 'Purge gas analysis: H', 'mol%', 'compressor', 2.2986, 0.04, FAST_ANALYZER),
+  xmeas(37, 'Product analysis: D', 'mol%', 'stripper', 0.01787, 0.003, SLOW_ANALYZER),
+  xmeas(38, 'Product analysis: E', 'mol%', 'stripper', 0.8357, 0.02, SLOW_ANALYZER),
+  xmeas(39, 'Product analysis: F', 'mol%', 'stripper', 0.09858, 0.005, SLOW_ANALYZER),
+  xmeas(40, 'Product analysis: G', 'mol%', 'stripper', 53.724, 0.4, SLOW_ANALYZER),
+  xmeas(41, 'Product analysis: H', 'mol%', 'stripper', 43.828, 0.4, SLOW_ANALYZER),
+  xmv(1, 'D feed flow (stream 2)', 'feeds', 63.053, 0.5),
+  xmv(2, 'E feed flow (stream 3)', 'feeds', 53.98, 0.5),
+  xmv(3, 'A feed flow (stream 1)', 'feeds', 24.644, 2.5),
+  xmv(4, 'A and C feed flow (stream 4)', 'feeds', 61.302, 1.0),
+  xmv(5, 'Compressor recycle valve', 'compressor', 22.21, 1.0),
+  xmv(6, 'Purge valve (stream 9)', 'compressor', 40.064, 1.0),
+  xmv(7, 'Separator pot liquid flow (stream 10)', 'separator', 38.1, 0.8),
+  xmv(8, 'Stripper liquid product flow (stream 11)', 'stripper', 46.534, 0.8),
+  xmv(9, 'Stripper steam valve', 'stripper', 47.446, 1.0),
+  xmv(10, 'Reactor cooling water flow', 'reactor', 41.106, 0.5),
+  xmv(11, 'Condenser cooling water flow', 'separator', 18.114, 1.5)
+];
+
+// Column index (1-based id) of XMV(n)
+export const xmvId = (n) => 41 + n;
+
+export const getVariable = (id) => TEP_VARIABLES[id - 1];
+
+// Default display name: the variable's tag, e.g. XMEAS(9) or XMV(10)
+export const sensorName = (id) => TEP_VARIABLES[id - 1].tag;
+
+// Normal operating band: base case ± 3 typical standard deviations
+export const normalRange = (id) => {
+  const { nominal, sd } = TEP_VARIABLES[id - 1];
+  return { low: nominal - 3 * sd, high: nominal + 3 * sd };
+};
+
+export const unitOperationLabel = (unitOp) => UNIT_OPERATIONS.find(u => u.id === unitOp).label;
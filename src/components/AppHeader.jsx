@@ -0,0 +1,99 @@
+import React, { useRef } from 'react';
+import { AlertCircle, CheckCircle, FileUp, FileText, VolumeX } from 'lucide-react';
+import HeaderClock from './HeaderClock.jsx';
+import ConnectionStatus from './ConnectionStatus.jsx';
+import FaultIndicator from './FaultIndicator.jsx';
+
+const ALARM_TONES = {
+  NORMAL: { box: 'bg-emerald-500/10 border-emerald-500/20', text: 'text-emerald-400' },
+  WARNING: { box: 'bg-amber-500/10 border-amber-500/20', text: 'text-amber-400' },
+  CRITICAL: { box: 'bg-red-500/10 border-red-500/20', text: 'text-red-400' }
+};
+
+// Top header: view title, source and fault state, clock, report and replay
+// actions, the annunciator's Silence button and the overall alarm status
+const AppHeader = ({
+  title,
+  source,
+  connectionStatus,
+  faultState,
+  sampleTime,
+  reportError,
+  onReport,
+  replay,
+  sounding,
+  canSilence,
+  onSilence,
+  alarmStatus,
+  alertCount,
+  onOpenAlarms
+}) => {
+  const fileInput = useRef(null);
+  const tone = ALARM_TONES[alarmStatus];
+
+  return (
+    <div className="bg-slate-800 border-b border-slate-700 px-8 py-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-semibold text-white">{title}</h2>
+          <p className="text-slate-400 text-sm mt-1">Tennessee Eastman Process Monitoring</p>
+        </div>
+        <div className="flex items-center gap-6">
+          {source.injectFault && <FaultIndicator faultState={faultState} />}
+          <ConnectionStatus kind={source.kind} status={connectionStatus} />
+          <HeaderClock timeBase={source.timeBase} sampleTime={source.timeBase === 'elapsed' ? sampleTime : null} />
+          <button
+            onClick={onReport}
+            className="flex items-center gap-2 px-3 py-2 rounded-lg bg-slate-700 border border-slate-600 hover:border-slate-500 text-slate-300 text-sm transition-all"
+            title="최근 알람 전후 1시간의 사고 보고서 (HTML)"
+          >
+            <FileText className={`w-4 h-4 ${reportError ? 'text-red-400' : ''}`} />
+            Report
+          </button>
+          <button
+            onClick={() => fileInput.current.click()}
+            disabled={!replay.canLoad}
+            className="flex items-center gap-2 px-3 py-2 rounded-lg bg-slate-700 border border-slate-600 hover:border-slate-500 text-slate-300 text-sm disabled:opacity-40 disabled:pointer-events-none transition-all"
+            title={replay.error || 'Replay d00.dat … d21_te.dat or Rieth et al. CSV'}
+          >
+            <FileUp className={`w-4 h-4 ${replay.error ? 'text-red-400' : ''}`} />
+            Replay
+          </button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept=".dat,.csv,.txt"
+            className="hidden"
+            onChange={e => {
+              if (e.target.files[0]) replay.open(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+          {sounding && (
+            <button
+              onClick={onSilence}
+              disabled={!canSilence}
+              className="flex items-center gap-2 px-3 py-2 rounded-lg bg-red-500/10 border border-red-500/20 hover:border-red-500/40 text-red-400 text-sm animate-pulse disabled:opacity-40 transition-all"
+              title="경보음 정지 (새 알람이나 에스컬레이션 시 다시 울림)"
+            >
+              <VolumeX className="w-4 h-4" />
+              Silence
+            </button>
+          )}
+          <button onClick={onOpenAlarms} className={`flex items-center gap-2 px-4 py-2 rounded-lg border ${tone.box}`}>
+            {alarmStatus === 'NORMAL' ? (
+              <CheckCircle className="w-5 h-5 text-emerald-400" />
+            ) : (
+              <AlertCircle className={`w-5 h-5 ${tone.text}`} />
+            )}
+            <span className={`text-sm font-medium ${tone.text}`}>
+              System {alarmStatus}{alertCount > 0 && ` · ${alertCount} unack`}
+            </span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AppHeader;
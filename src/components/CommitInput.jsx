@@ -0,0 +1,27 @@
+import React, { useState } from 'react';
+
+// Text/number input that edits a local draft and commits on blur or Enter,
+// so half-typed values never reach the engine or settings.
+const CommitInput = ({ value, onCommit, className, type = 'text', ...props }) => {
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    if (draft === null) return;
+    onCommit(draft);
+    setDraft(null);
+  };
+
+  return (
+    <input
+      {...props}
+      type={type}
+      className={className}
+      value={draft ?? (value ?? '')}
+      onChange={e => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={e => e.key === 'Enter' && commit()}
+    />
+  );
+};
+
+export default CommitInput;
@@ -0,0 +1,59 @@
+import React, { useEffect, useState } from 'react';
+import { Wifi, WifiOff, RefreshCw, Cpu } from 'lucide-react';
+import { CONNECTION_STATES } from '../datasources/index.js';
+
+const SOURCE_LABELS = {
+  simulator: 'Simulator',
+  websocket: 'WebSocket',
+  sse: 'SSE'
+};
+
+const ConnectionStatus = ({ kind, status }) => {
+  const [now, setNow] = useState(Date.now());
+
+  // Tick only while a retry countdown is shown
+  useEffect(() => {
+    if (!status.retryAt) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, [status.retryAt]);
+
+  const label = SOURCE_LABELS[kind] || kind;
+  let Icon = Wifi;
+  let color = 'text-emerald-400';
+  let dot = 'bg-emerald-400';
+  let text = label;
+
+  if (kind === 'simulator') {
+    Icon = Cpu;
+  }
+
+  if (status.state === CONNECTION_STATES.CONNECTING) {
+    Icon = RefreshCw;
+    color = 'text-blue-400';
+    dot = 'bg-blue-400';
+    text = `${label} · connecting`;
+  } else if (status.state === CONNECTION_STATES.RECONNECTING) {
+    Icon = RefreshCw;
+    color = 'text-amber-400';
+    dot = 'bg-amber-400';
+    text = status.retryAt
+      ? `${label} · retry in ${Math.max(0, Math.ceil((status.retryAt - now) / 1000))}s (#${status.attempt})`
+      : `${label} · reconnecting (#${status.attempt})`;
+  } else if (status.state !== CONNECTION_STATES.OPEN) {
+    Icon = WifiOff;
+    color = 'text-slate-500';
+    dot = 'bg-slate-500';
+    text = `${label} · offline`;
+  }
+
+  return (
+    <div className={`flex items-center gap-2 ${color}`} title={status.error || undefined}>
+      <div className={`w-2 h-2 rounded-full ${dot} ${status.state === CONNECTION_STATES.OPEN ? 'animate-pulse' : ''}`}></div>
+      <Icon className={`w-4 h-4 ${status.state === CONNECTION_STATES.CONNECTING ? 'animate-spin' : ''}`} />
+      <span className="font-mono text-sm">{text}</span>
+    </div>
+  );
+};
+
+export default ConnectionStatus;
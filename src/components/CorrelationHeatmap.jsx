@@ -0,0 +1,67 @@
+import React, { useMemo, useState } from 'react';
+
+const CELL = 10;
+
+// Diverging scale: blue for -1, slate for 0, red for +1
+const cellColor = (r) => {
+  if (r === null) return '#0f172a';
+  const t = Math.min(1, Math.abs(r));
+  const [from, to] = r >= 0 ? [[51, 65, 85], [239, 68, 68]] : [[51, 65, 85], [59, 130, 246]];
+  const mix = from.map((c, i) => Math.round(c + (to[i] - c) * t));
+  return `rgb(${mix.join(',')})`;
+};
+
+// Clickable n×n correlation matrix; `onSelect(a, b)` gets the two sensor ids
+const CorrelationHeatmap = ({ matrix, selected, onSelect, sensorLabel }) => {
+  const [hover, setHover] = useState(null);
+  const n = matrix.length;
+  const size = n * CELL;
+
+  // n² cells; memoised so hovering only re-renders the readout
+  const cells = useMemo(() => matrix.map((row, i) => row.map((r, j) => (
+    <rect
+      key={`${i}-${j}`}
+      x={j * CELL}
+      y={i * CELL}
+      width={CELL}
+      height={CELL}
+      fill={cellColor(r)}
+      onMouseEnter={() => setHover([i, j])}
+      onClick={() => onSelect(i + 1, j + 1)}
+    />
+  ))), [matrix, onSelect]);
+
+  const label = hover
+    ? `${sensorLabel(hover[0] + 1)} × ${sensorLabel(hover[1] + 1)}: ${matrix[hover[0]][hover[1]] === null ? 'n/a' : matrix[hover[0]][hover[1]].toFixed(3)}`
+    : '셀을 클릭하면 산점도를 표시합니다';
+
+  return (
+    <div>
+      <svg width={size} height={size} className="cursor-crosshair" onMouseLeave={() => setHover(null)}>
+        {cells}
+        {selected && (
+          <rect
+            x={(selected[1] - 1) * CELL}
+            y={(selected[0] - 1) * CELL}
+            width={CELL}
+            height={CELL}
+            fill="none"
+            stroke="#fff"
+            strokeWidth={2}
+            pointerEvents="none"
+          />
+        )}
+      </svg>
+      <div className="flex items-center justify-between mt-3 text-xs">
+        <span className="text-slate-300 font-mono">{label}</span>
+        <span className="flex items-center gap-2 text-slate-500">
+          -1
+          <span className="w-24 h-2 rounded" style={{ background: `linear-gradient(to right, ${cellColor(-1)}, ${cellColor(0)}, ${cellColor(1)})` }}></span>
+          +1
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default CorrelationHeatmap;
@@ -0,0 +1,286 @@
+import React, { useRef, useState } from 'react';
+import { AlertCircle, Check, Copy, GripVertical, LayoutDashboard, MoveDiagonal2, Pencil, Trash2, X } from 'lucide-react';
+import { ROLES, ROLE_LABELS } from '../auth/index.js';
+import { useAuth } from '../auth/AuthContext.jsx';
+import {
+  GRID_COLUMNS, GRID_ROW, WIDGET_TYPES, addableTypes, createWidget, moveWidget, resizeWidget
+} from '../dashboard/layouts.js';
+
+const GAP = 24;
+const inputClass = 'bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-sm text-slate-300 focus:outline-none focus:border-blue-500';
+const buttonClass = 'flex items-center gap-1 px-3 py-1.5 rounded-lg bg-slate-700 border border-slate-600 hover:border-slate-500 text-slate-300 text-sm disabled:opacity-40 transition-all';
+
+// Layout picker plus, for layout editors, the edit toggle and the commands
+// that add, copy, rename and delete layouts; admins also set role defaults
+const LayoutToolbar = ({ layouts, editing, onToggleEditing }) => {
+  const { user, can, audit } = useAuth();
+  const [error, setError] = useState(null);
+  const { active, roleDefaults } = layouts;
+  const defaultFor = ROLES.filter(role => roleDefaults[role] === active.id);
+
+  const run = (fn) => {
+    setError(null);
+    try {
+      fn();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const saveAs = () => run(() => {
+    const name = window.prompt('새 레이아웃 이름', `${active.name} (copy)`);
+    if (name === null) return;
+    layouts.create(name, active.id);
+    audit('layouts.create', `${name.trim()} (from ${active.name})`);
+  });
+
+  const rename = () => run(() => {
+    const name = window.prompt('레이아웃 이름', active.name);
+    if (name === null) return;
+    layouts.rename(active.id, name);
+    audit('layouts.rename', `${active.name} → ${name.trim()}`);
+  });
+
+  const remove = () => run(() => {
+    if (!window.confirm(`${active.name} 레이아웃을 삭제할까요? 모든 사용자에게서 삭제됩니다.`)) return;
+    layouts.remove(active.id);
+    audit('layouts.delete', active.name);
+  });
+
+  const addWidget = (type) => {
+    layouts.updateWidgets(active.id, widgets => [...widgets, createWidget(type)]);
+    audit('layouts.widget_add', `${active.name}: ${WIDGET_TYPES[type].label}`);
+  };
+
+  const assign = (role) => {
+    layouts.setRoleDefault(role, active.id);
+    audit('layouts.assign', `${ROLE_LABELS[role]} → ${active.name}`);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <LayoutDashboard className="w-4 h-4 text-slate-500" />
+      <select
+        className={inputClass}
+        value={active.id}
+        onChange={e => layouts.select(e.target.value)}
+        disabled={!user}
+      >
+        {layouts.layouts.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+      </select>
+      {defaultFor.length > 0 && (
+        <span className="text-xs text-slate-500">기본: {defaultFor.map(role => ROLE_LABELS[role]).join(', ')}</span>
+      )}
+      {error && (
+        <span className="flex items-center gap-1 text-xs text-red-400"><AlertCircle className="w-3.5 h-3.5" />{error}</span>
+      )}
+
+      <div className="ml-auto flex flex-wrap items-center gap-2">
+        {editing && (
+          <>
+            <select
+              className={inputClass}
+              value=""
+              onChange={e => e.target.value && addWidget(e.target.value)}
+            >
+              <option value="">+ 위젯 추가</option>
+              {addableTypes(active.widgets).map(type => <option key={type} value={type}>{WIDGET_TYPES[type].label}</option>)}
+            </select>
+            <button onClick={rename} className={buttonClass} title="레이아웃 이름 변경">
+              <Pencil className="w-4 h-4" />
+            </button>
+            <button onClick={remove} disabled={layouts.layouts.length <= 1} className={buttonClass} title="레이아웃 삭제">
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </>
+        )}
+        {can('layouts.assign') && (
+          <select className={inputClass} value="" onChange={e => e.target.value && assign(e.target.value)}>
+            <option value="">역할 기본값으로 지정…</option>
+            {ROLES.filter(role => roleDefaults[role] !== active.id).map(role => (
+              <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+            ))}
+          </select>
+        )}
+        {can('layouts.edit') && (
+          <>
+            <button onClick={saveAs} className={buttonClass} title="현재 레이아웃을 새 이름으로 복사">
+              <Copy className="w-4 h-4" />
+              다른 이름으로 저장
+            </button>
+            <button
+              onClick={onToggleEditing}
+              className={editing
+                ? 'flex items-center gap-1 px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-500 text-white text-sm font-medium transition-all'
+                : buttonClass}
+            >
+              {editing ? <Check className="w-4 h-4" /> : <Pencil className="w-4 h-4" />}
+              {editing ? '편집 완료' : '레이아웃 편집'}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// The active layout's widgets on a 12-column grid. In edit mode a widget is
+// moved by dragging its title bar onto another widget (dropped before or
+// after it by pointer position) and resized from its bottom-right corner in
+// column and GRID_ROW steps, previewed while dragging and saved on release.
+// Every saved change is audited.
+// `renderWidget(widget)` returns the widget's content, or null when it does
+// not apply to the current data source.
+const DashboardGrid = ({ layouts, renderWidget }) => {
+  const { can, audit } = useAuth();
+  const [editingState, setEditing] = useState(false);
+  const [dragging, setDragging] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  // The widget being resized, at its in-progress size
+  const [resized, setResized] = useState(null);
+  const grid = useRef(null);
+  const resize = useRef(null);
+  const { active } = layouts;
+  const editing = editingState && can('layouts.edit');
+  const update = (fn) => layouts.updateWidgets(active.id, fn);
+  const label = (widget) => `${active.name}: ${WIDGET_TYPES[widget.type].label}`;
+
+  const startResize = (e, widget) => {
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const column = (grid.current.clientWidth + GAP) / GRID_COLUMNS;
+    resize.current = { widget, size: widget, x: e.clientX, y: e.clientY, column };
+    setResized(widget);
+  };
+
+  const moveResize = (e) => {
+    const r = resize.current;
+    if (!r) return;
+    const w = r.widget.w + Math.round((e.clientX - r.x) / r.column);
+    const h = r.widget.h === undefined ? undefined : r.widget.h + Math.round((e.clientY - r.y) / GRID_ROW);
+    const [next] = resizeWidget([r.widget], r.widget.id, { w, h });
+    if (next.w === r.size.w && next.h === r.size.h) return;
+    r.size = next;
+    setResized(next);
+  };
+
+  const endResize = () => {
+    const r = resize.current;
+    resize.current = null;
+    setResized(null);
+    if (!r || (r.size.w === r.widget.w && r.size.h === r.widget.h)) return;
+    const { id, w, h } = r.size;
+    update(widgets => resizeWidget(widgets, id, { w, h }));
+    audit('layouts.widget_resize', `${label(r.widget)} → ${w}/${GRID_COLUMNS}${h !== undefined ? ` · ${h * GRID_ROW}px` : ''}`);
+  };
+
+  const cancelResize = () => {
+    resize.current = null;
+    setResized(null);
+  };
+
+  const drop = (e, target) => {
+    e.preventDefault();
+    if (dragging && dropTarget && dragging !== target.id) {
+      update(widgets => moveWidget(widgets, dragging, target.id, dropTarget.before));
+      const moved = active.widgets.find(w => w.id === dragging);
+      if (moved) audit('layouts.widget_move', `${label(moved)} → ${dropTarget.before ? 'before' : 'after'} ${WIDGET_TYPES[target.type].label}`);
+    }
+    setDragging(null);
+    setDropTarget(null);
+  };
+
+  const removeWidget = (widget) => {
+    update(widgets => widgets.filter(w => w.id !== widget.id));
+    audit('layouts.widget_remove', label(widget));
+  };
+
+  return (
+    <div className="space-y-4">
+      <LayoutToolbar layouts={layouts} editing={editing} onToggleEditing={() => setEditing(prev => !prev)} />
+
+      <div ref={grid} className="grid grid-cols-12 gap-6" style={{ gridAutoFlow: 'row dense' }}>
+        {active.widgets.map(saved => {
+          const widget = resized && resized.id === saved.id ? resized : saved;
+          const content = renderWidget(widget);
+          if (content === null && !editing) return null;
+          const marker = dropTarget && dropTarget.id === widget.id && dragging !== widget.id
+            ? (dropTarget.before ? 'border-l-4 border-l-blue-400' : 'border-r-4 border-r-blue-400')
+            : '';
+
+          return (
+            <div
+              key={widget.id}
+              style={{ gridColumn: `span ${widget.w} / span ${widget.w}` }}
+              className={`relative min-w-0 ${editing ? `rounded-lg ring-2 ring-blue-500/30 ${marker}` : ''} ${dragging === widget.id ? 'opacity-40' : ''}`}
+              onDragOver={editing ? (e) => {
+                e.preventDefault();
+                const rect = e.currentTarget.getBoundingClientRect();
+                const before = e.clientX < rect.left + rect.width / 2;
+                if (!dropTarget || dropTarget.id !== widget.id || dropTarget.before !== before) setDropTarget({ id: widget.id, before });
+              } : undefined}
+              onDrop={editing ? (e) => drop(e, widget) : undefined}
+            >
+              {editing && (
+                <div
+                  draggable
+                  onDragStart={e => {
+                    e.dataTransfer.effectAllowed = 'move';
+                    e.dataTransfer.setData('text/plain', widget.id);
+                    e.dataTransfer.setDragImage(e.currentTarget.parentElement, 16, 16);
+                    setDragging(widget.id);
+                  }}
+                  onDragEnd={() => {
+                    setDragging(null);
+                    setDropTarget(null);
+                  }}
+                  className="absolute inset-x-0 top-0 z-10 flex items-center gap-2 px-3 py-1.5 rounded-t-lg bg-blue-600/90 text-white text-xs cursor-move"
+                >
+                  <GripVertical className="w-4 h-4" />
+                  <span className="flex-1 truncate">{WIDGET_TYPES[widget.type].label}</span>
+                  <span className="font-mono text-blue-200">{widget.w}/{GRID_COLUMNS}{widget.h !== undefined && ` · ${widget.h * GRID_ROW}px`}</span>
+                  <button
+                    onClick={() => removeWidget(saved)}
+                    className="text-blue-100 hover:text-white"
+                    title="위젯 제거"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+
+              <div className={`h-full ${editing ? 'pointer-events-none select-none' : ''}`}>
+                {content ?? (
+                  <div className="h-full min-h-[8rem] flex items-center justify-center bg-slate-800 border border-dashed border-slate-600 rounded-lg p-6 text-sm text-slate-500">
+                    {WIDGET_TYPES[widget.type].label} · 현재 데이터 소스에서는 표시되지 않습니다
+                  </div>
+                )}
+              </div>
+
+              {editing && (
+                <div
+                  onPointerDown={e => startResize(e, widget)}
+                  onPointerMove={moveResize}
+                  onPointerUp={endResize}
+                  onPointerCancel={cancelResize}
+                  className="absolute right-0 bottom-0 z-10 p-1 rounded-tl-lg rounded-br-lg bg-blue-600/90 text-white cursor-nwse-resize touch-none"
+                  title="크기 조절"
+                >
+                  <MoveDiagonal2 className="w-4 h-4" />
+                </div>
+              )}
+            </div>
+          );
+        })}
+        {active.widgets.length === 0 && (
+          <p className="col-span-12 text-sm text-slate-500 italic text-center py-12">
+            위젯이 없습니다{can('layouts.edit') ? ' · 레이아웃 편집에서 위젯을 추가하세요' : ''}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DashboardGrid;
@@ -0,0 +1,335 @@
+import React, { memo, useEffect, useMemo, useRef, useState } from 'react';
+import { ArrowUp, ArrowDown, ChevronLeft, ChevronRight, Search, MessageSquarePlus } from 'lucide-react';
+import { TEP_VARIABLES, getVariable } from '../catalog/tepVariables.js';
+import ExportButtons from './ExportButtons.jsx';
+import CommitInput from './CommitInput.jsx';
+import { useSettings } from '../settings/SettingsContext.jsx';
+import { exportDataLog } from '../export/dataExport.js';
+
+const ROW_HEIGHT = 40;
+const VIEWPORT_HEIGHT = 480;
+const OVERSCAN = 8;
+const PAGE_SIZES = [100, 1000, 10000];
+// The grid follows the growing log at most this often
+const REFRESH_INTERVAL = 1000;
+
+const STATUSES = ['Normal', 'Warning', 'Critical'];
+const STATUS_RANK = { Normal: 0, Warning: 1, Critical: 2 };
+const STATUS_STYLES = {
+  Critical: 'bg-red-500/10 text-red-400 border border-red-500/20',
+  Warning: 'bg-amber-500/10 text-amber-400 border border-amber-500/20',
+  Normal: 'bg-emerald-500/10 text-emerald-400 border border-emerald-500/20'
+};
+
+// Time-range presets, relative to the newest logged row
+const RANGE_PRESETS = [
+  { id: 'all', label: '전체', span: null },
+  { id: '1m', label: '최근 1분', span: 60 * 1000 },
+  { id: '5m', label: '최근 5분', span: 5 * 60 * 1000 },
+  { id: '15m', label: '최근 15분', span: 15 * 60 * 1000 },
+  { id: '1h', label: '최근 1시간', span: 60 * 60 * 1000 },
+  { id: 'custom', label: '직접 입력', span: null }
+];
+
+const COLUMNS = [
+  { id: 'no', label: 'No' },
+  { id: 'time', label: 'Time' },
+  { id: 'sensor', label: 'Sensor Name' },
+  { id: 'type', label: 'Type' },
+  { id: 'value', label: 'Value' },
+  { id: 'status', label: 'Status' }
+];
+
+const inputClass = 'bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-xs text-slate-300 focus:outline-none focus:border-blue-500';
+
+// <input type="datetime-local"> works in local time without a zone suffix
+const toLocalInput = (timestamp) => {
+  const d = new Date(timestamp - new Date(timestamp).getTimezoneOffset() * 60000);
+  return d.toISOString().slice(0, 19);
+};
+
+// Replay time as h:mm:ss (hours may exceed 24) to ms since the start of the run
+const parseElapsed = (text) => {
+  const parts = String(text).trim().split(':').map(Number);
+  if (parts.length === 0 || parts.length > 3 || parts.some(p => !Number.isFinite(p) || p < 0)) return null;
+  return parts.reduce((acc, p) => acc * 60 + p, 0) * 1000;
+};
+
+const formatElapsed = (ms) => {
+  const total = Math.floor(ms / 1000);
+  return `${Math.floor(total / 3600)}:${String(Math.floor((total % 3600) / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+const compareBy = (column, labels) => {
+  switch (column) {
+    case 'sensor': return (a, b) => labels[a.sensorId].localeCompare(labels[b.sensorId]) || a.no - b.no;
+    case 'type': return (a, b) => getVariable(a.sensorId).kind.localeCompare(getVariable(b.sensorId).kind) || a.no - b.no;
+    case 'value': return (a, b) => a.value - b.value || a.no - b.no;
+    case 'status': return (a, b) => STATUS_RANK[a.status] - STATUS_RANK[b.status] || a.no - b.no;
+    case 'time': return (a, b) => a.timestamp - b.timestamp || a.no - b.no;
+    default: return (a, b) => a.no - b.no;
+  }
+};
+
+// `value`, passed on at most once per `interval` ms
+const useThrottled = (value, interval) => {
+  const [current, setCurrent] = useState(value);
+  const updatedAt = useRef(0);
+
+  useEffect(() => {
+    if (value === current) return undefined;
+    const timer = setTimeout(() => {
+      updatedAt.current = Date.now();
+      setCurrent(value);
+    }, Math.max(0, updatedAt.current + interval - Date.now()));
+    return () => clearTimeout(timer);
+  }, [value, current, interval]);
+
+  return current;
+};
+
+// Sortable, filterable grid over the complete data log (a chunked log, see
+// utils/chunkedLog.js). The text and column filters are cached per chunk, so
+// a refresh only scans chunks it has not seen; the time range and sort then
+// run over the matches, and only the rows in view of the current page are
+// rendered. With `onAnnotate`, each row offers to attach an operator note to
+// its sample.
+const DataGrid = ({ log: liveLog, timeBase, onOpenSensor, onAnnotate, height = VIEWPORT_HEIGHT }) => {
+  const { settings, sensorLabel, sensorUnit } = useSettings();
+  const log = useThrottled(liveLog, REFRESH_INTERVAL);
+  const [query, setQuery] = useState('');
+  const [sensorFilter, setSensorFilter] = useState('');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [range, setRange] = useState({ preset: 'all', from: null, to: null });
+  const [sort, setSort] = useState({ column: 'no', desc: true });
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[0]);
+  const [page, setPage] = useState(0);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewport, setViewport] = useState(null);
+
+  // Labels are looked up once per render instead of once per comparison
+  const labels = useMemo(() => Object.fromEntries(TEP_VARIABLES.map(({ id }) => [id, settings.sensors[id].name])), [settings.sensors]);
+
+  // Chunk → { matches, newest } under the current column and text filters
+  const chunkMatches = useMemo(() => {
+    const cache = new WeakMap();
+    const needle = query.trim().toLowerCase();
+    const matches = (row) => {
+      if (sensorFilter && row.sensorId !== Number(sensorFilter)) return false;
+      if (statusFilter && row.status !== statusFilter) return false;
+      if (typeFilter && getVariable(row.sensorId).kind !== typeFilter) return false;
+      if (needle) {
+        const variable = getVariable(row.sensorId);
+        const text = `${labels[row.sensorId]} ${variable.tag} ${variable.description} ${row.time} ${row.value.toFixed(2)} ${row.status}`;
+        if (!text.toLowerCase().includes(needle)) return false;
+      }
+      return true;
+    };
+    return (chunk) => {
+      if (!cache.has(chunk)) {
+        cache.set(chunk, {
+          matches: chunk.filter(matches),
+          newest: chunk.reduce((acc, row) => Math.max(acc, row.timestamp), -Infinity)
+        });
+      }
+      return cache.get(chunk);
+    };
+  }, [query, sensorFilter, typeFilter, statusFilter, labels]);
+
+  const filtered = useMemo(() => {
+    const chunks = log.chunks.map(chunkMatches);
+    const newest = chunks.reduce((acc, chunk) => Math.max(acc, chunk.newest), -Infinity);
+    const preset = RANGE_PRESETS.find(p => p.id === range.preset);
+    const from = preset.span !== null ? newest - preset.span : range.preset === 'custom' ? range.from : null;
+    const to = range.preset === 'custom' ? range.to : null;
+    const matches = [];
+    chunks.forEach(chunk => chunk.matches.forEach(row => {
+      if ((from === null || row.timestamp >= from) && (to === null || row.timestamp <= to)) matches.push(row);
+    }));
+    // The log is already in row-number order
+    if (sort.column === 'no') return sort.desc ? matches.reverse() : matches;
+    const compare = compareBy(sort.column, labels);
+    return matches.sort(sort.desc ? (a, b) => compare(b, a) : compare);
+  }, [log, chunkMatches, range, sort, labels]);
+
+  const pageCount = Math.max(1, Math.ceil(filtered.length / pageSize));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageRows = filtered.slice(currentPage * pageSize, (currentPage + 1) * pageSize);
+
+  // Back to the top whenever the visible set changes shape
+  useEffect(() => {
+    setPage(0);
+  }, [query, sensorFilter, typeFilter, statusFilter, range, sort, pageSize]);
+  useEffect(() => {
+    if (viewport) viewport.scrollTop = 0;
+    setScrollTop(0);
+  }, [viewport, currentPage, query, sensorFilter, typeFilter, statusFilter, range, sort, pageSize]);
+
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(pageRows.length, Math.ceil((scrollTop + height) / ROW_HEIGHT) + OVERSCAN);
+  const visible = pageRows.slice(first, last);
+
+  const toggleSort = (column) => {
+    setSort(prev => (prev.column === column ? { column, desc: !prev.desc } : { column, desc: column === 'no' || column === 'time' }));
+  };
+
+  const elapsed = timeBase === 'elapsed';
+  const rangeInput = (key) => (elapsed ? (
+    <CommitInput
+      className={`${inputClass} w-24 font-mono`}
+      placeholder="h:mm:ss"
+      value={range[key] !== null ? formatElapsed(range[key]) : ''}
+      onCommit={v => setRange({ ...range, [key]: v.trim() ? parseElapsed(v) : null })}
+    />
+  ) : (
+    <input
+      type="datetime-local"
+      step={1}
+      className={inputClass}
+      value={range[key] !== null ? toLocalInput(range[key]) : ''}
+      onChange={e => setRange({ ...range, [key]: e.target.value ? new Date(e.target.value).getTime() : null })}
+    />
+  ));
+
+  return (
+    <div className="h-full bg-slate-800 border border-slate-700 rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-white">상세 데이터 (Data Grid/Log)</h3>
+          <p className="text-xs text-slate-500 mt-1 font-mono">
+            {filtered.length.toLocaleString()} / {log.size.toLocaleString()} rows
+          </p>
+        </div>
+        <ExportButtons
+          formats={['csv', 'json']}
+          disabled={filtered.length === 0}
+          onExport={format => exportDataLog(filtered, format, { sensorLabel, sensorUnit })}
+        />
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <div className="relative">
+          <Search className="w-3 h-3 text-slate-500 absolute left-2 top-1/2 -translate-y-1/2" />
+          <input
+            className={`${inputClass} pl-7 w-56`}
+            placeholder="검색 (이름, 태그, 설명, 값)"
+            value={query}
+            onChange={e => setQuery(e.target.value)}
+          />
+        </div>
+        <select className={inputClass} value={sensorFilter} onChange={e => setSensorFilter(e.target.value)}>
+          <option value="">모든 센서</option>
+          {TEP_VARIABLES.map(({ id }) => <option key={id} value={id}>{labels[id]}</option>)}
+        </select>
+        <select className={inputClass} value={typeFilter} onChange={e => setTypeFilter(e.target.value)}>
+          <option value="">모든 유형</option>
+          <option value="measured">측정 (XMEAS)</option>
+          <option value="manipulated">조작 (XMV)</option>
+        </select>
+        <select className={inputClass} value={statusFilter} onChange={e => setStatusFilter(e.target.value)}>
+          <option value="">모든 상태</option>
+          {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+        </select>
+        <select className={inputClass} value={range.preset} onChange={e => setRange({ ...range, preset: e.target.value })}>
+          {RANGE_PRESETS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+        </select>
+        {range.preset === 'custom' && (
+          <>
+            {rangeInput('from')}
+            <span className="text-xs text-slate-500">~</span>
+            {rangeInput('to')}
+          </>
+        )}
+      </div>
+
+      {/* Virtualized table: spacer rows stand in for everything outside the viewport */}
+      <div
+        ref={setViewport}
+        className="overflow-auto"
+        style={{ maxHeight: height }}
+        onScroll={e => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <table className="w-full">
+          <thead className="sticky top-0 bg-slate-800 z-10">
+            <tr className="border-b border-slate-700">
+              {COLUMNS.map(column => (
+                <th key={column.id} className="text-left text-sm font-medium text-slate-400 pb-3 px-4">
+                  <button onClick={() => toggleSort(column.id)} className="flex items-center gap-1 hover:text-white transition-colors">
+                    {column.label}
+                    {sort.column === column.id && (sort.desc ? <ArrowDown className="w-3 h-3" /> : <ArrowUp className="w-3 h-3" />)}
+                  </button>
+                </th>
+              ))}
+              {onAnnotate && <th className="pb-3 px-4"></th>}
+            </tr>
+          </thead>
+          <tbody>
+            {first > 0 && <tr style={{ height: first * ROW_HEIGHT }} />}
+            {visible.map(row => (
+              <tr key={row.no} style={{ height: ROW_HEIGHT }} className="border-b border-slate-700/50 hover:bg-slate-700/30 transition-colors">
+                <td className="px-4 text-sm text-slate-300 font-mono">{String(row.no).padStart(2, '0')}</td>
+                <td className="px-4 text-sm text-slate-300 font-mono">{row.time}</td>
+                <td className="px-4 text-sm font-mono">
+                  <button onClick={() => onOpenSensor(row.sensorId)} className="text-white hover:text-blue-400 transition-colors">
+                    {labels[row.sensorId]}
+                  </button>
+                </td>
+                <td className="px-4 text-xs text-slate-500 font-mono">{getVariable(row.sensorId).kind === 'measured' ? 'XMEAS' : 'XMV'}</td>
+                <td className="px-4 text-sm text-slate-300 font-mono">{row.value.toFixed(2)} {sensorUnit(row.sensorId)}</td>
+                <td className="px-4">
+                  <span className={`inline-flex items-center gap-1 px-2 py-1 rounded text-xs font-medium ${STATUS_STYLES[row.status]}`}>
+                    {row.status}
+                  </span>
+                </td>
+                {onAnnotate && (
+                  <td className="px-4 text-right">
+                    <button
+                      onClick={() => onAnnotate(row.timestamp, row.sensorId)}
+                      className="text-slate-500 hover:text-blue-400 transition-colors"
+                      title="이 시점에 운전 메모 추가"
+                    >
+                      <MessageSquarePlus className="w-4 h-4" />
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+            {last < pageRows.length && <tr style={{ height: (pageRows.length - last) * ROW_HEIGHT }} />}
+          </tbody>
+        </table>
+        {filtered.length === 0 && <p className="text-sm text-slate-500 italic text-center py-8">표시할 데이터가 없습니다</p>}
+      </div>
+
+      {/* Pagination */}
+      <div className="flex items-center justify-between mt-4 pt-4 border-t border-slate-700 text-xs text-slate-400">
+        <label className="flex items-center gap-2">
+          페이지당
+          <select className={inputClass} value={pageSize} onChange={e => setPageSize(Number(e.target.value))}>
+            {PAGE_SIZES.map(size => <option key={size} value={size}>{size.toLocaleString()}</option>)}
+          </select>
+        </label>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setPage(currentPage - 1)}
+            disabled={currentPage === 0}
+            className="p-1.5 rounded bg-slate-700 text-slate-300 hover:bg-slate-600 disabled:opacity-40 transition-all"
+          >
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          <span className="font-mono">{currentPage + 1} / {pageCount}</span>
+          <button
+            onClick={() => setPage(currentPage + 1)}
+            disabled={currentPage >= pageCount - 1}
+            className="p-1.5 rounded bg-slate-700 text-slate-300 hover:bg-slate-600 disabled:opacity-40 transition-all"
+          >
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default memo(DataGrid);
@@ -0,0 +1,185 @@
+import React, { memo, useRef } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { Brain, Cpu, FileUp, Download, Upload, HelpCircle, Database } from 'lucide-react';
+import { getFault } from '../simulation/faults.js';
+import { UNKNOWN } from '../diagnosis/faultDiagnoser.js';
+
+const CLASS_COLORS = ['#10b981', '#3b82f6', '#8b5cf6', '#f59e0b', '#ef4444', '#ec4899'];
+
+export const classLabel = (cls) => {
+  if (cls === UNKNOWN) return 'Unknown';
+  if (cls === 0) return 'Normal';
+  return `IDV(${cls})`;
+};
+
+const buttonClass = 'flex items-center justify-center gap-1.5 px-2 py-1.5 rounded-lg bg-slate-700 border border-slate-600 hover:border-slate-500 text-slate-300 text-xs transition-all disabled:opacity-50';
+
+// Fault classification of the recent sample window with confidence history.
+// `onTrainHistory` is only offered while a historian is recording.
+const DiagnosisPanel = ({
+  model, diagnosis, history, training, error, canTrain, onTrainSimulator, onTrainFiles, onTrainHistory, onImport, onExport
+}) => {
+  const trainInput = useRef(null);
+  const importInput = useRef(null);
+
+  // Chart every class that has been a top-3 candidate in the recent history
+  const charted = [];
+  if (diagnosis) {
+    diagnosis.candidates.forEach(({ cls }) => charted.push(cls));
+  }
+  if (model) {
+    model.classifier.classes
+      .filter(cls => !charted.includes(cls) && history.some(point => point[`p_${cls}`] > 0.3))
+      .forEach(cls => charted.push(cls));
+  }
+
+  const label = diagnosis ? diagnosis.label : null;
+  const fault = typeof label === 'number' && label > 0 ? getFault(label) : null;
+
+  return (
+    <div className="h-full bg-slate-800 border border-slate-700 rounded-lg p-6 flex flex-col">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-white">고장 진단 (Diagnosis)</h3>
+        <Brain className="w-5 h-5 text-purple-400" />
+      </div>
+
+      {!model && training === null && (
+        <p className="text-sm text-slate-500 italic mb-4">학습된 진단 모델이 없습니다. 시뮬레이터 데이터나 라벨된 데이터 파일로 학습하세요.</p>
+      )}
+
+      {model && (
+        <>
+          <div className="mb-4">
+            <p className={`text-2xl font-semibold font-mono ${
+              label === null ? 'text-slate-500' : label === 0 ? 'text-emerald-400' : label === UNKNOWN ? 'text-amber-400' : 'text-red-400'
+            }`}>
+              {label === null ? '--' : classLabel(label)}
+            </p>
+            <p className="text-xs text-slate-400 mt-1 h-4 truncate" title={fault ? fault.label : undefined}>
+              {fault ? fault.label : label === UNKNOWN ? 'No trained class matches the current window' : ''}
+            </p>
+          </div>
+
+          <div className="space-y-2 mb-4">
+            {diagnosis && diagnosis.candidates.map(({ cls, p }, idx) => (
+              <div key={cls}>
+                <div className="flex items-center justify-between text-xs mb-1">
+                  <span className="text-slate-300 font-mono">{classLabel(cls)}</span>
+                  <span className="text-slate-400 font-mono">{(p * 100).toFixed(1)}%</span>
+                </div>
+                <div className="w-full bg-slate-600 rounded-full h-1.5">
+                  <div
+                    className="h-1.5 rounded-full transition-all duration-200"
+                    style={{ width: `${p * 100}%`, backgroundColor: CLASS_COLORS[idx % CLASS_COLORS.length] }}
+                  ></div>
+                </div>
+              </div>
+            ))}
+            {diagnosis && diagnosis.novelty > 1 && (
+              <p className="flex items-center gap-1 text-xs text-amber-400">
+                <HelpCircle className="w-3 h-3" />
+                Out of training distribution ({diagnosis.novelty.toFixed(1)}×)
+              </p>
+            )}
+          </div>
+
+          <ResponsiveContainer width="100%" height={140}>
+            <LineChart data={history}>
+              <XAxis dataKey="time" hide />
+              <YAxis domain={[0, 1]} stroke="#64748b" tick={{ fontSize: 10, fill: '#64748b' }} width={28} />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' }}
+                itemStyle={{ color: '#fff' }}
+                labelStyle={{ color: '#94a3b8' }}
+                formatter={(value, name) => [`${(value * 100).toFixed(1)}%`, name]}
+              />
+              {charted.map((cls, idx) => (
+                <Line
+                  key={cls}
+                  type="monotone"
+                  dataKey={`p_${cls}`}
+                  name={classLabel(cls)}
+                  stroke={CLASS_COLORS[idx % CLASS_COLORS.length]}
+                  strokeWidth={2}
+                  dot={false}
+                  isAnimationActive={false}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </>
+      )}
+
+      {training !== null && (
+        <div className="mt-3">
+          <p className="text-xs text-slate-400 mb-1">학습 중… {(training * 100).toFixed(0)}%</p>
+          <div className="w-full bg-slate-600 rounded-full h-1.5">
+            <div className="h-1.5 rounded-full bg-purple-500" style={{ width: `${training * 100}%` }}></div>
+          </div>
+        </div>
+      )}
+
+      {error && <p className="text-xs text-red-400 mt-3">{error}</p>}
+
+      <div className="mt-auto pt-4 border-t border-slate-700">
+        {model && (
+          <p className="text-xs text-slate-500 mb-3 font-mono truncate" title={model.source}>
+            {model.classifier.classes.length} classes · {model.windows} windows · train acc {(model.classifier.trainingAccuracy * 100).toFixed(0)}%
+          </p>
+        )}
+        <div className="grid grid-cols-2 gap-2">
+          <button className={buttonClass} onClick={onTrainSimulator} disabled={training !== null || !canTrain}>
+            <Cpu className="w-3.5 h-3.5" />
+            시뮬레이터 학습
+          </button>
+          <button className={buttonClass} onClick={() => trainInput.current.click()} disabled={training !== null || !canTrain}>
+            <FileUp className="w-3.5 h-3.5" />
+            파일 학습
+          </button>
+          {onTrainHistory && (
+            <button
+              className={`${buttonClass} col-span-2`}
+              onClick={onTrainHistory}
+              disabled={training !== null || !canTrain}
+              title="저장된 공정 이력을 정상 클래스로 학습 (운전 메모의 정비 · 제품 전환 · 공정 이상 구간 제외, 고장 클래스는 시뮬레이터)"
+            >
+              <Database className="w-3.5 h-3.5" />
+              이력 + 메모 학습
+            </button>
+          )}
+          <button className={buttonClass} onClick={() => importInput.current.click()} disabled={training !== null || !canTrain}>
+            <Upload className="w-3.5 h-3.5" />
+            JSON 가져오기
+          </button>
+          <button className={buttonClass} onClick={onExport} disabled={!model}>
+            <Download className="w-3.5 h-3.5" />
+            JSON 내보내기
+          </button>
+        </div>
+        <input
+          ref={trainInput}
+          type="file"
+          multiple
+          accept=".dat,.csv,.txt"
+          className="hidden"
+          onChange={e => {
+            if (e.target.files.length) onTrainFiles([...e.target.files]);
+            e.target.value = '';
+          }}
+        />
+        <input
+          ref={importInput}
+          type="file"
+          accept=".json"
+          className="hidden"
+          onChange={e => {
+            if (e.target.files[0]) onImport(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default memo(DiagnosisPanel);
@@ -0,0 +1,40 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+
+// Compact row of export buttons, one per format. `onExport(format)` may be
+// async; its error is shown next to the buttons.
+const ExportButtons = ({ formats, onExport, disabled = false }) => {
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  const run = async (format) => {
+    setBusy(format);
+    setError(null);
+    try {
+      await onExport(format);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-1">
+      {error && <span className="text-xs text-red-400 mr-2" title={error}>{error}</span>}
+      <Download className="w-4 h-4 text-slate-500 mr-1" />
+      {formats.map(format => (
+        <button
+          key={format}
+          onClick={() => run(format)}
+          disabled={disabled || busy !== null}
+          className="px-2 py-1 rounded text-xs font-mono uppercase border border-slate-600 bg-slate-700 hover:border-slate-500 text-slate-300 disabled:opacity-40 transition-all"
+        >
+          {busy === format ? '…' : format}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ExportButtons;
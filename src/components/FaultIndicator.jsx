@@ -0,0 +1,43 @@
+import React, { useEffect, useState } from 'react';
+import { Zap } from 'lucide-react';
+import { getFault } from '../simulation/faults.js';
+import { formatDuration } from '../utils/format.js';
+
+// Header badge for the disturbance currently injected into the simulator
+const FaultIndicator = ({ faultState }) => {
+  const [now, setNow] = useState(Date.now());
+  const { active, schedule } = faultState;
+
+  useEffect(() => {
+    if (!active) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [active]);
+
+  if (!active) {
+    return (
+      <div className="flex items-center gap-2 text-slate-500" title={schedule.length ? `${schedule.length} scheduled` : undefined}>
+        <Zap className="w-4 h-4" />
+        <span className="font-mono text-sm">
+          No IDV{schedule.length > 0 && ` · next IDV(${schedule[0].idv})`}
+        </span>
+      </div>
+    );
+  }
+
+  const fault = getFault(active.idv);
+  return (
+    <div
+      className="flex items-center gap-2 px-3 py-1.5 rounded-lg border bg-red-500/10 border-red-500/20 text-red-400"
+      title={fault ? fault.label : undefined}
+    >
+      <Zap className="w-4 h-4 animate-pulse" />
+      <span className="font-mono text-sm">
+        IDV({active.idv}) · {formatDuration(now - active.since)}
+        {active.until && ` / ${formatDuration(active.until - active.since)}`}
+      </span>
+    </div>
+  );
+};
+
+export default FaultIndicator;
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { Zap, CalendarClock, XCircle, X } from 'lucide-react';
+import { FAULTS, getFault } from '../simulation/faults.js';
+import { useAuth } from '../auth/AuthContext.jsx';
+
+const inputClass = 'bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-blue-500';
+
+// Operator controls for injecting IDV disturbances into the simulator
+const FaultInjectionPanel = ({ source, faultState }) => {
+  const [idv, setIdv] = useState(1);
+  const [delay, setDelay] = useState(30);
+  const [duration, setDuration] = useState(0);
+  const { can, audit } = useAuth();
+
+  const durationMs = duration > 0 ? duration * 1000 : null;
+  const canInject = can('faults.inject');
+
+  const inject = () => {
+    audit('fault.inject', `IDV(${idv})${durationMs ? ` for ${duration}s` : ''}`);
+    source.injectFault(idv, { duration: durationMs });
+  };
+
+  const schedule = () => {
+    const startAt = Date.now() + Math.max(1, delay) * 1000;
+    audit('fault.schedule', `IDV(${idv}) at ${new Date(startAt).toLocaleTimeString()}${durationMs ? ` for ${duration}s` : ''}`);
+    source.scheduleFault({ idv, startAt, duration: durationMs });
+  };
+
+  return (
+    <div className="bg-slate-800 border border-slate-700 rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-white">공정 외란 주입 (Fault Injection)</h3>
+          <p className="text-sm text-slate-400">
+            IDV(1)–IDV(21) 외란을 즉시 또는 예약하여 주입{!canInject && ' · Engineer 이상 권한 필요'}
+          </p>
+        </div>
+        {faultState.active && (
+          <button
+            onClick={() => {
+              audit('fault.clear', `IDV(${faultState.active.idv})`);
+              source.clearFault();
+            }}
+            disabled={!canInject}
+            className="flex items-center gap-2 px-3 py-2 rounded-lg border border-red-500/30 text-red-400 hover:bg-red-500/10 transition-all text-sm"
+          >
+            <XCircle className="w-4 h-4" />
+            IDV({faultState.active.idv}) 해제
+          </button>
+        )}
+      </div>
+
+      <fieldset disabled={!canInject} className="flex flex-wrap items-end gap-3 disabled:opacity-50">
+        <label className="flex flex-col gap-1 flex-1 min-w-[280px]">
+          <span className="text-xs text-slate-500">Disturbance</span>
+          <select className={inputClass} value={idv} onChange={e => setIdv(Number(e.target.value))}>
+            {FAULTS.map(f => (
+              <option key={f.idv} value={f.idv}>IDV({f.idv}) · {f.label} ({f.type})</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1 w-28">
+          <span className="text-xs text-slate-500">Duration (s, 0=∞)</span>
+          <input type="number" min="0" className={inputClass} value={duration} onChange={e => setDuration(Number(e.target.value))} />
+        </label>
+        <button
+          onClick={inject}
+          className="flex items-center gap-2 px-4 py-2 rounded-lg bg-red-500/80 hover:bg-red-500 text-white text-sm font-medium transition-all"
+        >
+          <Zap className="w-4 h-4" />
+          즉시 주입
+        </button>
+        <label className="flex flex-col gap-1 w-28">
+          <span className="text-xs text-slate-500">Start in (s)</span>
+          <input type="number" min="1" className={inputClass} value={delay} onChange={e => setDelay(Number(e.target.value))} />
+        </label>
+        <button
+          onClick={schedule}
+          className="flex items-center gap-2 px-4 py-2 rounded-lg bg-slate-700 border border-slate-600 hover:border-slate-500 text-slate-200 text-sm font-medium transition-all"
+        >
+          <CalendarClock className="w-4 h-4" />
+          예약
+        </button>
+      </fieldset>
+
+      {faultState.schedule.length > 0 && (
+        <div className="mt-4 pt-4 border-t border-slate-700 flex flex-wrap gap-2">
+          {faultState.schedule.map(entry => (
+            <div
+              key={entry.id}
+              className="flex items-center gap-2 px-3 py-2 bg-slate-700 rounded-lg border border-slate-600 text-sm"
+              title={getFault(entry.idv)?.label}
+            >
+              <CalendarClock className="w-4 h-4 text-slate-400" />
+              <span className="font-mono text-slate-300">
+                IDV({entry.idv}) @ {new Date(entry.startAt).toLocaleTimeString()}
+                {entry.duration && ` · ${entry.duration / 1000}s`}
+              </span>
+              <button
+                onClick={() => {
+                  audit('fault.cancel', `IDV(${entry.idv})`);
+                  source.cancelScheduledFault(entry.id);
+                }}
+                disabled={!canInject}
+                className="text-slate-500 hover:text-slate-300 disabled:opacity-40"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FaultInjectionPanel;
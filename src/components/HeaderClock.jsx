@@ -0,0 +1,25 @@
+import React, { memo, useEffect, useState } from 'react';
+import { Clock } from 'lucide-react';
+
+// Wall clock, or the sample time of a replayed run. Ticks on its own so the
+// rest of the dashboard does not re-render every second.
+const HeaderClock = ({ timeBase, sampleTime }) => {
+  const [now, setNow] = useState(() => new Date().toLocaleTimeString());
+
+  useEffect(() => {
+    if (timeBase === 'elapsed') return undefined;
+    const timer = setInterval(() => setNow(new Date().toLocaleTimeString()), 1000);
+    return () => clearInterval(timer);
+  }, [timeBase]);
+
+  return (
+    <div className="flex items-center gap-2 text-slate-300">
+      <Clock className="w-5 h-5" />
+      <span className="font-mono text-sm">
+        {timeBase === 'elapsed' ? `t = ${sampleTime || '--:--:--'}` : now}
+      </span>
+    </div>
+  );
+};
+
+export default memo(HeaderClock);
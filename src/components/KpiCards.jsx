@@ -0,0 +1,155 @@
+import React, { memo, useEffect, useRef, useState } from 'react';
+import { AlertCircle, CheckCircle, Shield, Bell, Timer, TrendingUp, RotateCcw, Upload } from 'lucide-react';
+import { MONITOR_PHASES } from '../monitoring/processMonitor.js';
+import { unacknowledgedActive } from '../alarms/alarmEngine.js';
+
+const formatUptime = (ms) => {
+  const diff = Math.floor(ms / 1000);
+  return `${Math.floor(diff / 3600)}h ${Math.floor((diff % 3600) / 60)}m`;
+};
+
+const valueSize = (large) => (large ? 'text-5xl' : 'text-3xl');
+const cardClass = 'h-full bg-slate-800 border border-slate-700 rounded-lg p-6';
+
+// Ticks once a second on its own instead of re-rendering the dashboard
+const Uptime = ({ since, large }) => {
+  const [uptime, setUptime] = useState(() => formatUptime(Date.now() - since));
+
+  useEffect(() => {
+    const timer = setInterval(() => setUptime(formatUptime(Date.now() - since)), 1000);
+    return () => clearInterval(timer);
+  }, [since]);
+
+  return <p className={`${valueSize(large)} font-semibold text-white font-mono`}>{uptime}</p>;
+};
+
+const statusTone = (status, normal, learning, fault) => (status === 'NORMAL' ? normal : status === 'LEARNING' ? learning : fault);
+
+// KPI cards, one dashboard widget each. `large` scales the value up for
+// wide (half-row and more) widgets.
+
+// 현재상태: PCA T² / SPE status, with reference relearn and file upload
+export const StatusCard = memo(({ monitorResult, model, canTrain, referenceError, onRelearn, onLoadReference, large }) => {
+  const referenceInput = useRef(null);
+  const monitoring = monitorResult.phase === MONITOR_PHASES.MONITORING;
+  const systemStatus = monitorResult.status;
+
+  return (
+    <div className={cardClass}>
+      <div className="flex items-start justify-between mb-4">
+        <div className={`p-3 rounded-lg ${statusTone(systemStatus, 'bg-emerald-500/10', 'bg-blue-500/10', 'bg-red-500/10')}`}>
+          <Shield className={`w-6 h-6 ${statusTone(systemStatus, 'text-emerald-400', 'text-blue-400', 'text-red-400')}`} />
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={onRelearn}
+            disabled={!canTrain}
+            className="text-slate-500 hover:text-slate-300 disabled:opacity-40 disabled:pointer-events-none"
+            title="Relearn reference from the next normal-operation samples"
+          >
+            <RotateCcw className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => referenceInput.current.click()}
+            disabled={!canTrain}
+            className={`disabled:opacity-40 disabled:pointer-events-none ${referenceError ? 'text-red-400' : 'text-slate-500 hover:text-slate-300'}`}
+            title={referenceError || 'Fit reference model from a normal-operation file (e.g. d00.dat)'}
+          >
+            <Upload className="w-4 h-4" />
+          </button>
+          <input
+            ref={referenceInput}
+            type="file"
+            accept=".dat,.csv,.txt"
+            className="hidden"
+            onChange={e => {
+              if (e.target.files[0]) onLoadReference(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+          <div className={`w-2 h-2 rounded-full animate-pulse ${statusTone(systemStatus, 'bg-emerald-400', 'bg-blue-400', 'bg-red-400')}`}></div>
+        </div>
+      </div>
+      <p className="text-slate-400 text-sm mb-1">현재상태</p>
+      <p className={`${valueSize(large)} font-semibold font-mono ${statusTone(systemStatus, 'text-emerald-400', 'text-blue-400', 'text-red-400')}`}>{systemStatus}</p>
+      {monitoring && model ? (
+        <p className="text-xs text-slate-500 mt-2 font-mono">
+          PCA {model.components} PCs · n={model.samples}
+        </p>
+      ) : (
+        <div className="mt-3 w-full bg-slate-600 rounded-full h-1.5">
+          <div
+            className="h-1.5 rounded-full bg-blue-500 transition-all duration-200"
+            style={{ width: `${monitorResult.progress * 100}%` }}
+          ></div>
+        </div>
+      )}
+    </div>
+  );
+});
+
+// 위험점수: the larger of T² and SPE as % of its control limit
+export const RiskCard = memo(({ monitorResult, large }) => {
+  const monitoring = monitorResult.phase === MONITOR_PHASES.MONITORING;
+  const riskScore = monitoring ? Math.max(monitorResult.t2Ratio, monitorResult.speRatio) * 100 : null;
+
+  return (
+    <div className={cardClass}>
+      <div className="flex items-start justify-between mb-4">
+        <div className="p-3 bg-amber-500/10 rounded-lg">
+          <TrendingUp className="w-6 h-6 text-amber-400" />
+        </div>
+        {riskScore >= 100 && <AlertCircle className="w-4 h-4 text-amber-400" />}
+      </div>
+      <p className="text-slate-400 text-sm mb-1">위험점수</p>
+      <p className={`${valueSize(large)} font-semibold font-mono ${riskScore >= 100 ? 'text-red-400' : 'text-white'}`}>
+        {monitoring ? riskScore.toFixed(0) : '--'}
+      </p>
+      {monitoring && (
+        <p className="text-xs text-slate-500 mt-2 font-mono">
+          T² {monitorResult.t2.toFixed(1)}/{monitorResult.t2Limit.toFixed(1)} · SPE {monitorResult.spe.toFixed(1)}/{monitorResult.speLimit.toFixed(1)}
+        </p>
+      )}
+    </div>
+  );
+});
+
+// 가동시간
+export const UptimeCard = memo(({ startedAt, large }) => (
+  <div className={cardClass}>
+    <div className="flex items-start justify-between mb-4">
+      <div className="p-3 bg-blue-500/10 rounded-lg">
+        <Timer className="w-6 h-6 text-blue-400" />
+      </div>
+      <CheckCircle className="w-4 h-4 text-emerald-400" />
+    </div>
+    <p className="text-slate-400 text-sm mb-1">가동시간</p>
+    <Uptime since={startedAt} large={large} />
+  </div>
+));
+
+// 알림수: unacknowledged active alarms; opens the alarm view
+export const AlarmCountCard = memo(({ alarms, onOpenAlarms, large }) => {
+  const alertCount = unacknowledgedActive(alarms).length;
+
+  return (
+    <div
+      onClick={onOpenAlarms}
+      className={`${cardClass} cursor-pointer hover:border-slate-600 transition-all`}
+    >
+      <div className="flex items-start justify-between mb-4">
+        <div className="p-3 bg-purple-500/10 rounded-lg">
+          <Bell className="w-6 h-6 text-purple-400" />
+        </div>
+        {alertCount > 0 && <AlertCircle className="w-4 h-4 text-red-400" />}
+      </div>
+      <p className="text-slate-400 text-sm mb-1">알림수</p>
+      <p className={`${valueSize(large)} font-semibold font-mono ${
+        alertCount > 0 ? 'text-red-400' : 'text-emerald-400'
+      }`}>{alertCount}</p>
+      <p className="text-xs text-slate-500 mt-2 font-mono">
+        active {alarms.filter(a => a.active).length} · shelved {alarms.filter(a => a.shelvedUntil).length}
+      </p>
+    </div>
+  );
+});
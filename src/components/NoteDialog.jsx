@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { AlertCircle, MessageSquarePlus } from 'lucide-react';
+import { TEP_VARIABLES } from '../catalog/tepVariables.js';
+import { NOTE_CATEGORIES } from '../notes/index.js';
+import { useSettings } from '../settings/SettingsContext.jsx';
+import { formatSampleTime } from '../utils/format.js';
+
+const inputClass = 'w-full bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-blue-500';
+
+const Field = ({ label, children }) => (
+  <label className="flex flex-col gap-1">
+    <span className="text-xs text-slate-500">{label}</span>
+    {children}
+  </label>
+);
+
+// Form for a note attached to one sample time (a chart point, a log row or
+// "now"). `draft` is { timestamp, sensorId }; onSave gets the entered fields
+// and throws to keep the form open with its message.
+const NoteDialog = ({ draft, timeBase, onSave, onClose }) => {
+  const { sensorLabel } = useSettings();
+  const [category, setCategory] = useState(NOTE_CATEGORIES[0].id);
+  const [sensorId, setSensorId] = useState(draft.sensorId ?? '');
+  const [minutes, setMinutes] = useState('0');
+  const [text, setText] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      await onSave({
+        timestamp: draft.timestamp,
+        category,
+        text,
+        duration: Number(minutes) * 60 * 1000,
+        sensorId: sensorId === '' ? null : Number(sensorId)
+      });
+      onClose();
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-900/70 flex items-center justify-center" onClick={onClose}>
+      <form
+        onSubmit={submit}
+        onClick={e => e.stopPropagation()}
+        className="w-[28rem] bg-slate-800 border border-slate-700 rounded-lg p-6 space-y-4"
+      >
+        <div>
+          <h3 className="text-lg font-semibold text-white">운전 메모 추가</h3>
+          <p className="text-sm text-slate-400 font-mono mt-1">
+            {timeBase === 'elapsed'
+              ? `t = ${formatSampleTime(draft.timestamp, timeBase)} (재생 중인 메모는 저장되지 않음)`
+              : new Date(draft.timestamp).toLocaleString()}
+          </p>
+        </div>
+        <div className="grid grid-cols-2 gap-3">
+          <Field label="분류">
+            <select className={inputClass} value={category} onChange={e => setCategory(e.target.value)}>
+              {NOTE_CATEGORIES.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+            </select>
+          </Field>
+          <Field label="기간 (분, 0 = 순간)">
+            <input type="number" min={0} className={inputClass} value={minutes} onChange={e => setMinutes(e.target.value)} />
+          </Field>
+        </div>
+        <Field label="센서 (선택)">
+          <select className={inputClass} value={sensorId} onChange={e => setSensorId(e.target.value)}>
+            <option value="">공정 전체</option>
+            {TEP_VARIABLES.map(({ id }) => <option key={id} value={id}>{sensorLabel(id)}</option>)}
+          </select>
+        </Field>
+        <Field label="내용">
+          <textarea className={`${inputClass} h-28 resize-none`} value={text} onChange={e => setText(e.target.value)} autoFocus />
+        </Field>
+        {error && (
+          <p className="flex items-center gap-2 text-sm text-red-400"><AlertCircle className="w-4 h-4" />{error}</p>
+        )}
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 px-4 py-2 rounded-lg bg-slate-700 border border-slate-600 hover:border-slate-500 text-slate-300 text-sm transition-all"
+          >
+            취소
+          </button>
+          <button
+            type="submit"
+            disabled={busy || !text.trim()}
+            className="flex-1 flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-blue-500 hover:bg-blue-400 text-white text-sm font-medium disabled:opacity-50 transition-all"
+          >
+            <MessageSquarePlus className="w-4 h-4" />
+            저장
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default NoteDialog;
@@ -0,0 +1,13 @@
+import React from 'react';
+import { Lock } from 'lucide-react';
+import { PERMISSIONS, ROLE_LABELS } from '../auth/index.js';
+
+// Shown above controls the signed-in role may look at but not change
+const PermissionNotice = ({ permission }) => (
+  <div className="flex items-center gap-2 px-4 py-3 rounded-lg border bg-slate-700/30 border-slate-600 text-slate-400 text-sm">
+    <Lock className="w-4 h-4" />
+    읽기 전용: {ROLE_LABELS[PERMISSIONS[permission]]} 이상 권한이 필요합니다
+  </div>
+);
+
+export default PermissionNotice;
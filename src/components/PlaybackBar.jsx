@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { Play, Pause, SkipBack, Radio, FileText } from 'lucide-react';
+import { PLAYBACK_SPEEDS } from '../datasources/replaySource.js';
+import { formatSampleTime } from '../utils/format.js';
+
+const inputClass = 'bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-blue-500';
+
+// Transport controls and timeline for a replayed benchmark dataset; switching
+// run or going back to Live needs `canSwitch` (the replay.load permission)
+const PlaybackBar = ({ source, playback, canSwitch, onSelectRun, onExit }) => {
+  const { dataset } = source;
+  const [seekTarget, setSeekTarget] = useState('');
+  const position = Math.max(0, playback.index - 1);
+  const last = Math.max(1, playback.length - 1);
+  const onsetPct = dataset.faultOnset !== null ? (dataset.faultOnset / last) * 100 : null;
+
+  const submitSeek = (e) => {
+    e.preventDefault();
+    const target = Number(seekTarget);
+    if (Number.isFinite(target)) source.seek(target);
+    setSeekTarget('');
+  };
+
+  return (
+    <div className="bg-slate-800 border border-slate-700 rounded-lg p-4 space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="flex items-center gap-2 text-slate-300 mr-auto">
+          <FileText className="w-4 h-4 text-blue-400" />
+          <span className="font-mono text-sm">{dataset.name}</span>
+          <span className="text-xs text-slate-500">
+            {dataset.faultNumber ? `IDV(${dataset.faultNumber})` : 'Normal'} · {playback.length} samples
+          </span>
+          {dataset.runs.length > 1 && (
+            <select
+              className={`${inputClass} py-1 disabled:opacity-40`}
+              value={`${dataset.run.faultNumber}:${dataset.run.simulationRun}`}
+              disabled={!canSwitch}
+              onChange={e => {
+                const [faultNumber, simulationRun] = e.target.value.split(':').map(Number);
+                onSelectRun({ faultNumber, simulationRun });
+              }}
+            >
+              {dataset.runs.map(run => (
+                <option key={`${run.faultNumber}:${run.simulationRun}`} value={`${run.faultNumber}:${run.simulationRun}`}>
+                  fault {run.faultNumber} · run {run.simulationRun}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        <button
+          onClick={() => source.seek(0)}
+          className="p-2 rounded-lg bg-slate-700 border border-slate-600 hover:border-slate-500 text-slate-300"
+          title="Rewind"
+        >
+          <SkipBack className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => (playback.playing ? source.pause() : source.play())}
+          className="p-2 rounded-lg bg-blue-500 hover:bg-blue-400 text-white"
+          title={playback.playing ? 'Pause' : 'Play'}
+        >
+          {playback.playing ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+        </button>
+        <select className={`${inputClass} py-1`} value={playback.speed} onChange={e => source.setSpeed(Number(e.target.value))}>
+          {PLAYBACK_SPEEDS.map(speed => (
+            <option key={speed} value={speed}>{speed}×</option>
+          ))}
+        </select>
+        <form onSubmit={submitSeek}>
+          <input
+            type="number"
+            min="0"
+            max={last}
+            placeholder="Go to sample"
+            className={`${inputClass} py-1 w-36`}
+            value={seekTarget}
+            onChange={e => setSeekTarget(e.target.value)}
+          />
+        </form>
+        <button
+          onClick={onExit}
+          disabled={!canSwitch}
+          className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-slate-700 border border-slate-600 hover:border-slate-500 text-slate-300 text-sm disabled:opacity-40 disabled:pointer-events-none"
+        >
+          <Radio className="w-4 h-4" />
+          Live
+        </button>
+      </div>
+
+      <div className="flex items-center gap-4">
+        <span className="font-mono text-sm text-slate-300 w-40">
+          #{position} · {formatSampleTime(position * dataset.sampleInterval, 'elapsed')}
+        </span>
+        <div className="relative flex-1">
+          {onsetPct !== null && (
+            <>
+              <div
+                className="absolute top-1/2 -translate-y-1/2 h-2 bg-red-500/20 rounded-r-full pointer-events-none"
+                style={{ left: `${onsetPct}%`, right: 0 }}
+              ></div>
+              <div
+                className="absolute -top-1 bottom-[-4px] w-0.5 bg-red-400 pointer-events-none"
+                style={{ left: `${onsetPct}%` }}
+                title={`Fault introduced at sample ${dataset.faultOnset}`}
+              ></div>
+            </>
+          )}
+          <input
+            type="range"
+            min="0"
+            max={last}
+            value={position}
+            onChange={e => source.seek(Number(e.target.value))}
+            className="relative w-full accent-blue-500"
+          />
+        </div>
+        {onsetPct !== null && (
+          <span className="text-xs text-red-400 font-mono">fault @ #{dataset.faultOnset}</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PlaybackBar;
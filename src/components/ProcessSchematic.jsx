@@ -0,0 +1,225 @@
+import React from 'react';
+import { getVariable } from '../catalog/tepVariables.js';
+import {
+  CANVAS, BOX, EQUIPMENT, STREAMS, STREAM_TAGS, INSTRUMENTS, VALVES, ANALYZERS, ANALYZER_LAYOUT
+} from '../schematic/tepFlowsheet.js';
+
+const PRIORITY_COLORS = { high: '#ef4444', medium: '#f59e0b', low: '#3b82f6' };
+const PROCESS_LINE = '#64748b';
+const UTILITY_LINE = '#0e7490';
+const EQUIPMENT_STROKE = '#94a3b8';
+const SELECTED = '#60a5fa';
+
+const formatValue = (v) => (typeof v !== 'number' || !Number.isFinite(v) ? '-' : Math.abs(v) >= 1000 ? v.toFixed(0) : v.toPrecision(4));
+
+// Unacknowledged alarms show their priority colour (pulsing), acknowledged
+// ones grey; otherwise the colour follows the T²/SPE contribution like the ranking.
+const instrumentColor = (sensor, alarms) => {
+  const own = alarms.filter(a => a.sensorId === sensor.id && a.active && !a.shelvedUntil);
+  const unack = own.find(a => !a.acked);
+  if (unack) return { color: PRIORITY_COLORS[unack.priority], pulse: true };
+  if (own.length > 0) return { color: '#94a3b8', pulse: false };
+  return { color: sensor.risk > 70 ? '#f87171' : sensor.risk > 40 ? '#fbbf24' : '#34d399', pulse: false };
+};
+
+const toPath = (points) => points.map(([x, y], idx) => `${idx === 0 ? 'M' : 'L'}${x},${y}`).join(' ');
+
+const Equipment = ({ item }) => {
+  const { x, y, width, height } = item;
+  const common = { fill: '#1e293b', stroke: EQUIPMENT_STROKE, strokeWidth: 2 };
+  if (item.shape === 'compressor') {
+    return (
+      <g>
+        <polygon points={`${x},${y + height} ${x + width},${y + height} ${x + width - 14},${y} ${x + 14},${y}`} {...common} />
+        <text x={x + width + 8} y={y + height + 16} className="fill-slate-400" fontSize={11} fontWeight={600}>{item.label}</text>
+      </g>
+    );
+  }
+  if (item.shape === 'exchanger') {
+    return (
+      <g>
+        <rect x={x} y={y} width={width} height={height} rx={item.radius} {...common} />
+        <path d={`M${x + 8},${y + height - 8} L${x + 20},${y + 8} L${x + 30},${y + height - 8} L${x + 40},${y + 8} L${x + 52},${y + height - 8}`} fill="none" stroke={UTILITY_LINE} strokeWidth={2} />
+        <text x={x - 8} y={y + height + 2} textAnchor="end" className="fill-slate-400" fontSize={11} fontWeight={600}>{item.label}</text>
+      </g>
+    );
+  }
+  if (item.shape === 'column') {
+    const trays = [];
+    // Trays above and below the vertical label
+    for (let ty = y + 60; ty < y + height - 40; ty += 28) {
+      if (Math.abs(ty - (y + height / 2)) > 70) trays.push(ty);
+    }
+    return (
+      <g>
+        <rect x={x} y={y} width={width} height={height} rx={item.radius} {...common} />
+        {trays.map(ty => <line key={ty} x1={x + 6} x2={x + width - 6} y1={ty} y2={ty} stroke="#334155" strokeWidth={1.5} />)}
+        <text
+          x={x + width / 2}
+          y={y + height / 2}
+          textAnchor="middle"
+          transform={`rotate(-90 ${x + width / 2} ${y + height / 2})`}
+          className="fill-slate-400"
+          fontSize={12}
+          fontWeight={600}
+          letterSpacing={4}
+        >
+          {item.label}
+        </text>
+      </g>
+    );
+  }
+  return (
+    <g>
+      <rect x={x} y={y} width={width} height={height} rx={item.radius} {...common} />
+      {item.id === 'reactor' ? (
+        <text x={x + width / 2} y={y + height - 16} textAnchor="middle" className="fill-slate-400" fontSize={12} fontWeight={600} letterSpacing={2}>{item.label}</text>
+      ) : (
+        <text x={x - 8} y={y + height / 2 + 4} textAnchor="end" className="fill-slate-400" fontSize={11} fontWeight={600}>{item.label}</text>
+      )}
+    </g>
+  );
+};
+
+const Valve = ({ at: [x, y], vertical }) => (
+  <polygon
+    points={vertical
+      ? `${x - 8},${y - 8} ${x + 8},${y - 8} ${x - 8},${y + 8} ${x + 8},${y + 8}`
+      : `${x - 8},${y - 8} ${x - 8},${y + 8} ${x + 8},${y - 8} ${x + 8},${y + 8}`}
+    fill="#0f172a"
+    stroke={EQUIPMENT_STROKE}
+    strokeWidth={1.5}
+  />
+);
+
+// Clickable faceplate showing a variable's tag, live value and unit
+const Instrument = ({ id, x, y, sensor, alarms, selected, sensorLabel, sensorUnit, onSelect }) => {
+  const variable = getVariable(id);
+  const { color, pulse } = instrumentColor(sensor, alarms);
+  return (
+    <g className="cursor-pointer group" onClick={e => onSelect(id, e)}>
+      <title>{`${sensorLabel(id)} · ${variable.description}`}</title>
+      {selected && (
+        <rect x={x - 3} y={y - 3} width={BOX.width + 6} height={BOX.height + 6} rx={7} fill="none" stroke={SELECTED} strokeWidth={1.5} strokeDasharray="4 3" />
+      )}
+      <rect
+        x={x}
+        y={y}
+        width={BOX.width}
+        height={BOX.height}
+        rx={5}
+        fill="#0f172a"
+        stroke={color}
+        strokeWidth={1.5}
+        className={`group-hover:fill-slate-800 ${pulse ? 'animate-pulse' : ''}`}
+      />
+      <text x={x + 6} y={y + 13} className="fill-slate-400" fontSize={10} fontFamily="ui-monospace, monospace">{variable.tag}</text>
+      <text x={x + 6} y={y + 28} fill={color} fontSize={13} fontFamily="ui-monospace, monospace" fontWeight={600}>{formatValue(sensor.value)}</text>
+      <text x={x + BOX.width - 6} y={y + 28} textAnchor="end" className="fill-slate-500" fontSize={9}>{sensorUnit(id)}</text>
+    </g>
+  );
+};
+
+// Analyzer outputs listed as rows: tag, component, value
+const AnalyzerPanel = ({ panel, sensorsById, alarms, selectedSensors, sensorLabel, onSelect }) => {
+  const { width, header, row } = ANALYZER_LAYOUT;
+  const height = header + panel.ids.length * row + 6;
+  return (
+    <g>
+      <path d={toPath(panel.tap)} fill="none" stroke={PROCESS_LINE} strokeWidth={1} strokeDasharray="3 3" />
+      <rect x={panel.x} y={panel.y} width={width} height={height} rx={6} fill="#0f172a" stroke="#334155" />
+      <text x={panel.x + 8} y={panel.y + 14} className="fill-slate-400" fontSize={10} fontWeight={600}>{panel.label}</text>
+      {panel.ids.map((id, idx) => {
+        const variable = getVariable(id);
+        const { color, pulse } = instrumentColor(sensorsById[id], alarms);
+        const top = panel.y + header + idx * row;
+        return (
+          <g key={id} className="cursor-pointer group" onClick={e => onSelect(id, e)}>
+            <title>{`${sensorLabel(id)} · ${variable.description}`}</title>
+            <rect x={panel.x + 3} y={top} width={width - 6} height={row} rx={3} fill="transparent" className="group-hover:fill-slate-800" />
+            {selectedSensors.includes(id) && <rect x={panel.x + 3} y={top + 3} width={3} height={row - 6} fill={SELECTED} />}
+            <text x={panel.x + 10} y={top + 11} className="fill-slate-400" fontSize={10} fontFamily="ui-monospace, monospace">{variable.tag}</text>
+            <text x={panel.x + 86} y={top + 11} className="fill-slate-500" fontSize={10}>{variable.description.split(': ')[1]}</text>
+            <text
+              x={panel.x + width - 10}
+              y={top + 11}
+              textAnchor="end"
+              fill={color}
+              fontSize={11}
+              fontFamily="ui-monospace, monospace"
+              fontWeight={600}
+              className={pulse ? 'animate-pulse' : ''}
+            >
+              {formatValue(sensorsById[id].value)}
+            </text>
+          </g>
+        );
+      })}
+    </g>
+  );
+};
+
+// SVG flowsheet of the Tennessee Eastman plant with every XMEAS/XMV placed
+// at its measurement point. `onSelect(id, event)` fires on instrument clicks.
+const ProcessSchematic = ({ sensors, alarms, selectedSensors, sensorLabel, sensorUnit, onSelect }) => {
+  const sensorsById = {};
+  sensors.forEach(s => {
+    sensorsById[s.id] = s;
+  });
+  const instrumentProps = (id) => ({
+    sensor: sensorsById[id], alarms, selected: selectedSensors.includes(id), sensorLabel, sensorUnit, onSelect
+  });
+
+  return (
+    <svg viewBox={`0 0 ${CANVAS.width} ${CANVAS.height}`} className="w-full h-auto select-none" role="img" aria-label="TEP process flow">
+      <defs>
+        <marker id="flow-arrow" viewBox="0 0 10 10" refX={9} refY={5} markerWidth={7} markerHeight={7} orient="auto-start-reverse">
+          <path d="M0,0 L10,5 L0,10 z" fill={PROCESS_LINE} />
+        </marker>
+        <marker id="utility-arrow" viewBox="0 0 10 10" refX={9} refY={5} markerWidth={7} markerHeight={7} orient="auto-start-reverse">
+          <path d="M0,0 L10,5 L0,10 z" fill={UTILITY_LINE} />
+        </marker>
+      </defs>
+
+      {/* Streams */}
+      {STREAMS.map(stream => (
+        <g key={stream.id}>
+          <path
+            d={toPath(stream.points)}
+            fill="none"
+            stroke={stream.utility ? UTILITY_LINE : PROCESS_LINE}
+            strokeWidth={stream.utility ? 1.5 : 2}
+            markerEnd={stream.arrow === false ? undefined : `url(#${stream.utility ? 'utility' : 'flow'}-arrow)`}
+          />
+          {stream.label && (
+            <text x={stream.labelAt[0]} y={stream.labelAt[1]} textAnchor={stream.anchor || 'start'} className="fill-slate-500" fontSize={10}>
+              {stream.label}
+            </text>
+          )}
+        </g>
+      ))}
+      {STREAM_TAGS.map(tag => (
+        <text key={tag.label} x={tag.at[0]} y={tag.at[1]} className="fill-slate-600" fontSize={10} fontWeight={600}>{tag.label}</text>
+      ))}
+
+      {EQUIPMENT.map(item => <Equipment key={item.id} item={item} />)}
+      {VALVES.map(valve => <Valve key={valve.id} at={valve.at} vertical={valve.vertical} />)}
+
+      {ANALYZERS.map(panel => (
+        <AnalyzerPanel
+          key={panel.id}
+          panel={panel}
+          sensorsById={sensorsById}
+          alarms={alarms}
+          selectedSensors={selectedSensors}
+          sensorLabel={sensorLabel}
+          onSelect={onSelect}
+        />
+      ))}
+      {INSTRUMENTS.map(inst => <Instrument key={inst.id} id={inst.id} x={inst.x} y={inst.y} {...instrumentProps(inst.id)} />)}
+      {VALVES.map(valve => <Instrument key={valve.id} id={valve.id} x={valve.box[0]} y={valve.box[1]} {...instrumentProps(valve.id)} />)}
+    </svg>
+  );
+};
+
+export default ProcessSchematic;
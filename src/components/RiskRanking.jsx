@@ -0,0 +1,102 @@
+import React, { memo, useMemo } from 'react';
+import { AlertCircle, CheckCircle, BellOff, LineChart as LineChartIcon } from 'lucide-react';
+import { getVariable } from '../catalog/tepVariables.js';
+
+const UNACK_COLORS = { high: 'text-red-400', medium: 'text-amber-400', low: 'text-blue-400' };
+
+// Ranking icon state per sensor: unacknowledged alarms pulse in their
+// priority colour, acknowledged ones turn grey and shelved ones show a muted bell
+const alarmStates = (alarms) => {
+  const states = new Map();
+  alarms.forEach(a => {
+    const current = states.get(a.sensorId);
+    if (a.active && !a.acked && !a.shelvedUntil) {
+      if (!current || !current.startsWith('unack')) states.set(a.sensorId, `unack-${a.priority}`);
+    } else if (a.active && !a.shelvedUntil) {
+      if (!current || current === 'shelved') states.set(a.sensorId, 'acked');
+    } else if (a.shelvedUntil && !current) {
+      states.set(a.sensorId, 'shelved');
+    }
+  });
+  return states;
+};
+
+const AlarmIcon = ({ state }) => {
+  if (state && state.startsWith('unack')) return <AlertCircle className={`w-4 h-4 animate-pulse ${UNACK_COLORS[state.slice(6)]}`} />;
+  if (state === 'acked') return <AlertCircle className="w-4 h-4 text-slate-400" />;
+  if (state === 'shelved') return <BellOff className="w-4 h-4 text-slate-500" />;
+  return <CheckCircle className="w-4 h-4 text-emerald-400" />;
+};
+
+const riskTone = (risk, high, mid, low) => (risk > 70 ? high : risk > 40 ? mid : low);
+
+// Rows only re-render when their own numbers change; reordering is a plain
+// list update without per-row layout animation
+const RankingRow = memo(({ id, label, risk, selected, alarmState, onOpen, onToggleChart }) => (
+  <div
+    onClick={() => onOpen(id)}
+    className={`p-3 rounded-lg border cursor-pointer transition-colors ${
+      selected ? 'bg-blue-500/10 border-blue-500/50' : 'bg-slate-700/50 border-slate-600 hover:border-slate-500'
+    }`}
+  >
+    <div className="flex items-center justify-between gap-2">
+      <span className="text-sm font-medium text-white font-mono">{label}</span>
+      <div className="flex items-center gap-2">
+        <AlarmIcon state={alarmState} />
+        <button
+          onClick={e => {
+            e.stopPropagation();
+            onToggleChart(id);
+          }}
+          className={selected ? 'text-blue-400' : 'text-slate-500 hover:text-slate-300'}
+          title={selected ? '차트에서 제거' : '차트에 추가'}
+        >
+          <LineChartIcon className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+    <p className="text-xs text-slate-500 truncate mb-2">{getVariable(id).description}</p>
+    <div className="space-y-1">
+      <div className="flex items-center justify-between text-xs">
+        <span className="text-slate-400">T²/SPE Contribution</span>
+        <span className={`font-mono ${riskTone(risk, 'text-red-400', 'text-amber-400', 'text-emerald-400')}`}>
+          {risk.toFixed(1)}%
+        </span>
+      </div>
+      <div className="w-full bg-slate-600 rounded-full h-1.5">
+        <div
+          className={`h-1.5 rounded-full transition-all duration-200 ${riskTone(risk, 'bg-red-500', 'bg-amber-500', 'bg-emerald-500')}`}
+          style={{ width: `${risk}%` }}
+        ></div>
+      </div>
+    </div>
+  </div>
+));
+
+// Sensors by T²/SPE contribution, highest first. Risk is rounded to what is
+// displayed so rows skip re-rendering on invisible changes.
+const RiskRanking = ({ sensors, count, alarms, selectedSensors, sensorLabel, onOpen, onToggleChart, height = 480 }) => {
+  const states = useMemo(() => alarmStates(alarms), [alarms]);
+
+  return (
+    <div className="h-full bg-slate-800 border border-slate-700 rounded-lg p-6">
+      <h3 className="text-lg font-semibold text-white mb-4">위험도 랭킹 (Ranking)</h3>
+      <div className="space-y-3 overflow-y-auto" style={{ maxHeight: height }}>
+        {sensors.slice(0, count).map(sensor => (
+          <RankingRow
+            key={sensor.id}
+            id={sensor.id}
+            label={sensorLabel(sensor.id)}
+            risk={Math.round(sensor.risk * 10) / 10}
+            selected={selectedSensors.includes(sensor.id)}
+            alarmState={states.get(sensor.id)}
+            onOpen={onOpen}
+            onToggleChart={onToggleChart}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default memo(RiskRanking);
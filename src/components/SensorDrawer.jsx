@@ -0,0 +1,244 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { motion } from 'framer-motion';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceArea, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { X, LineChart as LineChartIcon } from 'lucide-react';
+import { getVariable, normalRange, unitOperationLabel } from '../catalog/tepVariables.js';
+import { LIMIT_TYPES } from '../alarms/alarmEngine.js';
+import { PRIORITY_STYLES } from '../views/AlarmsView.jsx';
+import { useSettings } from '../settings/SettingsContext.jsx';
+import { formatSampleTime } from '../utils/format.js';
+import { noteMarkers } from '../notes/index.js';
+
+const TREND_SPAN = 15 * 60 * 1000;
+const TREND_REFRESH = 5000;
+const ALARM_ROWS = 20;
+
+const LIMIT_COLORS = { LOLO: '#ef4444', LO: '#f59e0b', HI: '#f59e0b', HIHI: '#ef4444' };
+
+const formatValue = (v) => (typeof v !== 'number' || !Number.isFinite(v) ? '-' : Math.abs(v) >= 1000 ? v.toFixed(1) : v.toPrecision(4));
+
+const Stat = ({ label, value, unit }) => (
+  <div className="bg-slate-700/50 rounded-lg px-3 py-2">
+    <p className="text-xs text-slate-500">{label}</p>
+    <p className="text-sm text-white font-mono">
+      {value}
+      {unit && <span className="text-slate-500 ml-1">{unit}</span>}
+    </p>
+  </div>
+);
+
+const MetaRow = ({ label, children }) => (
+  <div className="flex justify-between gap-4 py-1.5 border-b border-slate-700/50 text-sm">
+    <span className="text-slate-500">{label}</span>
+    <span className="text-slate-200 text-right">{children}</span>
+  </div>
+);
+
+// Slide-over with one variable's catalogue metadata, recent trend against its
+// normal band and alarm limits, summary statistics and alarm history. Live
+// sources read the last 15 minutes from the historian; replays use the
+// on-screen chart window. Operator notes on this sensor or the whole plant
+// are marked on the trend.
+const SensorDrawer = ({ sensorId, sensor, history, liveData, timeBase, alarmState, notes, inChart, onToggleChart, onClose }) => {
+  const { sensorLabel, sensorUnit } = useSettings();
+  const [rows, setRows] = useState([]);
+  const variable = getVariable(sensorId);
+  const band = normalRange(sensorId);
+  const limits = alarmState.limits[sensorId];
+  const unit = sensorUnit(sensorId);
+  const fromHistory = timeBase !== 'elapsed';
+
+  useEffect(() => {
+    if (!fromHistory) return undefined;
+    let cancelled = false;
+    const load = () => history.query({ from: Date.now() - TREND_SPAN })
+      .then(result => {
+        if (!cancelled) setRows(result);
+      })
+      .catch(() => {});
+    load();
+    const timer = setInterval(load, TREND_REFRESH);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [history, fromHistory, sensorId]);
+
+  const trend = useMemo(() => (fromHistory
+    ? rows.map(row => ({ time: formatSampleTime(row.timestamp), timestamp: row.timestamp, value: row.values[sensorId - 1] }))
+    : liveData.map(point => ({ time: point.time, timestamp: point.timestamp, value: point[`sensor_${sensorId}`] }))),
+  [fromHistory, rows, liveData, sensorId]);
+
+  const markers = useMemo(
+    () => noteMarkers(notes.filter(note => note.sensorId === null || note.sensorId === sensorId), trend),
+    [notes, trend, sensorId]
+  );
+
+  const stats = useMemo(() => {
+    const values = trend.map(p => p.value).filter(v => typeof v === 'number');
+    if (values.length === 0) return null;
+    const mean = values.reduce((acc, v) => acc + v, 0) / values.length;
+    const variance = values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / Math.max(1, values.length - 1);
+    return {
+      count: values.length,
+      mean,
+      std: Math.sqrt(variance),
+      min: values.reduce((acc, v) => Math.min(acc, v), Infinity),
+      max: values.reduce((acc, v) => Math.max(acc, v), -Infinity)
+    };
+  }, [trend]);
+
+  const active = alarmState.alarms.filter(a => a.sensorId === sensorId);
+  const events = alarmState.history.filter(e => e.sensorId === sensorId).slice(0, ALARM_ROWS);
+  const current = sensor ? sensor.value : null;
+
+  return (
+    <>
+      <motion.div
+        className="fixed inset-0 bg-slate-950/50 z-40"
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        onClick={onClose}
+      />
+      <motion.aside
+        className="fixed top-0 right-0 bottom-0 w-[560px] bg-slate-800 border-l border-slate-700 z-50 overflow-y-auto"
+        initial={{ x: 560 }}
+        animate={{ x: 0 }}
+        exit={{ x: 560 }}
+        transition={{ duration: 0.2 }}
+      >
+        <div className="p-6 space-y-6">
+          {/* Header */}
+          <div className="flex items-start justify-between">
+            <div>
+              <p className="text-xs text-slate-500 font-mono">{variable.tag} · column {sensorId}</p>
+              <h3 className="text-xl font-semibold text-white font-mono">{sensorLabel(sensorId)}</h3>
+              <p className="text-sm text-slate-400 mt-1">{variable.description}</p>
+            </div>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={onToggleChart}
+                className={`flex items-center gap-1 px-3 py-2 rounded-lg text-xs transition-all ${
+                  inChart ? 'bg-blue-600 text-white hover:bg-blue-500' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                }`}
+              >
+                <LineChartIcon className="w-3 h-3" />
+                {inChart ? '차트에서 제거' : '차트에 추가'}
+              </button>
+              <button onClick={onClose} className="p-2 rounded-lg text-slate-400 hover:bg-slate-700 hover:text-white">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+          </div>
+
+          {/* Current */}
+          <div className="grid grid-cols-3 gap-3">
+            <Stat label="현재값" value={formatValue(current)} unit={unit} />
+            <Stat label="기준 대비" value={current === null ? '-' : `${((current - variable.nominal) / variable.sd).toFixed(2)}σ`} />
+            <Stat label="T²/SPE 기여도" value={sensor && sensor.share !== undefined ? `${(sensor.share * 100).toFixed(1)}%` : '-'} />
+          </div>
+
+          {/* Metadata */}
+          <div>
+            <h4 className="text-sm font-semibold text-white mb-2">변수 정보</h4>
+            <MetaRow label="구분">{variable.kind === 'measured' ? '측정 변수 (XMEAS)' : '조작 변수 (XMV)'}</MetaRow>
+            <MetaRow label="공정 단위">{unitOperationLabel(variable.unitOp)}</MetaRow>
+            <MetaRow label="단위">{variable.unit}</MetaRow>
+            <MetaRow label="기준 운전점">{formatValue(variable.nominal)} {variable.unit}</MetaRow>
+            <MetaRow label="정상 범위 (±3σ)">{formatValue(band.low)} ~ {formatValue(band.high)} {variable.unit}</MetaRow>
+            {variable.analyzer && (
+              <MetaRow label="분석기">
+                샘플링 {variable.analyzer.interval * 60}분 · 지연 {variable.analyzer.deadTime * 60}분
+              </MetaRow>
+            )}
+            {limits && (
+              <MetaRow label="알람 한계">
+                {limits.enabled
+                  ? LIMIT_TYPES.filter(type => limits[type] !== null).map(type => `${type} ${formatValue(limits[type])}`).join(' · ')
+                  : '비활성'}
+              </MetaRow>
+            )}
+          </div>
+
+          {/* Trend */}
+          <div>
+            <h4 className="text-sm font-semibold text-white mb-2">
+              최근 추세 <span className="text-xs font-normal text-slate-500">{fromHistory ? '최근 15분 (이력)' : '차트 윈도우'}</span>
+            </h4>
+            {trend.length > 1 ? (
+              <ResponsiveContainer width="100%" height={220}>
+                <LineChart data={trend}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                  <XAxis dataKey="time" stroke="#64748b" tick={{ fontSize: 10, fill: '#64748b' }} minTickGap={40} />
+                  <YAxis domain={['auto', 'auto']} stroke="#64748b" tick={{ fontSize: 10, fill: '#64748b' }} tickFormatter={formatValue} width={56} />
+                  <Tooltip
+                    contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' }}
+                    itemStyle={{ color: '#fff' }}
+                    labelStyle={{ color: '#94a3b8' }}
+                    formatter={value => [`${formatValue(value)} ${unit}`.trim(), sensorLabel(sensorId)]}
+                  />
+                  <ReferenceArea y1={band.low} y2={band.high} fill="#10b981" fillOpacity={0.08} ifOverflow="hidden" />
+                  {limits && limits.enabled && LIMIT_TYPES.filter(type => limits[type] !== null).map(type => (
+                    <ReferenceLine key={type} y={limits[type]} stroke={LIMIT_COLORS[type]} strokeDasharray="4 3" ifOverflow="hidden" />
+                  ))}
+                  {markers.map(({ note, color, x1, x2 }) => (x2
+                    ? <ReferenceArea key={note.id} x1={x1} x2={x2} fill={color} fillOpacity={0.1} />
+                    : <ReferenceLine key={note.id} x={x1} stroke={color} strokeDasharray="4 2" />))}
+                  <Line type="monotone" dataKey="value" stroke="#3b82f6" strokeWidth={2} dot={false} isAnimationActive={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            ) : (
+              <p className="text-sm text-slate-500 italic">표시할 데이터가 없습니다</p>
+            )}
+          </div>
+
+          {/* Statistics */}
+          {stats && (
+            <div>
+              <h4 className="text-sm font-semibold text-white mb-2">통계 <span className="text-xs font-normal text-slate-500">{stats.count}개 샘플</span></h4>
+              <div className="grid grid-cols-4 gap-3">
+                <Stat label="평균" value={formatValue(stats.mean)} />
+                <Stat label="표준편차" value={formatValue(stats.std)} />
+                <Stat label="최소" value={formatValue(stats.min)} />
+                <Stat label="최대" value={formatValue(stats.max)} />
+              </div>
+            </div>
+          )}
+
+          {/* Alarms */}
+          <div>
+            <h4 className="text-sm font-semibold text-white mb-2">알람</h4>
+            {active.length > 0 && (
+              <div className="flex flex-wrap gap-2 mb-3">
+                {active.map(alarm => (
+                  <span key={alarm.key} className={`px-2 py-1 rounded text-xs font-medium ${PRIORITY_STYLES[alarm.priority]}`}>
+                    {alarm.type} {alarm.active ? 'ACTIVE' : 'RTN'}{alarm.acked ? '' : ' · UNACK'}{alarm.shelvedUntil ? ' · SHELVED' : ''}
+                  </span>
+                ))}
+              </div>
+            )}
+            {events.length > 0 ? (
+              <table className="w-full">
+                <tbody>
+                  {events.map((event, idx) => (
+                    <tr key={`${event.time}-${idx}`} className="border-b border-slate-700/50 text-xs font-mono">
+                      <td className="py-1.5 text-slate-400">{formatSampleTime(event.time)}</td>
+                      <td className="py-1.5 text-slate-300">{event.type}</td>
+                      <td className="py-1.5 text-slate-300">{event.event}</td>
+                      <td className="py-1.5 text-slate-400 text-right">{event.value !== undefined ? formatValue(event.value) : ''}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <p className="text-sm text-slate-500 italic">알람 이력 없음</p>
+            )}
+          </div>
+        </div>
+      </motion.aside>
+    </>
+  );
+};
+
+export default SensorDrawer;
@@ -0,0 +1,112 @@
+import React, { memo, useMemo, useState } from 'react';
+import { ChevronLeft, ChevronRight, MessageSquarePlus, Trash2 } from 'lucide-react';
+import ExportButtons from './ExportButtons.jsx';
+import { NOTE_CATEGORIES, noteCategory, shiftOf } from '../notes/index.js';
+import { useSettings } from '../settings/SettingsContext.jsx';
+import { formatSampleTime } from '../utils/format.js';
+import { exportNotes } from '../export/dataExport.js';
+
+const inputClass = 'bg-slate-700 border border-slate-600 rounded px-2 py-1 text-xs text-slate-300 focus:outline-none focus:border-blue-500';
+const navClass = 'p-1.5 rounded-lg bg-slate-700 text-slate-300 hover:bg-slate-600 disabled:opacity-40 transition-all';
+
+const formatShift = ({ start, end }) => {
+  const time = (t) => new Date(t).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return `${new Date(start).toLocaleDateString()} ${time(start)} ~ ${time(end)}`;
+};
+
+// Operator notes of one shift, newest first. Stored notes are browsed shift by
+// shift; a replayed run lists its (unsaved) session notes. `canDelete(note)`
+// decides per note whether the delete button is offered.
+const ShiftLog = ({ notes, timeBase, persistent, error, canAdd, canDelete, onAdd, onDelete, height = 320 }) => {
+  const { sensorLabel } = useSettings();
+  const [shiftStart, setShiftStart] = useState(null);
+  const [category, setCategory] = useState('');
+  const current = shiftOf(Date.now());
+  const shift = shiftStart === null ? current : shiftOf(shiftStart);
+
+  const shown = useMemo(() => notes
+    .filter(note => !persistent || (note.timestamp >= shift.start && note.timestamp < shift.end))
+    .filter(note => !category || note.category === category), [notes, persistent, shift.start, shift.end, category]);
+
+  const step = (direction) => {
+    const next = shiftOf(direction < 0 ? shift.start - 1 : shift.end);
+    setShiftStart(next.start >= current.start ? null : next.start);
+  };
+
+  return (
+    <div className="h-full bg-slate-800 border border-slate-700 rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-white">운전 일지 (Shift Log)</h3>
+          <p className="text-xs text-slate-500 mt-1 font-mono">
+            {persistent ? formatShift(shift) : '재생 세션 메모 (저장되지 않음)'} · {shown.length}건
+          </p>
+          {error && <p className="text-xs text-red-400 mt-1">{error}</p>}
+        </div>
+        <div className="flex items-center gap-2">
+          {persistent && (
+            <>
+              <button onClick={() => step(-1)} className={navClass} title="이전 근무조">
+                <ChevronLeft className="w-4 h-4" />
+              </button>
+              <button onClick={() => step(1)} disabled={shiftStart === null} className={navClass} title="다음 근무조">
+                <ChevronRight className="w-4 h-4" />
+              </button>
+            </>
+          )}
+          <select className={inputClass} value={category} onChange={e => setCategory(e.target.value)}>
+            <option value="">모든 분류</option>
+            {NOTE_CATEGORIES.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+          </select>
+          <ExportButtons
+            formats={['csv', 'json']}
+            disabled={shown.length === 0}
+            onExport={format => exportNotes(shown, format, { sensorLabel }, timeBase)}
+          />
+          <button
+            onClick={onAdd}
+            disabled={!canAdd}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-500 text-white text-xs font-medium disabled:opacity-40 transition-all"
+            title="현재 시점에 운전 메모 추가 (차트 지점이나 로그 행을 클릭해도 추가할 수 있습니다)"
+          >
+            <MessageSquarePlus className="w-3.5 h-3.5" />
+            메모
+          </button>
+        </div>
+      </div>
+
+      <div className="space-y-2 overflow-y-auto" style={{ maxHeight: height }}>
+        {[...shown].reverse().map(note => {
+          const { label, color } = noteCategory(note.category);
+          return (
+            <div key={note.id} className="flex items-start gap-3 p-3 rounded-lg bg-slate-700/50 border border-slate-600">
+              <span className="mt-1.5 w-2 h-2 rounded-full shrink-0" style={{ backgroundColor: color }}></span>
+              <div className="flex-1 min-w-0">
+                <div className="flex flex-wrap items-center gap-x-2 text-xs">
+                  <span className="font-mono text-slate-300">{formatSampleTime(note.timestamp, timeBase)}</span>
+                  {note.duration > 0 && <span className="text-slate-500">· {Math.round(note.duration / 60000)}분</span>}
+                  <span style={{ color }}>{label}</span>
+                  {note.sensorId && <span className="font-mono text-slate-400">{sensorLabel(note.sensorId)}</span>}
+                  <span className="text-slate-500 ml-auto">{note.author || '—'}</span>
+                </div>
+                <p className="text-sm text-slate-200 mt-1 whitespace-pre-wrap break-words">{note.text}</p>
+              </div>
+              {canDelete(note) && (
+                <button onClick={() => onDelete(note)} className="text-slate-500 hover:text-red-400" title="메모 삭제">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          );
+        })}
+        {shown.length === 0 && (
+          <p className="text-sm text-slate-500 italic text-center py-6">
+            기록된 메모가 없습니다 · 차트 지점이나 데이터 로그 행을 클릭해 추가
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default memo(ShiftLog);
@@ -0,0 +1,81 @@
+import React, { memo } from 'react';
+import { LayoutDashboard, BarChart3, Settings, Activity, User, Bell, Workflow, Users, LogOut, KeyRound } from 'lucide-react';
+import { ROLE_LABELS } from '../auth/index.js';
+
+const NAV_ITEMS = [
+  { id: 'dashboard', icon: LayoutDashboard, label: 'Dashboard' },
+  { id: 'process', icon: Workflow, label: 'Process Flow' },
+  { id: 'alarms', icon: Bell, label: 'Alarms' },
+  { id: 'analytics', icon: BarChart3, label: 'Analytics' },
+  { id: 'settings', icon: Settings, label: 'Settings' },
+  { id: 'users', icon: Users, label: 'Users', adminOnly: true }
+];
+
+// Navigation and the signed-in user; only re-renders when its props change
+const Sidebar = ({ activeNav, onNavigate, alertCount, user, showUsers, onChangePassword, onLogout }) => (
+  <div className="w-64 bg-slate-800 border-r border-slate-700 flex flex-col">
+    {/* Logo */}
+    <div className="p-6 border-b border-slate-700">
+      <div className="flex items-center gap-3">
+        <div className="w-10 h-10 bg-blue-500 rounded-lg flex items-center justify-center">
+          <Activity className="w-6 h-6 text-white" />
+        </div>
+        <div>
+          <h1 className="text-white font-semibold text-lg">TEP Monitor</h1>
+          <p className="text-slate-400 text-xs">v1.0.0</p>
+        </div>
+      </div>
+    </div>
+
+    {/* Navigation */}
+    <nav className="flex-1 p-4">
+      <div className="space-y-2">
+        {NAV_ITEMS.filter(item => showUsers || !item.adminOnly).map(item => {
+          const badge = item.id === 'alarms' ? alertCount : 0;
+          return (
+            <button
+              key={item.id}
+              onClick={() => onNavigate(item.id)}
+              className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg transition-all ${
+                activeNav === item.id
+                  ? 'bg-slate-700 text-white'
+                  : 'text-slate-400 hover:bg-slate-700/50 hover:text-white'
+              }`}
+            >
+              <item.icon className="w-5 h-5" />
+              <span className="font-medium">{item.label}</span>
+              {badge > 0 && (
+                <span className="ml-auto px-2 py-0.5 rounded-full bg-red-500 text-white text-xs font-mono">{badge}</span>
+              )}
+            </button>
+          );
+        })}
+      </div>
+    </nav>
+
+    {/* User Section */}
+    <div className="p-4 border-t border-slate-700">
+      <div className="flex items-center gap-3 px-4 py-3 bg-slate-700/50 rounded-lg">
+        <div className="w-8 h-8 bg-slate-600 rounded-full flex items-center justify-center">
+          <User className="w-4 h-4 text-slate-300" />
+        </div>
+        <div className="flex-1 min-w-0">
+          <p className="text-white text-sm font-medium truncate">{user ? user.displayName : '—'}</p>
+          <p className="text-slate-400 text-xs">{user ? ROLE_LABELS[user.role] : '로그아웃됨'}</p>
+        </div>
+        {user && (
+          <>
+            <button onClick={onChangePassword} className="text-slate-400 hover:text-white" title="비밀번호 변경">
+              <KeyRound className="w-4 h-4" />
+            </button>
+            <button onClick={onLogout} className="text-slate-400 hover:text-white" title="로그아웃">
+              <LogOut className="w-4 h-4" />
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  </div>
+);
+
+export default memo(Sidebar);
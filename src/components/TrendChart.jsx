@@ -0,0 +1,218 @@
+import React, { memo, useEffect, useMemo, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Brush, ReferenceLine, ReferenceArea, ResponsiveContainer } from 'recharts';
+import { Pause, Play, ZoomOut } from 'lucide-react';
+import { noteCategory, noteEnd, noteMarkers } from '../notes/index.js';
+
+export const AXIS_MODES = [
+  { id: 'shared', label: '공통 축' },
+  { id: 'normalized', label: '정규화' },
+  { id: 'separate', label: '개별 축' }
+];
+
+const axisTick = { fontSize: 11, fill: '#64748b' };
+const formatValue = (v) => (typeof v !== 'number' ? '-' : Math.abs(v) >= 1000 ? v.toFixed(0) : v.toFixed(2));
+const NO_NOTES = [];
+
+// Multi-signal trend chart for rows of `{ time, timestamp, sensor_<id> }`.
+// Axis modes: one shared axis, each trace min-max normalised over the shown
+// data, or one axis per trace. The brush zooms and pans; freezing keeps the
+// current picture while `data` keeps streaming underneath. The readout row
+// shows every trace at the cursor (or the newest point) and the operator
+// notes there. Notes are drawn as markers; with `onAnnotate`, clicking a
+// point passes its timestamp on to attach a new note.
+const TrendChart = ({
+  data, sensorIds, colorFor, sensorLabel, sensorUnit, sensorRange, live = true, chartRef, height = 400, notes = NO_NOTES, onAnnotate
+}) => {
+  const [axisMode, setAxisMode] = useState('shared');
+  const [frozen, setFrozen] = useState(null);
+  const [zoom, setZoom] = useState(null);
+  const [cursor, setCursor] = useState(null);
+
+  // Scrolled-back history is static, so freezing only applies to live data
+  useEffect(() => {
+    if (!live) setFrozen(null);
+  }, [live]);
+
+  const shown = frozen || data;
+  const lastFrozen = frozen && frozen.length > 0 ? frozen[frozen.length - 1].timestamp : null;
+  const buffered = frozen ? data.filter(p => lastFrozen === null || p.timestamp > lastFrozen).length : 0;
+
+  const plotted = useMemo(() => {
+    if (axisMode !== 'normalized') return shown;
+    const scales = sensorIds.map(id => {
+      const values = shown.map(p => p[`sensor_${id}`]).filter(v => typeof v === 'number');
+      const min = values.reduce((acc, v) => Math.min(acc, v), Infinity);
+      const max = values.reduce((acc, v) => Math.max(acc, v), -Infinity);
+      return { id, min, span: max - min || 1 };
+    });
+    return shown.map(p => {
+      const point = { ...p };
+      scales.forEach(({ id, min, span }) => {
+        point[`norm_${id}`] = (p[`sensor_${id}`] - min) / span;
+      });
+      return point;
+    });
+  }, [shown, sensorIds, axisMode]);
+
+  const dataKey = (id) => (axisMode === 'normalized' ? `norm_${id}` : `sensor_${id}`);
+  const rangeDomain = (ids) => {
+    const ranges = ids.map(sensorRange);
+    return ranges.length > 0 && ranges.every(r => r.min !== null && r.max !== null)
+      ? [Math.min(...ranges.map(r => r.min)), Math.max(...ranges.map(r => r.max))]
+      : ['auto', 'auto'];
+  };
+
+  // Brush indices stay fixed while live rows slide through, so a zoomed view follows the data
+  const lastIndex = Math.max(0, plotted.length - 1);
+  const brush = zoom
+    ? { startIndex: Math.min(zoom.startIndex, lastIndex), endIndex: Math.min(zoom.endIndex, lastIndex) }
+    : { startIndex: 0, endIndex: lastIndex };
+
+  const markers = useMemo(() => noteMarkers(notes, shown), [notes, shown]);
+  // Reference lines need an existing y-axis to attach to
+  const markerAxis = axisMode === 'separate' ? (sensorIds.length > 0 ? `y_${sensorIds[0]}` : null) : 0;
+
+  const readoutPoint = cursor || shown[shown.length - 1];
+  const readoutNotes = cursor
+    ? markers.filter(m => m.x1 === cursor.time || (m.x2 && cursor.timestamp >= m.note.timestamp && cursor.timestamp <= noteEnd(m.note)))
+    : [];
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-1">
+          {AXIS_MODES.map(mode => (
+            <button
+              key={mode.id}
+              onClick={() => setAxisMode(mode.id)}
+              className={`px-3 py-1 rounded-lg text-xs transition-all ${
+                axisMode === mode.id ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+              }`}
+            >
+              {mode.label}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center gap-1">
+          {zoom && (
+            <button
+              onClick={() => setZoom(null)}
+              className="flex items-center gap-1 px-3 py-1 rounded-lg text-xs bg-slate-700 text-slate-300 hover:bg-slate-600 transition-all"
+            >
+              <ZoomOut className="w-3 h-3" />
+              전체 보기
+            </button>
+          )}
+          <button
+            onClick={() => setFrozen(frozen ? null : data)}
+            disabled={!live}
+            className={`flex items-center gap-1 px-3 py-1 rounded-lg text-xs transition-all disabled:opacity-40 ${
+              frozen ? 'bg-amber-500/20 text-amber-400 border border-amber-500/30' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+            }`}
+          >
+            {frozen ? <Play className="w-3 h-3" /> : <Pause className="w-3 h-3" />}
+            {frozen ? `Resume${buffered > 0 ? ` (+${buffered})` : ''}` : 'Freeze'}
+          </button>
+        </div>
+      </div>
+
+      <div ref={chartRef} className={onAnnotate ? 'cursor-crosshair' : undefined}>
+        <ResponsiveContainer width="100%" height={height}>
+          <LineChart
+            data={plotted}
+            onMouseMove={state => setCursor(state && state.activePayload ? state.activePayload[0].payload : null)}
+            onMouseLeave={() => setCursor(null)}
+            onClick={state => {
+              if (onAnnotate && state && state.activePayload) onAnnotate(state.activePayload[0].payload.timestamp);
+            }}
+          >
+            <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+            <XAxis dataKey="time" stroke="#64748b" tick={axisTick} axisLine={{ stroke: '#334155' }} />
+            {axisMode === 'separate' ? (
+              sensorIds.map((id, idx) => (
+                <YAxis
+                  key={id}
+                  yAxisId={`y_${id}`}
+                  orientation={idx % 2 === 0 ? 'left' : 'right'}
+                  domain={rangeDomain([id])}
+                  allowDataOverflow
+                  width={48}
+                  stroke={colorFor(idx)}
+                  tick={{ fontSize: 10, fill: colorFor(idx) }}
+                  tickFormatter={formatValue}
+                />
+              ))
+            ) : (
+              <YAxis
+                domain={axisMode === 'normalized' ? [-0.05, 1.05] : rangeDomain(sensorIds)}
+                allowDataOverflow
+                ticks={axisMode === 'normalized' ? [0, 0.25, 0.5, 0.75, 1] : undefined}
+                tickFormatter={axisMode === 'normalized' ? (v => `${Math.round(v * 100)}%`) : formatValue}
+                stroke="#64748b"
+                tick={axisTick}
+                axisLine={{ stroke: '#334155' }}
+              />
+            )}
+            <Tooltip content={() => null} cursor={{ stroke: '#94a3b8', strokeDasharray: '3 3' }} />
+            {markerAxis !== null && markers.map(({ note, color, x1, x2 }) => {
+              const label = { value: noteCategory(note.category).label.split(' ')[0], position: 'insideTopLeft', fill: color, fontSize: 10 };
+              return x2 ? (
+                <ReferenceArea key={note.id} yAxisId={markerAxis} x1={x1} x2={x2} fill={color} fillOpacity={0.1} stroke={color} strokeOpacity={0.4} label={label} />
+              ) : (
+                <ReferenceLine key={note.id} yAxisId={markerAxis} x={x1} stroke={color} strokeDasharray="4 2" label={label} />
+              );
+            })}
+            {sensorIds.map((id, idx) => (
+              <Line
+                key={id}
+                yAxisId={axisMode === 'separate' ? `y_${id}` : 0}
+                type="monotone"
+                dataKey={dataKey(id)}
+                stroke={colorFor(idx)}
+                strokeWidth={2}
+                dot={false}
+                isAnimationActive={false}
+              />
+            ))}
+            {plotted.length > 1 && (
+              <Brush
+                dataKey="time"
+                height={24}
+                stroke="#475569"
+                fill="#0f172a"
+                travellerWidth={8}
+                startIndex={brush.startIndex}
+                endIndex={brush.endIndex}
+                onChange={({ startIndex, endIndex }) => setZoom(
+                  startIndex === 0 && endIndex === lastIndex ? null : { startIndex, endIndex }
+                )}
+              />
+            )}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* Cursor readout across all traces */}
+      {readoutPoint && sensorIds.length > 0 && (
+        <div className="mt-3 flex flex-wrap items-center gap-x-4 gap-y-1 text-xs font-mono">
+          <span className="text-slate-500">{cursor ? readoutPoint.time : `${readoutPoint.time} (latest)`}</span>
+          {sensorIds.map((id, idx) => (
+            <span key={id} className="flex items-center gap-1">
+              <span className="w-2 h-2 rounded-full" style={{ backgroundColor: colorFor(idx) }}></span>
+              <span className="text-slate-400">{sensorLabel(id)}</span>
+              <span className="text-white">{formatValue(readoutPoint[`sensor_${id}`])}</span>
+              <span className="text-slate-500">{sensorUnit(id)}</span>
+            </span>
+          ))}
+        </div>
+      )}
+      {readoutNotes.map(({ note, color }) => (
+        <p key={note.id} className="mt-1 text-xs truncate" style={{ color }}>
+          ✎ {noteCategory(note.category).label} · {note.text}
+        </p>
+      ))}
+    </div>
+  );
+};
+
+export default memo(TrendChart);
@@ -0,0 +1,114 @@
+import React, { memo } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ChevronLeft, ChevronRight, Radio } from 'lucide-react';
+import { TEP_VARIABLES } from '../catalog/tepVariables.js';
+import { exportChart } from '../export/chartSnapshot.js';
+import ExportButtons from './ExportButtons.jsx';
+
+// Trend widget card: the trend chart (passed as children), historian
+// scroll-back controls and the chips of charted sensors. `actions` go next to
+// the scroll-back buttons.
+const TrendPanel = ({
+  children, title = '실시간 메인 그래프 (Global Trend)', actions, data, historyRows, historyError, canScrollBack,
+  onBack, onForward, onLive, selectedSensors, onToggleSensor, onClearSensors, sensorLabel, sensorColor, chartContainer
+}) => (
+  <div className="h-full bg-slate-800 border border-slate-700 rounded-lg p-6">
+    <div className="mb-4 flex items-start justify-between">
+      <div>
+        <h3 className="text-lg font-semibold text-white mb-2">{title}</h3>
+        <p className="text-sm text-slate-400">
+          {historyRows
+            ? `이력 조회 중: ${new Date(historyRows[0].timestamp).toLocaleString()} ~ ${new Date(historyRows[historyRows.length - 1].timestamp).toLocaleString()}`
+            : '랭킹의 차트 아이콘 또는 아래 목록에서 센서를 추가 · 센서를 클릭하면 상세 정보'}
+        </p>
+        {historyError && <p className="text-xs text-red-400 mt-1">{historyError}</p>}
+      </div>
+      <div className="flex items-center gap-1">
+        {actions}
+        {canScrollBack && (
+          <>
+            <button
+              onClick={() => onBack((data[0] || { timestamp: Date.now() }).timestamp)}
+              className="p-2 rounded-lg bg-slate-700 text-slate-300 hover:bg-slate-600 transition-all"
+              title="이전 구간"
+            >
+              <ChevronLeft className="w-4 h-4" />
+            </button>
+            <button
+              onClick={onForward}
+              disabled={!historyRows}
+              className="p-2 rounded-lg bg-slate-700 text-slate-300 hover:bg-slate-600 disabled:opacity-40 transition-all"
+              title="다음 구간"
+            >
+              <ChevronRight className="w-4 h-4" />
+            </button>
+            <button
+              onClick={onLive}
+              disabled={!historyRows}
+              className={`flex items-center gap-1 px-3 py-2 rounded-lg text-xs font-medium transition-all ${
+                historyRows ? 'bg-blue-600 text-white hover:bg-blue-500' : 'bg-slate-700 text-emerald-400'
+              }`}
+            >
+              <Radio className="w-3 h-3" />
+              Live
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+    {children}
+
+    {/* Selected Sensors - Below Chart */}
+    <div className="mt-4 pt-4 border-t border-slate-700">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-3">
+          <p className="text-xs text-slate-500">선택된 센서 (클릭하여 제거)</p>
+          <select
+            value=""
+            onChange={e => e.target.value && onToggleSensor(Number(e.target.value))}
+            className="bg-slate-700 border border-slate-600 rounded px-2 py-1 text-xs text-slate-300 focus:outline-none focus:border-blue-500"
+          >
+            <option value="">+ 센서 추가</option>
+            {TEP_VARIABLES
+              .filter(({ id }) => !selectedSensors.includes(id))
+              .map(({ id }) => <option key={id} value={id}>{sensorLabel(id)}</option>)}
+          </select>
+          {selectedSensors.length > 1 && (
+            <button onClick={onClearSensors} className="text-xs text-slate-500 hover:text-slate-300">모두 제거</button>
+          )}
+        </div>
+        <ExportButtons
+          formats={['png', 'svg']}
+          disabled={data.length === 0}
+          onExport={format => exportChart(chartContainer.current, format, {
+            legend: selectedSensors.map((id, idx) => ({ label: sensorLabel(id), color: sensorColor(idx) }))
+          })}
+        />
+      </div>
+      <div className="flex gap-2 flex-wrap">
+        <AnimatePresence mode="popLayout">
+          {selectedSensors.map((sensorId, idx) => (
+            <motion.button
+              key={sensorId}
+              initial={{ opacity: 0, scale: 0.8 }}
+              animate={{ opacity: 1, scale: 1 }}
+              exit={{ opacity: 0, scale: 0.8 }}
+              transition={{ duration: 0.15 }}
+              onClick={() => onToggleSensor(sensorId)}
+              className="flex items-center gap-2 px-3 py-2 bg-slate-700 rounded-lg border border-slate-600 hover:border-slate-500 hover:bg-slate-600 transition-all cursor-pointer"
+            >
+              <div className="w-3 h-3 rounded-full" style={{ backgroundColor: sensorColor(idx) }}></div>
+              <span className="text-sm text-slate-300 font-mono">{sensorLabel(sensorId)}</span>
+              <span className="text-slate-500 hover:text-slate-300 ml-1">×</span>
+            </motion.button>
+          ))}
+        </AnimatePresence>
+        {selectedSensors.length === 0 && (
+          <p className="text-sm text-slate-500 italic">센서를 선택해주세요</p>
+        )}
+      </div>
+    </div>
+  </div>
+);
+
+export default memo(TrendPanel);
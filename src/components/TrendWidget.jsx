@@ -0,0 +1,44 @@
+import React, { useRef } from 'react';
+import { Link2, Unlink2 } from 'lucide-react';
+import TrendPanel from './TrendPanel.jsx';
+import TrendChart from './TrendChart.jsx';
+
+// One trend widget. With `sensors` of null it charts and edits the shared
+// selection (ranking, sensor drawer, process flow); unlinking copies that
+// selection into the widget's own list, saved through onChangeSensors(id,
+// sensors). All trend widgets share the live or scrolled-back time window;
+// `chart` and `panel` are the props common to every TrendChart and TrendPanel.
+const TrendWidget = ({ id, sensors, onChangeSensors, selectedSensors, onToggleSensor, onClearSensors, height, chart, panel }) => {
+  const chartRef = useRef(null);
+  const linked = sensors === null;
+  const sensorIds = linked ? selectedSensors : sensors;
+  const change = (next) => onChangeSensors(id, next);
+
+  const toggle = linked
+    ? onToggleSensor
+    : (sensorId) => change(sensorIds.includes(sensorId) ? sensorIds.filter(s => s !== sensorId) : [...sensorIds, sensorId]);
+
+  return (
+    <TrendPanel
+      {...panel}
+      title={linked ? undefined : '추세 차트 (Trend)'}
+      actions={(
+        <button
+          onClick={() => change(linked ? [...selectedSensors] : null)}
+          className={`p-2 rounded-lg bg-slate-700 hover:bg-slate-600 transition-all ${linked ? 'text-blue-400' : 'text-slate-400'}`}
+          title={linked ? '공유 선택과 연결됨 · 클릭하면 이 차트만의 센서 목록 사용' : '이 차트만의 센서 목록 · 클릭하면 공유 선택과 연결'}
+        >
+          {linked ? <Link2 className="w-4 h-4" /> : <Unlink2 className="w-4 h-4" />}
+        </button>
+      )}
+      selectedSensors={sensorIds}
+      onToggleSensor={toggle}
+      onClearSensors={linked ? onClearSensors : () => change([])}
+      chartContainer={chartRef}
+    >
+      <TrendChart {...chart} sensorIds={sensorIds} chartRef={chartRef} height={height} />
+    </TrendPanel>
+  );
+};
+
+export default TrendWidget;
@@ -0,0 +1,160 @@
+import { ROLES } from '../auth/index.js';
+
+// Dashboard widgets on a 12-column grid. `w` is the column span; widgets with
+// a height (`h`, in GRID_ROW px units) size their chart or scroll area by it,
+// the others take the height of their content. `multiple` types may appear
+// more than once in a layout.
+export const GRID_COLUMNS = 12;
+export const GRID_ROW = 40;
+
+export const WIDGET_TYPES = {
+  'kpi-status': { label: 'KPI · 현재상태', w: 3, minW: 2 },
+  'kpi-risk': { label: 'KPI · 위험점수', w: 3, minW: 2 },
+  'kpi-uptime': { label: 'KPI · 가동시간', w: 3, minW: 2 },
+  'kpi-alarms': { label: 'KPI · 알림수', w: 3, minW: 2 },
+  trend: { label: '추세 차트', w: 6, minW: 4, h: 10, minH: 5, multiple: true },
+  ranking: { label: '위험도 랭킹', w: 3, minW: 3, h: 12, minH: 4 },
+  diagnosis: { label: '고장 진단', w: 3, minW: 3 },
+  log: { label: '상세 데이터 (Log)', w: 12, minW: 6, h: 12, minH: 5 },
+  'shift-log': { label: '운전 일지', w: 12, minW: 4, h: 8, minH: 4 },
+  'fault-injection': { label: '외란 주입 (시뮬레이터)', w: 12, minW: 6 }
+};
+
+const MAX_H = 30;
+
+const widget = (type, patch = {}) => {
+  const { w, h } = WIDGET_TYPES[type];
+  return { id: `${type}-${Math.random().toString(36).slice(2, 8)}`, type, w, ...(h && { h }), config: {}, ...patch };
+};
+
+export const createWidget = (type) => widget(type);
+
+// Built-in layouts, seeded on first use. A trend's `config.sensors` of null
+// follows the shared sensor selection (ranking, drawer, process flow).
+export const BUILTIN_LAYOUTS = () => [
+  {
+    id: 'standard',
+    name: 'Standard',
+    widgets: [
+      widget('kpi-status', { id: 'kpi-status' }),
+      widget('kpi-risk', { id: 'kpi-risk' }),
+      widget('kpi-uptime', { id: 'kpi-uptime' }),
+      widget('kpi-alarms', { id: 'kpi-alarms' }),
+      widget('trend', { id: 'trend', config: { sensors: null } }),
+      widget('ranking', { id: 'ranking' }),
+      widget('diagnosis', { id: 'diagnosis' }),
+      widget('log', { id: 'log' }),
+      widget('shift-log', { id: 'shift-log' }),
+      widget('fault-injection', { id: 'fault-injection' })
+    ]
+  },
+  {
+    id: 'supervisor',
+    name: 'Shift Supervisor',
+    widgets: [
+      widget('kpi-status', { id: 'kpi-status', w: 6 }),
+      widget('kpi-alarms', { id: 'kpi-alarms', w: 6 }),
+      widget('kpi-risk', { id: 'kpi-risk', w: 6 }),
+      widget('kpi-uptime', { id: 'kpi-uptime', w: 6 }),
+      widget('ranking', { id: 'ranking', w: 4, h: 10 }),
+      widget('shift-log', { id: 'shift-log', w: 8, h: 10 })
+    ]
+  },
+  {
+    id: 'engineering',
+    name: 'Engineering',
+    widgets: [
+      widget('kpi-status', { id: 'kpi-status' }),
+      widget('kpi-risk', { id: 'kpi-risk' }),
+      widget('trend', { id: 'trend', config: { sensors: null } }),
+      widget('trend', { id: 'trend-reactor', h: 8, config: { sensors: [7, 8, 9] } }),
+      widget('trend', { id: 'trend-separator', h: 8, config: { sensors: [11, 12, 13] } }),
+      widget('trend', { id: 'trend-stripper', h: 8, config: { sensors: [15, 16, 18] } }),
+      widget('ranking', { id: 'ranking', w: 6, h: 8 }),
+      widget('diagnosis', { id: 'diagnosis', w: 6 }),
+      widget('log', { id: 'log' }),
+      widget('fault-injection', { id: 'fault-injection' })
+    ]
+  }
+];
+
+const DEFAULT_ROLE_LAYOUTS = { operator: 'standard', engineer: 'engineering', admin: 'standard' };
+
+const clampInt = (value, fallback, min, max) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, Math.round(number))) : fallback;
+};
+
+const normalizeWidget = (raw) => {
+  if (!raw || typeof raw !== 'object' || !WIDGET_TYPES[raw.type]) return null;
+  const type = WIDGET_TYPES[raw.type];
+  const config = raw.config && typeof raw.config === 'object' ? raw.config : {};
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : widget(raw.type).id,
+    type: raw.type,
+    w: clampInt(raw.w, type.w, type.minW, GRID_COLUMNS),
+    ...(type.h && { h: clampInt(raw.h, type.h, type.minH, MAX_H) }),
+    config: raw.type === 'trend'
+      ? { sensors: Array.isArray(config.sensors) ? config.sensors.filter(id => Number.isInteger(id) && id >= 1 && id <= 52) : null }
+      : {}
+  };
+};
+
+const normalizeLayout = (raw) => {
+  if (!raw || typeof raw !== 'object' || typeof raw.id !== 'string' || !Array.isArray(raw.widgets)) return null;
+  const ids = new Set();
+  const types = new Set();
+  const widgets = raw.widgets.map(normalizeWidget).filter(w => {
+    if (!w || ids.has(w.id) || (types.has(w.type) && !WIDGET_TYPES[w.type].multiple)) return false;
+    ids.add(w.id);
+    types.add(w.type);
+    return true;
+  });
+  return { id: raw.id, name: String(raw.name || raw.id).slice(0, 60), widgets };
+};
+
+// Stored layout state with anything malformed dropped; an empty store is
+// seeded with the built-ins. There is always at least one layout, and role
+// defaults and per-user choices only point at layouts that exist.
+export const normalizeLayouts = (raw) => {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  let layouts = Array.isArray(source.layouts) ? source.layouts.map(normalizeLayout).filter(Boolean) : [];
+  if (layouts.length === 0) layouts = BUILTIN_LAYOUTS();
+  const exists = (id) => layouts.some(l => l.id === id);
+  const roleDefaults = source.roleDefaults && typeof source.roleDefaults === 'object' ? source.roleDefaults : {};
+  const active = source.active && typeof source.active === 'object' ? source.active : {};
+  return {
+    layouts,
+    roleDefaults: Object.fromEntries(ROLES.map(role => {
+      const id = exists(roleDefaults[role]) ? roleDefaults[role] : DEFAULT_ROLE_LAYOUTS[role];
+      return [role, exists(id) ? id : layouts[0].id];
+    })),
+    active: Object.fromEntries(Object.entries(active).filter(([, id]) => exists(id)))
+  };
+};
+
+// `id` moved next to `targetId` (before it, or after it)
+export const moveWidget = (widgets, id, targetId, before) => {
+  const moving = widgets.find(w => w.id === id);
+  if (!moving || id === targetId) return widgets;
+  const rest = widgets.filter(w => w.id !== id);
+  const at = rest.findIndex(w => w.id === targetId);
+  if (at < 0) return widgets;
+  rest.splice(before ? at : at + 1, 0, moving);
+  return rest;
+};
+
+// `id` with its size changed to `{ w, h }`, kept within its type's limits
+export const resizeWidget = (widgets, id, { w, h }) => widgets.map(item => {
+  if (item.id !== id) return item;
+  const type = WIDGET_TYPES[item.type];
+  return {
+    ...item,
+    w: clampInt(w, item.w, type.minW, GRID_COLUMNS),
+    ...(type.h && { h: clampInt(h, item.h, type.minH, MAX_H) })
+  };
+});
+
+// Types that can still be added to `widgets`
+export const addableTypes = (widgets) => Object.keys(WIDGET_TYPES)
+  .filter(type => WIDGET_TYPES[type].multiple || !widgets.some(w => w.type === type));
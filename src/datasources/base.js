@@ -0,0 +1,77 @@
+// Shared plumbing for every data source adapter.
+// A source emits samples shaped as { timestamp, values } where `values` holds
+// the 52 TEP columns in dataset order (XMEAS 1-41 followed by XMV 1-11).
+
+export const SENSOR_COUNT = 52;
+
+export const CONNECTION_STATES = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  RECONNECTING: 'reconnecting',
+  CLOSED: 'closed'
+};
+
+export const createSourceBase = (kind) => {
+  const sampleListeners = new Set();
+  const statusListeners = new Set();
+  let status = { state: CONNECTION_STATES.IDLE, attempt: 0, retryAt: null, error: null };
+
+  return {
+    kind,
+    subscribe: (listener) => {
+      sampleListeners.add(listener);
+      return () => sampleListeners.delete(listener);
+    },
+    onStatus: (listener) => {
+      statusListeners.add(listener);
+      listener(status);
+      return () => statusListeners.delete(listener);
+    },
+    getStatus: () => status,
+    emit: (sample) => {
+      sampleListeners.forEach(listener => listener(sample));
+    },
+    setStatus: (patch) => {
+      status = { ...status, ...patch };
+      statusListeners.forEach(listener => listener(status));
+    }
+  };
+};
+
+// Accepts either { values: [52] } or { xmeas: [41], xmv: [11] }, with an
+// optional timestamp (epoch ms) and active fault label (IDV number, 0 = normal).
+// Returns null for anything else.
+export const normalizeSample = (raw) => {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const values = Array.isArray(raw.values)
+    ? raw.values
+    : Array.isArray(raw.xmeas) && Array.isArray(raw.xmv)
+    ? [...raw.xmeas, ...raw.xmv]
+    : null;
+
+  if (!values || values.length !== SENSOR_COUNT) return null;
+
+  const numbers = values.map(Number);
+  if (numbers.some(v => !Number.isFinite(v))) return null;
+
+  const sample = {
+    timestamp: Number.isFinite(raw.timestamp) ? raw.timestamp : Date.now(),
+    values: numbers
+  };
+  if (Number.isInteger(raw.fault)) sample.fault = raw.fault;
+  return sample;
+};
+
+// Wire messages are JSON: a single sample or an array of samples.
+export const parseMessage = (data) => {
+  let payload;
+  try {
+    payload = JSON.parse(data);
+  } catch {
+    return [];
+  }
+  const items = Array.isArray(payload) ? payload : [payload];
+  return items.map(normalizeSample).filter(Boolean);
+};
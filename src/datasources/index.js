@@ -0,0 +1,27 @@
+import { createSimulatorSource } from './simulatorSource.js';
+import { createWebSocketSource } from './webSocketSource.js';
+import { createSSESource } from './sseSource.js';
+
+export { CONNECTION_STATES, SENSOR_COUNT } from './base.js';
+
+export const SOURCE_KINDS = ['simulator', 'websocket', 'sse'];
+
+// Picked up from .env / .env.local (see .env.example)
+export const defaultSourceConfig = {
+  kind: import.meta.env.VITE_DATA_SOURCE || 'simulator',
+  url: import.meta.env.VITE_DATA_SOURCE_URL || '',
+  interval: 1000
+};
+
+export const createDataSource = (config = defaultSourceConfig) => {
+  switch (config.kind) {
+    case 'websocket':
+      return createWebSocketSource({ url: config.url || 'ws://localhost:8090/ws', backoff: config.backoff });
+    case 'sse':
+      return createSSESource({ url: config.url || 'http://localhost:8090/stream', backoff: config.backoff });
+    case 'simulator':
+      return createSimulatorSource({ interval: config.interval });
+    default:
+      throw new Error(`Unknown data source: ${config.kind}`);
+  }
+};
@@ -0,0 +1,84 @@
+import { CONNECTION_STATES, createSourceBase } from './base.js';
+
+export const PLAYBACK_SPEEDS = [60, 180, 600, 1800, 3600];
+export const DEFAULT_PLAYBACK_SPEED = 180;
+
+// Replays a parsed benchmark dataset (see replay/datasetParser.js).
+// Speed is a multiple of process time: at 180x one 3-minute sample plays per second.
+// Samples carry the elapsed run time as timestamp, so the source reports timeBase 'elapsed'.
+export const createReplaySource = (dataset, { speed = DEFAULT_PLAYBACK_SPEED } = {}) => {
+  const base = createSourceBase('replay');
+  const playbackListeners = new Set();
+  let playback = { playing: false, speed, index: 0, length: dataset.samples.length };
+  let timer = null;
+
+  const setPlayback = (patch) => {
+    playback = { ...playback, ...patch };
+    playbackListeners.forEach(listener => listener(playback));
+  };
+
+  const sampleAt = (index) => ({
+    timestamp: index * dataset.sampleInterval,
+    values: dataset.samples[index],
+    fault: dataset.faultOnset !== null && index >= dataset.faultOnset ? dataset.faultNumber : 0,
+    sampleIndex: index
+  });
+
+  const emitNext = () => {
+    if (playback.index >= playback.length) {
+      pause();
+      return;
+    }
+    base.emit(sampleAt(playback.index));
+    setPlayback({ index: playback.index + 1 });
+  };
+
+  const schedule = () => {
+    clearInterval(timer);
+    timer = setInterval(emitNext, dataset.sampleInterval / playback.speed);
+  };
+
+  function pause() {
+    clearInterval(timer);
+    timer = null;
+    setPlayback({ playing: false });
+  }
+
+  const play = () => {
+    if (playback.index >= playback.length) setPlayback({ index: 0 });
+    setPlayback({ playing: true });
+    schedule();
+  };
+
+  return {
+    ...base,
+    timeBase: 'elapsed',
+    dataset,
+    start: () => {
+      base.setStatus({ state: CONNECTION_STATES.OPEN, attempt: 0, retryAt: null, error: null });
+      play();
+    },
+    stop: () => {
+      pause();
+      base.setStatus({ state: CONNECTION_STATES.CLOSED });
+    },
+    play,
+    pause,
+    setSpeed: (value) => {
+      setPlayback({ speed: value });
+      if (playback.playing) schedule();
+    },
+    // Jump to a sample and show it immediately, even while paused
+    seek: (index) => {
+      const target = Math.max(0, Math.min(playback.length - 1, Math.round(index)));
+      setPlayback({ index: target });
+      emitNext();
+    },
+    getPlayback: () => playback,
+    onPlayback: (listener) => {
+      playbackListeners.add(listener);
+      listener(playback);
+      return () => playbackListeners.delete(listener);
+    }
+  };
+};
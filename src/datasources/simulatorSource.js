@@ -0,0 +1,80 @@
+import { CONNECTION_STATES, createSourceBase } from './base.js';
+import { createTEPSimulator } from '../simulation/tepSimulator.js';
+
+// Live TEP simulator with on-demand and scheduled IDV fault injection.
+// Fault state: { active: { idv, since, until } | null, schedule: [{ id, idv, startAt, duration }] }
+export const createSimulatorSource = ({ interval = 1000, seed } = {}) => {
+  const base = createSourceBase('simulator');
+  const simulator = createTEPSimulator({ seed });
+  const faultListeners = new Set();
+  let faultState = { active: null, schedule: [] };
+  let nextScheduleId = 1;
+  let timer = null;
+
+  const setFaultState = (patch) => {
+    faultState = { ...faultState, ...patch };
+    faultListeners.forEach(listener => listener(faultState));
+  };
+
+  const activate = (idv, since, duration) => {
+    simulator.setFault(idv);
+    setFaultState({ active: { idv, since, until: duration ? since + duration : null } });
+  };
+
+  const clearFault = () => {
+    simulator.setFault(0);
+    setFaultState({ active: null });
+  };
+
+  const applySchedule = (now) => {
+    const { active, schedule } = faultState;
+    if (active && active.until && active.until <= now) clearFault();
+
+    const due = schedule.filter(entry => entry.startAt <= now);
+    if (due.length === 0) return;
+    setFaultState({ schedule: schedule.filter(entry => entry.startAt > now) });
+    const entry = due[due.length - 1];
+    activate(entry.idv, entry.startAt, entry.duration);
+  };
+
+  const tick = () => {
+    const now = Date.now();
+    applySchedule(now);
+    base.emit(simulator.step(now));
+  };
+
+  const start = () => {
+    if (timer) return;
+    base.setStatus({ state: CONNECTION_STATES.OPEN, attempt: 0, retryAt: null, error: null });
+    tick();
+    timer = setInterval(tick, interval);
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+    base.setStatus({ state: CONNECTION_STATES.CLOSED });
+  };
+
+  return {
+    ...base,
+    start,
+    stop,
+    injectFault: (idv, { duration } = {}) => activate(idv, Date.now(), duration),
+    clearFault,
+    scheduleFault: ({ idv, startAt, duration }) => {
+      const entry = { id: nextScheduleId++, idv, startAt, duration: duration || null };
+      setFaultState({ schedule: [...faultState.schedule, entry].sort((a, b) => a.startAt - b.startAt) });
+      return entry.id;
+    },
+    cancelScheduledFault: (id) => {
+      setFaultState({ schedule: faultState.schedule.filter(entry => entry.id !== id) });
+    },
+    getFaultState: () => faultState,
+    onFault: (listener) => {
+      faultListeners.add(listener);
+      listener(faultState);
+      return () => faultListeners.delete(listener);
+    }
+  };
+};
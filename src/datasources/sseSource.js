@@ -0,0 +1,21 @@
+import { createStreamSource } from './streamSource.js';
+
+// EventSource retries on its own at a fixed interval; we close it on error
+// and let the shared backoff drive reconnects so both transports behave alike.
+export const createSSESource = ({ url, backoff }) => createStreamSource({
+  kind: 'sse',
+  url,
+  backoff,
+  connect: (target, { onOpen, onMessage, onClose }) => {
+    const source = new EventSource(target);
+
+    source.onopen = onOpen;
+    source.onmessage = (event) => onMessage(event.data);
+    source.onerror = () => {
+      source.close();
+      onClose('stream interrupted');
+    };
+
+    return () => source.close();
+  }
+});
@@ -0,0 +1,81 @@
+import { CONNECTION_STATES, createSourceBase, parseMessage } from './base.js';
+
+const DEFAULT_BACKOFF = {
+  initialDelay: 1000,
+  maxDelay: 30000,
+  factor: 2
+};
+
+// Exponential backoff with ±20% jitter so several screens don't reconnect in lockstep.
+export const backoffDelay = (attempt, { initialDelay, maxDelay, factor } = DEFAULT_BACKOFF) => {
+  const delay = Math.min(maxDelay, initialDelay * factor ** attempt);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// Wraps a transport-specific `connect(url, handlers)` (which returns a close
+// function) with status reporting and reconnect-on-failure.
+export const createStreamSource = ({ kind, url, connect, backoff = {} }) => {
+  const base = createSourceBase(kind);
+  const backoffOptions = { ...DEFAULT_BACKOFF, ...backoff };
+  let close = null;
+  let retryTimer = null;
+  let attempt = 0;
+  let stopped = true;
+
+  const scheduleRetry = (error) => {
+    const delay = backoffDelay(attempt, backoffOptions);
+    attempt += 1;
+    base.setStatus({
+      state: CONNECTION_STATES.RECONNECTING,
+      attempt,
+      retryAt: Date.now() + delay,
+      error
+    });
+    retryTimer = setTimeout(open, delay);
+  };
+
+  function open() {
+    retryTimer = null;
+    base.setStatus({
+      state: attempt === 0 ? CONNECTION_STATES.CONNECTING : CONNECTION_STATES.RECONNECTING,
+      retryAt: null
+    });
+
+    try {
+      close = connect(url, {
+        onOpen: () => {
+          attempt = 0;
+          base.setStatus({ state: CONNECTION_STATES.OPEN, attempt: 0, error: null });
+        },
+        onMessage: (data) => {
+          parseMessage(data).forEach(base.emit);
+        },
+        onClose: (error) => {
+          close = null;
+          if (!stopped) scheduleRetry(error);
+        }
+      });
+    } catch (err) {
+      close = null;
+      scheduleRetry(err.message);
+    }
+  }
+
+  const start = () => {
+    if (!stopped) return;
+    stopped = false;
+    attempt = 0;
+    open();
+  };
+
+  const stop = () => {
+    stopped = true;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    if (close) close();
+    close = null;
+    base.setStatus({ state: CONNECTION_STATES.CLOSED, retryAt: null });
+  };
+
+  return { ...base, url, start, stop };
+};
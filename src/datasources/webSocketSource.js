@@ -0,0 +1,25 @@
+import { createStreamSource } from './streamSource.js';
+
+export const createWebSocketSource = ({ url, backoff }) => createStreamSource({
+  kind: 'websocket',
+  url,
+  backoff,
+  connect: (target, { onOpen, onMessage, onClose }) => {
+    const socket = new WebSocket(target);
+    let closed = false;
+
+    socket.onopen = onOpen;
+    socket.onmessage = (event) => onMessage(event.data);
+    // onerror is always followed by onclose, which carries the reason
+    socket.onclose = (event) => {
+      if (closed) return;
+      closed = true;
+      onClose(event.reason || `connection closed (${event.code})`);
+    };
+
+    return () => {
+      closed = true;
+      socket.close();
+    };
+  }
+});
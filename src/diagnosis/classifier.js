@@ -0,0 +1,107 @@
+import { columnMeans, columnStds } from '../monitoring/linalg.js';
+
+export const MODEL_VERSION = 1;
+
+const softmax = (logits) => {
+  const max = Math.max(...logits);
+  const exps = logits.map(v => Math.exp(v - max));
+  const sum = exps.reduce((acc, v) => acc + v, 0);
+  return exps.map(v => v / sum);
+};
+
+const standardize = (x, mean, std) => x.map((v, j) => (v - mean[j]) / std[j]);
+
+// Mean squared z-distance of a feature vector from a class centroid
+const centroidDistance = (z, centroid, spread) =>
+  z.reduce((acc, v, j) => acc + ((v - centroid[j]) / spread[j]) ** 2, 0) / z.length;
+
+// Multinomial logistic regression trained with full-batch Adam. Yields to the
+// event loop between epochs so the dashboard keeps updating during training.
+export const trainClassifier = async (X, y, classes, { epochs = 200, learningRate = 0.05, l2 = 3e-3, onProgress } = {}) => {
+  const n = X.length;
+  const f = X[0].length;
+  const c = classes.length;
+  const classIndex = new Map(classes.map((cls, i) => [cls, i]));
+  const featureMean = columnMeans(X);
+  const featureStd = columnStds(X, featureMean).map(s => (s > 1e-9 ? s : 1));
+  const Z = X.map(x => standardize(x, featureMean, featureStd));
+  const target = y.map(label => classIndex.get(label));
+
+  const weights = Array.from({ length: c }, () => new Array(f).fill(0));
+  const bias = new Array(c).fill(0);
+  const moments = Array.from({ length: c }, () => ({ m: new Array(f + 1).fill(0), v: new Array(f + 1).fill(0) }));
+  const [beta1, beta2, eps] = [0.9, 0.999, 1e-8];
+
+  for (let epoch = 1; epoch <= epochs; epoch++) {
+    const gradW = Array.from({ length: c }, () => new Array(f).fill(0));
+    const gradB = new Array(c).fill(0);
+
+    for (let i = 0; i < n; i++) {
+      const z = Z[i];
+      const probs = softmax(weights.map((w, k) => w.reduce((acc, wj, j) => acc + wj * z[j], bias[k])));
+      for (let k = 0; k < c; k++) {
+        const err = probs[k] - (target[i] === k ? 1 : 0);
+        if (err === 0) continue;
+        gradB[k] += err;
+        const g = gradW[k];
+        for (let j = 0; j < f; j++) g[j] += err * z[j];
+      }
+    }
+
+    for (let k = 0; k < c; k++) {
+      const { m, v } = moments[k];
+      for (let j = 0; j <= f; j++) {
+        const grad = j < f ? gradW[k][j] / n + l2 * weights[k][j] : gradB[k] / n;
+        m[j] = beta1 * m[j] + (1 - beta1) * grad;
+        v[j] = beta2 * v[j] + (1 - beta2) * grad * grad;
+        const step = (learningRate * (m[j] / (1 - beta1 ** epoch))) / (Math.sqrt(v[j] / (1 - beta2 ** epoch)) + eps);
+        if (j < f) weights[k][j] -= step;
+        else bias[k] -= step;
+      }
+    }
+
+    if (onProgress) onProgress(epoch / epochs);
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  // Per-class centroids and spreads for the "unknown" (out-of-distribution) check
+  const centroids = classes.map((_, k) => {
+    const members = Z.filter((__, i) => target[i] === k);
+    return members.length ? columnMeans(members) : new Array(f).fill(0);
+  });
+  const spreads = classes.map((_, k) => {
+    const members = Z.filter((__, i) => target[i] === k);
+    return members.length > 1 ? columnStds(members, centroids[k]).map(s => Math.max(s, 0.05)) : new Array(f).fill(1);
+  });
+  const distances = Z.map((z, i) => centroidDistance(z, centroids[target[i]], spreads[target[i]])).sort((a, b) => a - b);
+  const unknownDistance = distances[Math.floor(0.99 * (distances.length - 1))] * 2;
+
+  const correct = Z.filter((z, i) => {
+    const logits = weights.map((w, k) => w.reduce((acc, wj, j) => acc + wj * z[j], bias[k]));
+    return logits.indexOf(Math.max(...logits)) === target[i];
+  }).length;
+
+  return {
+    classes,
+    featureMean,
+    featureStd,
+    weights,
+    bias,
+    centroids,
+    spreads,
+    unknownDistance,
+    trainingAccuracy: correct / n
+  };
+};
+
+// Class probabilities for one feature vector, plus the distance to the
+// nearest class centroid relative to the model's "unknown" threshold.
+export const classify = (classifier, x) => {
+  const z = standardize(x, classifier.featureMean, classifier.featureStd);
+  const probs = softmax(classifier.weights.map((w, k) => w.reduce((acc, wj, j) => acc + wj * z[j], classifier.bias[k])));
+  const distance = Math.min(...classifier.centroids.map((centroid, k) => centroidDistance(z, centroid, classifier.spreads[k])));
+  return {
+    probabilities: classifier.classes.map((cls, k) => ({ cls, p: probs[k] })),
+    novelty: distance / classifier.unknownDistance
+  };
+};
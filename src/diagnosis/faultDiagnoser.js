@@ -0,0 +1,95 @@
+import { columnMeans, columnStds } from '../monitoring/linalg.js';
+import { windowFeatures, labelledWindows } from './features.js';
+import { trainClassifier, classify, MODEL_VERSION } from './classifier.js';
+
+export const UNKNOWN = 'unknown';
+
+const DEFAULT_WINDOW = 10;
+
+// Train a diagnosis model from labelled runs ({ rows, labels }). Variables are
+// autoscaled with the normal-operation (class 0) rows when there are any.
+export const trainDiagnosisModel = async (runs, { window = DEFAULT_WINDOW, stride = 4, source = 'custom', onProgress } = {}) => {
+  const normalRows = runs.flatMap(run => run.rows.filter((_, i) => run.labels[i] === 0));
+  const scalingRows = normalRows.length > window ? normalRows : runs.flatMap(run => run.rows);
+  const mean = columnMeans(scalingRows);
+  const scaling = { mean, std: columnStds(scalingRows, mean).map(s => (s > 1e-9 ? s : 1)) };
+
+  const X = [];
+  const y = [];
+  runs.forEach(run => {
+    const windows = labelledWindows(run.rows, run.labels, scaling, { window, stride });
+    X.push(...windows.X);
+    y.push(...windows.y);
+  });
+
+  const classes = [...new Set(y)].sort((a, b) => a - b);
+  if (classes.length < 2) {
+    throw new Error('Training data needs at least two classes (e.g. normal and one fault)');
+  }
+
+  const classifier = await trainClassifier(X, y, classes, { onProgress });
+  return {
+    version: MODEL_VERSION,
+    window,
+    scaling,
+    classifier,
+    trainedAt: Date.now(),
+    source,
+    windows: X.length
+  };
+};
+
+// Checks an imported JSON model before it replaces the current one
+export const parseDiagnosisModel = (text) => {
+  const model = JSON.parse(text);
+  const { classifier, scaling } = model || {};
+  const valid = model
+    && model.version === MODEL_VERSION
+    && Number.isInteger(model.window) && model.window > 1
+    && scaling && Array.isArray(scaling.mean) && Array.isArray(scaling.std)
+    && classifier && Array.isArray(classifier.classes) && Array.isArray(classifier.weights)
+    && classifier.weights.length === classifier.classes.length
+    && classifier.weights.every(w => w.length === scaling.mean.length * 2)
+    && Array.isArray(classifier.centroids) && Array.isArray(classifier.spreads);
+  if (!valid) throw new Error('Not a TEP diagnosis model (version ' + MODEL_VERSION + ')');
+  return model;
+};
+
+// Classifies the most recent `model.window` samples. A window is "unknown"
+// when it lies far from every trained class or no class is confident enough.
+export const createFaultDiagnoser = ({ minConfidence = 0.3 } = {}) => {
+  let model = null;
+  let buffer = [];
+
+  const process = (sample) => {
+    if (!model) return null;
+    buffer.push(sample.values);
+    if (buffer.length > model.window) buffer.shift();
+    if (buffer.length < model.window) return null;
+
+    const { probabilities, novelty } = classify(model.classifier, windowFeatures(buffer, model.scaling));
+    const ranked = [...probabilities].sort((a, b) => b.p - a.p);
+    const best = ranked[0];
+    const known = novelty <= 1 && best.p >= minConfidence;
+
+    return {
+      label: known ? best.cls : UNKNOWN,
+      confidence: best.p,
+      novelty,
+      candidates: ranked.slice(0, 3),
+      probabilities
+    };
+  };
+
+  return {
+    process,
+    setModel: (next) => {
+      model = next;
+      buffer = [];
+    },
+    getModel: () => model,
+    reset: () => {
+      buffer = [];
+    }
+  };
+};
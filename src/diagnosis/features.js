@@ -0,0 +1,30 @@
+// Window features for fault classification: per-variable mean and standard
+// deviation of the autoscaled values over the last `window` samples.
+export const windowFeatures = (rows, scaling) => {
+  const m = scaling.mean.length;
+  const features = new Array(2 * m).fill(0);
+  rows.forEach(row => {
+    for (let j = 0; j < m; j++) features[j] += (row[j] - scaling.mean[j]) / scaling.std[j];
+  });
+  for (let j = 0; j < m; j++) features[j] /= rows.length;
+  rows.forEach(row => {
+    for (let j = 0; j < m; j++) features[m + j] += ((row[j] - scaling.mean[j]) / scaling.std[j] - features[j]) ** 2;
+  });
+  for (let j = 0; j < m; j++) features[m + j] = Math.sqrt(features[m + j] / rows.length);
+  return features;
+};
+
+// Sliding windows over a labelled run. `labels[i]` is the class of row i, or
+// null for rows to leave out; windows that straddle a label change or touch
+// a left-out row are skipped.
+export const labelledWindows = (rows, labels, scaling, { window, stride }) => {
+  const X = [];
+  const y = [];
+  for (let end = window; end <= rows.length; end += stride) {
+    const label = labels[end - 1];
+    if (labels[end - window] !== label || labels.slice(end - window, end).includes(null)) continue;
+    X.push(windowFeatures(rows.slice(end - window, end), scaling));
+    y.push(label);
+  }
+  return { X, y };
+};
@@ -0,0 +1,90 @@
+import { createTEPSimulator } from '../simulation/tepSimulator.js';
+import { FAULTS } from '../simulation/faults.js';
+import { noteCategory, noteEnd } from '../notes/index.js';
+import { scorePCA } from '../monitoring/pca.js';
+
+// IDV(3), IDV(9) and IDV(15) are practically indistinguishable from normal
+// operation; as is common in the TEP literature they are left out by default
+// so they don't drain confidence from the normal class.
+export const HARD_TO_DETECT = [3, 9, 15];
+
+// Labelled runs from the built-in simulator: one run per class (normal and
+// IDV 1-21), recorded after the disturbance has had `settle` samples to develop.
+export const simulatorTrainingRuns = ({ samplesPerClass = 300, settle = 15, seed = 1, exclude = HARD_TO_DETECT } = {}) =>
+  [0, ...FAULTS.map(f => f.idv).filter(idv => !exclude.includes(idv))].map((idv, i) => {
+    const simulator = createTEPSimulator({ seed: seed + i });
+    for (let k = 0; k < 20; k++) simulator.step(k);
+    simulator.setFault(idv);
+    for (let k = 0; k < settle; k++) simulator.step(k);
+
+    const rows = [];
+    for (let k = 0; k < samplesPerClass; k++) rows.push(simulator.step(k).values);
+    return { name: `simulator IDV(${idv})`, rows, labels: rows.map(() => idv) };
+  });
+
+// Periods an alarm was active, from alarm events (any order): ACTIVE up to
+// the CLEAR or REMOVED of the same alarm, open-ended while it still is
+const alarmPeriods = (alarmEvents) => {
+  const periods = [];
+  const open = new Map();
+  [...alarmEvents].sort((a, b) => a.time - b.time).forEach(e => {
+    if (e.event === 'ACTIVE') open.set(e.key, e.time);
+    else if ((e.event === 'CLEAR' || e.event === 'REMOVED') && open.has(e.key)) {
+      periods.push([open.get(e.key), e.time]);
+      open.delete(e.key);
+    }
+  });
+  open.forEach(start => periods.push([start, Infinity]));
+  return periods;
+};
+
+// Normal-operation run from the plant's own stored history. A sample is left
+// out (label null) when a maintenance, grade change or upset note covers it,
+// when an alarm was active at the time (`alarmEvents`), or when it is outside
+// the T² or SPE limit of the PCA reference `model`; a false-alarm note
+// confirms it as normal regardless. Only raw rows are used; rollups are
+// averages.
+export const historyTrainingRun = (rows, notes, { alarmEvents = [], model = null } = {}) => {
+  const raw = rows.filter(row => row.count === undefined);
+  const covering = (timestamp, training) => notes.some(note =>
+    noteCategory(note.category).training === training && timestamp >= note.timestamp && timestamp <= noteEnd(note));
+  const periods = alarmPeriods(alarmEvents);
+  const outOfLimits = (values) => {
+    if (!model) return false;
+    const { t2, spe } = scorePCA(model, values);
+    return t2 > model.t2Limit || spe > model.speLimit;
+  };
+  const flagged = (row) => periods.some(([from, to]) => row.timestamp >= from && row.timestamp <= to) || outOfLimits(row.values);
+
+  let byNotes = 0;
+  let byMonitor = 0;
+  const labels = raw.map(row => {
+    if (covering(row.timestamp, 'normal')) return 0;
+    if (covering(row.timestamp, 'exclude')) {
+      byNotes++;
+      return null;
+    }
+    if (flagged(row)) {
+      byMonitor++;
+      return null;
+    }
+    return 0;
+  });
+  return {
+    name: 'plant history',
+    rows: raw.map(row => row.values),
+    labels,
+    excluded: byNotes + byMonitor,
+    excludedByNotes: byNotes,
+    excludedByMonitor: byMonitor
+  };
+};
+
+// Labelled run from a parsed benchmark file (see replay/datasetParser.js)
+export const datasetTrainingRun = (dataset) => ({
+  name: dataset.name,
+  rows: dataset.samples,
+  labels: dataset.samples.map((_, i) =>
+    dataset.faultNumber && dataset.faultOnset !== null && i >= dataset.faultOnset ? dataset.faultNumber : 0
+  )
+});
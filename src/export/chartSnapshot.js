@@ -0,0 +1,64 @@
+import { downloadBlob } from '../utils/download.js';
+import { exportFilename } from './dataExport.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const BACKGROUND = '#1e293b';
+
+const svgElement = (name, attributes) => {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+  return element;
+};
+
+// Standalone SVG markup of the recharts surface inside `container`, with the
+// card background filled in so the snapshot matches the dashboard and an
+// optional `legend` ([{ label, color }]) drawn in the top-right corner
+export const chartSVG = (container, legend = []) => {
+  const svg = container && container.querySelector('svg.recharts-surface');
+  if (!svg) throw new Error('Chart is not rendered');
+  const { width, height } = svg.getBoundingClientRect();
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', SVG_NS);
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  clone.setAttribute('style', 'font-family: ui-sans-serif, system-ui, sans-serif');
+  clone.insertBefore(svgElement('rect', { width: '100%', height: '100%', fill: BACKGROUND }), clone.firstChild);
+  legend.forEach(({ label, color }, idx) => {
+    const y = 14 + idx * 16;
+    clone.appendChild(svgElement('rect', { x: width - 150, y: y - 8, width: 10, height: 10, rx: 2, fill: color }));
+    const text = svgElement('text', { x: width - 134, y: y + 1, fill: '#cbd5e1', 'font-size': 11 });
+    text.textContent = label;
+    clone.appendChild(text);
+  });
+  return { markup: new XMLSerializer().serializeToString(clone), width, height };
+};
+
+// Rasterise SVG markup to a PNG blob at `scale`× resolution
+export const svgToPNG = ({ markup, width, height }, scale = 2) => new Promise((resolve, reject) => {
+  const image = new Image();
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not render chart image'));
+  };
+  image.src = url;
+});
+
+export const exportChart = async (container, format, { prefix = 'tep-chart', legend } = {}) => {
+  const svg = chartSVG(container, legend);
+  if (format === 'svg') {
+    downloadBlob(svg.markup, exportFilename(prefix, 'svg'), 'image/svg+xml');
+  } else {
+    downloadBlob(await svgToPNG(svg), exportFilename(prefix, 'png'));
+  }
+};
@@ -0,0 +1,109 @@
+import { downloadBlob } from '../utils/download.js';
+import { formatSampleTime } from '../utils/format.js';
+
+// RFC 4180 quoting: only fields containing a comma, quote or newline are quoted
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCSV = (header, rows) => [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n');
+
+// Timestamped file name, e.g. tep-log-20240101-120000.csv
+export const exportFilename = (prefix, extension, date = new Date()) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  return `${prefix}-${stamp}.${extension}`;
+};
+
+const save = (format, prefix, header, rows, records) => {
+  if (format === 'csv') {
+    // BOM so spreadsheet apps read the Korean labels as UTF-8
+    downloadBlob(`\uFEFF${toCSV(header, rows)}`, exportFilename(prefix, 'csv'), 'text/csv;charset=utf-8');
+  } else {
+    downloadBlob(JSON.stringify(records, null, 2), exportFilename(prefix, 'json'), 'application/json');
+  }
+};
+
+// Dashboard data log, newest first as shown
+export const exportDataLog = (log, format, { sensorLabel, sensorUnit }) => {
+  const records = log.map(row => ({
+    no: row.no,
+    time: row.time,
+    sensorId: row.sensorId,
+    sensor: sensorLabel(row.sensorId),
+    value: Number(row.value),
+    unit: sensorUnit(row.sensorId),
+    status: row.status
+  }));
+  const header = ['no', 'time', 'sensorId', 'sensor', 'value', 'unit', 'status'];
+  save(format, 'tep-log', header, records.map(r => header.map(key => r[key])), records);
+};
+
+// Replayed runs have no wall-clock time; their notes carry the run time
+const noteRecord = (note, sensorLabel, timeBase = 'wall') => ({
+  id: note.id,
+  timestamp: note.timestamp,
+  time: timeBase === 'elapsed' ? formatSampleTime(note.timestamp, timeBase) : new Date(note.timestamp).toISOString(),
+  durationMin: note.duration / 60000,
+  category: note.category,
+  sensorId: note.sensorId,
+  sensor: note.sensorId ? sensorLabel(note.sensorId) : '',
+  author: note.author ?? '',
+  text: note.text
+});
+
+// Stored history rows for the chosen sensors. `samples` is 1 for raw rows and
+// the number of samples averaged into a rolled-up row. Operator notes go in
+// the `notes` column of the first row at or after their time (CSV) or in
+// their own list (JSON).
+export const exportHistory = (rows, sensorIds, format, { sensorLabel, sensorUnit }, notes = []) => {
+  const columns = sensorIds.map(id => {
+    const unit = sensorUnit(id);
+    return unit ? `${sensorLabel(id)} (${unit})` : sensorLabel(id);
+  });
+  const header = ['timestamp', 'time', 'samples', ...columns, 'notes'];
+  const rowNotes = new Map();
+  notes.forEach(note => {
+    const row = rows.find(r => r.timestamp >= note.timestamp);
+    if (row) rowNotes.set(row, [...(rowNotes.get(row) || []), `[${note.category}] ${note.text}`]);
+  });
+  const table = rows.map(row => [
+    row.timestamp,
+    new Date(row.timestamp).toISOString(),
+    row.count ?? 1,
+    ...sensorIds.map(id => row.values[id - 1]),
+    (rowNotes.get(row) || []).join(' | ')
+  ]);
+  const records = {
+    sensors: sensorIds.map(id => ({ id, name: sensorLabel(id), unit: sensorUnit(id) })),
+    rows: rows.map(row => ({
+      timestamp: row.timestamp,
+      samples: row.count ?? 1,
+      values: sensorIds.map(id => row.values[id - 1]),
+      ...(row.min && { min: sensorIds.map(id => row.min[id - 1]), max: sensorIds.map(id => row.max[id - 1]) })
+    })),
+    notes: notes.map(note => noteRecord(note, sensorLabel))
+  };
+  save(format, 'tep-history', header, table, records);
+};
+
+// Operator notes (shift log), oldest first
+export const exportNotes = (notes, format, { sensorLabel }, timeBase) => {
+  const records = notes.map(note => noteRecord(note, sensorLabel, timeBase));
+  const header = ['time', 'durationMin', 'category', 'sensor', 'author', 'text'];
+  save(format, 'tep-notes', header, records.map(r => header.map(key => r[key])), records);
+};
+
+// Audit trail entries, newest first as shown
+export const exportAuditTrail = (entries, format) => {
+  const records = entries.map(e => ({
+    time: new Date(e.time).toISOString(),
+    username: e.username ?? '',
+    role: e.role ?? '',
+    action: e.action,
+    detail: e.detail
+  }));
+  const header = ['time', 'username', 'role', 'action', 'detail'];
+  save(format, 'tep-audit', header, records.map(r => header.map(key => r[key])), records);
+};
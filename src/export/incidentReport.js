@@ -0,0 +1,249 @@
+import { TEP_VARIABLES } from '../catalog/tepVariables.js';
+import { createProcessMonitor } from '../monitoring/processMonitor.js';
+import { thin } from '../analytics/statistics.js';
+import { downloadBlob } from '../utils/download.js';
+import { noteCategory } from '../notes/index.js';
+import { exportFilename } from './dataExport.js';
+
+const CHART_POINTS = 300;
+const STATUS_COLORS = { NORMAL: '#10b981', WARNING: '#f59e0b', CRITICAL: '#ef4444', 'NO DATA': '#475569' };
+const PRIORITY_COLORS = { high: '#ef4444', medium: '#f59e0b', low: '#3b82f6' };
+const SERIES_COLORS = ['#3b82f6', '#8b5cf6', '#10b981', '#f59e0b', '#ec4899', '#06b6d4'];
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString();
+const formatValue = (v) => (Math.abs(v) >= 1000 ? v.toFixed(0) : v.toPrecision(4));
+
+// Collapse per-sample statuses into [{ status, from, to }] segments
+const statusSegments = (points) => points.reduce((segments, { timestamp, status }) => {
+  const last = segments[segments.length - 1];
+  if (last && last.status === status) last.to = timestamp;
+  else segments.push({ status, from: timestamp, to: timestamp });
+  return segments;
+}, []);
+
+// Gather everything the report shows for [from, to] from the historian
+// (samples and operator notes), the alarm event history and the PCA reference
+// model. Monitoring statuses are
+// recomputed by scoring the stored samples against `model`; without a model
+// sensors are ranked by their mean deviation from the base-case operating point.
+export const collectIncident = async ({ history, alarmEvents, model, from, to, topCount = 5 }) => {
+  const rows = await history.query({ from, to });
+  const notes = await history.queryNotes({ from, to });
+  const alarms = alarmEvents.filter(e => e.time >= from && e.time <= to).sort((a, b) => a.time - b.time);
+
+  let statuses = [];
+  let scores = [];
+  let ranking;
+  if (model) {
+    const monitor = createProcessMonitor({ model });
+    const shares = new Array(TEP_VARIABLES.length).fill(0);
+    const peaks = new Array(TEP_VARIABLES.length).fill(0);
+    rows.forEach(row => {
+      const result = monitor.process({ timestamp: row.timestamp, values: row.values });
+      statuses.push({ timestamp: row.timestamp, status: result.status });
+      scores.push({ timestamp: row.timestamp, t2: result.t2Ratio, spe: result.speRatio });
+      result.contributions.forEach((c, j) => {
+        shares[j] += c.share / rows.length;
+        peaks[j] = Math.max(peaks[j], c.share);
+      });
+    });
+    ranking = shares.map((share, j) => ({ id: j + 1, score: share, peak: peaks[j] }));
+  } else {
+    ranking = TEP_VARIABLES.map(v => {
+      const deviations = rows.map(row => Math.abs(row.values[v.id - 1] - v.nominal) / v.sd);
+      return {
+        id: v.id,
+        score: deviations.reduce((acc, d) => acc + d, 0) / Math.max(1, rows.length),
+        peak: deviations.reduce((acc, d) => Math.max(acc, d), 0)
+      };
+    });
+  }
+  const topSensors = ranking.sort((a, b) => b.score - a.score).slice(0, topCount);
+
+  return {
+    from,
+    to,
+    samples: rows.length,
+    rankedBy: model ? 'pca' : 'deviation',
+    segments: statusSegments(statuses),
+    scores: thin(scores, CHART_POINTS),
+    alarms,
+    notes,
+    topSensors,
+    trends: thin(rows, CHART_POINTS).map(row => ({
+      timestamp: row.timestamp,
+      values: topSensors.map(s => row.values[s.id - 1])
+    })),
+    generatedAt: Date.now()
+  };
+};
+
+// Minimal static line chart: `series` is [{ label, color, points: [{ x, y }] }],
+// drawn with a shared y-axis and an optional dashed horizontal `limit`
+const lineChart = (series, { width = 760, height = 200, from, to, limit, normalise = false } = {}) => {
+  const pad = { top: 10, right: 10, bottom: 22, left: 56 };
+  const plotted = series.map(s => {
+    if (!normalise) return s;
+    const ys = s.points.map(p => p.y);
+    const min = Math.min(...ys);
+    const span = Math.max(...ys) - min || 1;
+    return { ...s, points: s.points.map(p => ({ x: p.x, y: (p.y - min) / span })) };
+  });
+  const ys = plotted.flatMap(s => s.points.map(p => p.y)).concat(limit !== undefined ? [limit] : []);
+  if (ys.length === 0) return '<p class="muted">데이터 없음</p>';
+  const yMin = Math.min(...ys);
+  const yMax = Math.max(...ys) === yMin ? yMin + 1 : Math.max(...ys);
+  const x = (t) => pad.left + ((t - from) / Math.max(1, to - from)) * (width - pad.left - pad.right);
+  const y = (v) => pad.top + (1 - (v - yMin) / (yMax - yMin)) * (height - pad.top - pad.bottom);
+
+  const lines = plotted.map(s => `<polyline fill="none" stroke="${s.color}" stroke-width="1.5" points="${
+    s.points.map(p => `${x(p.x).toFixed(1)},${y(p.y).toFixed(1)}`).join(' ')
+  }"/>`).join('');
+  const limitLine = limit !== undefined
+    ? `<line x1="${pad.left}" x2="${width - pad.right}" y1="${y(limit)}" y2="${y(limit)}" stroke="#ef4444" stroke-dasharray="4 3"/>`
+    : '';
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-size="10" font-family="sans-serif">
+    <rect x="${pad.left}" y="${pad.top}" width="${width - pad.left - pad.right}" height="${height - pad.top - pad.bottom}" fill="#f8fafc" stroke="#cbd5e1"/>
+    ${limitLine}${lines}
+    <text x="${pad.left - 4}" y="${pad.top + 8}" text-anchor="end" fill="#475569">${normalise ? 'max' : escapeHtml(formatValue(yMax))}</text>
+    <text x="${pad.left - 4}" y="${height - pad.bottom}" text-anchor="end" fill="#475569">${normalise ? 'min' : escapeHtml(formatValue(yMin))}</text>
+    <text x="${pad.left}" y="${height - 6}" fill="#475569">${escapeHtml(new Date(from).toLocaleTimeString())}</text>
+    <text x="${width - pad.right}" y="${height - 6}" text-anchor="end" fill="#475569">${escapeHtml(new Date(to).toLocaleTimeString())}</text>
+  </svg>`;
+};
+
+const legend = (items) => `<div class="legend">${items.map(({ label, color }) => (
+  `<span><i style="background:${color}"></i>${escapeHtml(label)}</span>`
+)).join('')}</div>`;
+
+// Self-contained HTML document (inline CSS and SVG) for shift handover and audits
+export const renderIncidentReport = (incident, { sensorLabel, sensorUnit, title = 'TEP Incident Report' }) => {
+  const { from, to } = incident;
+  const span = Math.max(1, to - from);
+
+  const timeline = incident.segments.length > 0
+    ? `<div class="timeline">${incident.segments.map(s => (
+      `<div title="${escapeHtml(`${s.status}: ${formatTime(s.from)} ~ ${formatTime(s.to)}`)}" style="left:${((s.from - from) / span) * 100}%;width:${Math.max(0.2, ((s.to - s.from) / span) * 100)}%;background:${STATUS_COLORS[s.status]}"></div>`
+    )).join('')}</div>
+      <table><tr><th>Status</th><th>From</th><th>To</th></tr>${incident.segments
+      .filter(s => s.status !== 'NORMAL')
+      .map(s => `<tr><td><b style="color:${STATUS_COLORS[s.status]}">${s.status}</b></td><td>${escapeHtml(formatTime(s.from))}</td><td>${escapeHtml(formatTime(s.to))}</td></tr>`)
+      .join('') || '<tr><td colspan="3" class="muted">구간 내내 NORMAL</td></tr>'}</table>`
+    : '<p class="muted">PCA 기준 모델이 없어 상태 타임라인을 계산할 수 없습니다.</p>';
+
+  const scoreChart = incident.scores.length > 0
+    ? lineChart([
+      { label: 'T² / limit', color: '#3b82f6', points: incident.scores.map(s => ({ x: s.timestamp, y: s.t2 })) },
+      { label: 'SPE / limit', color: '#8b5cf6', points: incident.scores.map(s => ({ x: s.timestamp, y: s.spe })) }
+    ], { from, to, limit: 1 }) + legend([{ label: 'T² / limit', color: '#3b82f6' }, { label: 'SPE / limit', color: '#8b5cf6' }])
+    : '';
+
+  const alarmRows = incident.alarms.map(e => `<tr>
+      <td>${escapeHtml(formatTime(e.time))}</td>
+      <td>${escapeHtml(sensorLabel(e.sensorId))}</td>
+      <td>${escapeHtml(e.type)}</td>
+      <td style="color:${PRIORITY_COLORS[e.priority]}">${escapeHtml(e.priority)}</td>
+      <td>${escapeHtml(e.event)}</td>
+      <td>${e.value !== undefined ? escapeHtml(`${formatValue(e.value)} ${sensorUnit(e.sensorId)}`) : ''}</td>
+    </tr>`).join('');
+
+  const noteRows = incident.notes.map(note => `<tr>
+      <td>${escapeHtml(formatTime(note.timestamp))}</td>
+      <td style="color:${noteCategory(note.category).color}">${escapeHtml(noteCategory(note.category).label)}</td>
+      <td>${note.sensorId ? escapeHtml(sensorLabel(note.sensorId)) : ''}</td>
+      <td>${escapeHtml(note.author ?? '')}</td>
+      <td>${escapeHtml(note.text)}</td>
+    </tr>`).join('');
+
+  const sensorRows = incident.topSensors.map((s, idx) => `<tr>
+      <td>${idx + 1}</td>
+      <td>${escapeHtml(sensorLabel(s.id))}</td>
+      <td>${incident.rankedBy === 'pca' ? `${(s.score * 100).toFixed(1)}%` : `${s.score.toFixed(2)}σ`}</td>
+      <td>${incident.rankedBy === 'pca' ? `${(s.peak * 100).toFixed(1)}%` : `${s.peak.toFixed(2)}σ`}</td>
+    </tr>`).join('');
+
+  const trendSeries = incident.topSensors.map((s, k) => ({
+    label: sensorLabel(s.id),
+    color: SERIES_COLORS[k % SERIES_COLORS.length],
+    points: incident.trends.map(t => ({ x: t.timestamp, y: t.values[k] }))
+  }));
+
+  return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} ${escapeHtml(formatTime(from))}</title>
+<style>
+  body { font-family: -apple-system, 'Segoe UI', 'Malgun Gothic', sans-serif; color: #0f172a; margin: 32px; max-width: 820px; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  h2 { font-size: 16px; margin-top: 28px; border-bottom: 1px solid #cbd5e1; padding-bottom: 4px; }
+  table { border-collapse: collapse; width: 100%; font-size: 12px; margin-top: 8px; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e2e8f0; }
+  th { color: #475569; font-weight: 600; }
+  .muted { color: #64748b; font-size: 12px; }
+  .timeline { position: relative; height: 18px; background: #e2e8f0; border-radius: 4px; overflow: hidden; }
+  .timeline div { position: absolute; top: 0; bottom: 0; }
+  .legend { display: flex; gap: 16px; font-size: 11px; color: #475569; margin-top: 4px; }
+  .legend i { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 4px; vertical-align: middle; }
+  @media print { body { margin: 12mm; } h2 { break-after: avoid; } svg, table { break-inside: avoid; } }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="muted">Tennessee Eastman Process · ${escapeHtml(formatTime(from))} ~ ${escapeHtml(formatTime(to))} · ${incident.samples.toLocaleString()} samples · 생성 ${escapeHtml(formatTime(incident.generatedAt))}</p>
+
+  <h2>상태 타임라인 (Status Timeline)</h2>
+  ${timeline}
+  ${scoreChart}
+
+  <h2>알람 (Alarms)</h2>
+  ${incident.alarms.length > 0
+    ? `<table><tr><th>Time</th><th>Sensor</th><th>Type</th><th>Priority</th><th>Event</th><th>Value</th></tr>${alarmRows}</table>`
+    : '<p class="muted">구간 내 알람 이벤트 없음</p>'}
+
+  <h2>운전 메모 (Operator Notes)</h2>
+  ${incident.notes.length > 0
+    ? `<table><tr><th>Time</th><th>Category</th><th>Sensor</th><th>Author</th><th>Note</th></tr>${noteRows}</table>`
+    : '<p class="muted">구간 내 운전 메모 없음</p>'}
+
+  <h2>상위 센서 (Top-ranked Sensors)</h2>
+  <p class="muted">${incident.rankedBy === 'pca' ? 'T²/SPE 기여도 (제어 한계 대비 평균 / 최대)' : '설계 운전점 대비 편차 (평균 / 최대, σ 단위)'}</p>
+  <table><tr><th>#</th><th>Sensor</th><th>Mean</th><th>Peak</th></tr>${sensorRows}</table>
+
+  <h2>추세 (Trends, min-max 정규화)</h2>
+  ${lineChart(trendSeries, { from, to, normalise: true })}
+  ${legend(trendSeries)}
+</body>
+</html>`;
+};
+
+// 'html' downloads the document; 'pdf' opens it in a new window and starts the
+// browser's print dialog (Save as PDF). The window is opened before any await
+// so popup blockers treat it as part of the click.
+export const exportIncidentReport = async (options, labels, format = 'html') => {
+  const win = format === 'pdf' ? window.open('', '_blank') : null;
+  if (format === 'pdf' && !win) throw new Error('Popup blocked: allow popups to print the report');
+  try {
+    const html = renderIncidentReport(await collectIncident(options), labels);
+    if (win) {
+      win.document.open();
+      win.document.write(html);
+      win.document.close();
+      win.focus();
+      win.onafterprint = () => win.close();
+      setTimeout(() => win.print(), 250);
+    } else {
+      downloadBlob(html, exportFilename('tep-incident-report', 'html'), 'text/html');
+    }
+  } catch (err) {
+    if (win) win.close();
+    throw err;
+  }
+};
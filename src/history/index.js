@@ -0,0 +1,18 @@
+import { createIndexedDBHistory } from './indexedDBHistory.js';
+import { createMemoryHistory } from './memoryHistory.js';
+
+export { ROLLUP_INTERVAL } from './indexedDBHistory.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Historian options from the settings' `history` section
+export const historyOptions = ({ rawRetentionHours, retentionDays }) => ({
+  rawRetention: rawRetentionHours * HOUR,
+  retention: retentionDays * 24 * HOUR
+});
+
+// Persistent IndexedDB historian, or a session-only store where IndexedDB is
+// not available (e.g. server rendering)
+export const createHistory = (options) => (typeof indexedDB === 'undefined'
+  ? createMemoryHistory()
+  : createIndexedDBHistory(options));
@@ -0,0 +1,292 @@
+import { SENSOR_COUNT } from '../datasources/base.js';
+
+const DB_NAME = 'tep-history';
+const DB_VERSION = 2;
+const RAW = 'raw';
+const ROLLUP = 'rollup';
+const NOTES = 'notes';
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const ROLLUP_INTERVAL = 60 * 1000;
+const FLUSH_INTERVAL = 1000;
+const FLUSH_SIZE = 100;
+const COMPACT_INTERVAL = 5 * 60 * 1000;
+const COMPACT_CHUNK = 3600;
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const completion = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const req = indexedDB.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = ({ oldVersion }) => {
+    if (oldVersion < 1) {
+      req.result.createObjectStore(RAW, { keyPath: 'timestamp' });
+      req.result.createObjectStore(ROLLUP, { keyPath: 'timestamp' });
+    }
+    if (oldVersion < 2) {
+      req.result.createObjectStore(NOTES, { keyPath: 'id' }).createIndex('timestamp', 'timestamp');
+    }
+  };
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+// Rows of one store between two keys. With a limit, 'backward' keeps the
+// latest rows up to `to` and 'forward' the earliest from `from`; either way
+// they come back oldest first.
+const readRange = (db, storeName, from, to, limit, direction) => {
+  if (from > to) return Promise.resolve([]);
+  const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+  const range = IDBKeyRange.bound(from, to);
+  if (!limit) return request(store.getAll(range));
+
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    const req = store.openCursor(range, direction === 'forward' ? 'next' : 'prev');
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor || rows.length >= limit) {
+        resolve(direction === 'forward' ? rows : rows.reverse());
+        return;
+      }
+      rows.push(cursor.value);
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+};
+
+const firstKey = async (db, storeName, direction = 'next') => {
+  const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+  const cursor = await request(store.openKeyCursor(null, direction));
+  return cursor ? cursor.key : null;
+};
+
+// Fold raw rows into one rollup row per ROLLUP_INTERVAL (mean values plus
+// per-sensor min/max), merging into rollups already stored for that interval
+const rollUp = (rows, existing) => {
+  const buckets = new Map(existing.map(row => [row.timestamp, {
+    ...row,
+    sum: row.values.map(v => v * row.count),
+    min: [...row.min],
+    max: [...row.max]
+  }]));
+
+  rows.forEach(row => {
+    const timestamp = Math.floor(row.timestamp / ROLLUP_INTERVAL) * ROLLUP_INTERVAL;
+    let bucket = buckets.get(timestamp);
+    if (!bucket) {
+      bucket = { timestamp, count: 0, sum: new Array(SENSOR_COUNT).fill(0), min: [...row.values], max: [...row.values] };
+      buckets.set(timestamp, bucket);
+    }
+    bucket.count += 1;
+    row.values.forEach((v, j) => {
+      bucket.sum[j] += v;
+      if (v < bucket.min[j]) bucket.min[j] = v;
+      if (v > bucket.max[j]) bucket.max[j] = v;
+    });
+  });
+
+  return [...buckets.values()].map(({ timestamp, count, sum, min, max }) => ({
+    timestamp,
+    count,
+    values: sum.map(v => v / count),
+    min,
+    max
+  }));
+};
+
+// Client-side historian. Every sample is kept at full resolution for
+// `rawRetention` ms, then rolled up into 1-minute rows that are kept for
+// `retention` ms. Writes are batched; rollup and expiry run in the background.
+// Query rows are `{ timestamp, values }`, rollups add `min`, `max` and `count`.
+// Operator notes (see notes/index.js) are kept alongside for `retention` ms.
+// Failed background writes and compactions are reported through `onError`
+// as { operation: 'write' | 'compact', message, time }, and with null once
+// that operation succeeds again; getRange() carries the latest as `lastError`.
+export const createIndexedDBHistory = ({ rawRetention = DAY, retention = 30 * DAY, onError = () => {} } = {}) => {
+  let config = { rawRetention, retention };
+  let pending = [];
+  let flushTimer = null;
+  let writing = Promise.resolve();
+  let compacting = null;
+  let lastError = null;
+  const ready = openDatabase();
+
+  const background = (operation, task) => task().then(
+    () => {
+      if (!lastError || lastError.operation !== operation) return;
+      lastError = null;
+      onError(null);
+    },
+    (err) => {
+      lastError = { operation, message: err.message, time: Date.now() };
+      onError(lastError);
+    }
+  );
+
+  const flush = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (pending.length > 0) {
+      const batch = pending;
+      pending = [];
+      // A failed batch was already reported; it must not block later ones
+      writing = writing.catch(() => {}).then(async () => {
+        const db = await ready;
+        const tx = db.transaction(RAW, 'readwrite');
+        const store = tx.objectStore(RAW);
+        batch.forEach(row => store.put(row));
+        await completion(tx);
+      });
+    }
+    return writing;
+  };
+
+  // Readers only need pending rows on disk first; a failed write was already
+  // reported by background('write') and must not fail the read as well
+  const settled = () => flush().catch(() => {});
+
+  const append = (sample) => {
+    if (!sample || sample.values.length !== SENSOR_COUNT) return;
+    pending.push({ timestamp: sample.timestamp, values: [...sample.values] });
+    if (pending.length >= FLUSH_SIZE) background('write', flush);
+    else if (!flushTimer) flushTimer = setTimeout(() => background('write', flush), FLUSH_INTERVAL);
+  };
+
+  const compactOnce = async () => {
+    await settled();
+    const db = await ready;
+    const now = Date.now();
+    const rawCutoff = Math.floor((now - config.rawRetention) / ROLLUP_INTERVAL) * ROLLUP_INTERVAL;
+
+    // Roll up expired raw rows in chunks so a long backlog never sits in memory at once
+    for (;;) {
+      const rows = await request(db.transaction(RAW, 'readonly').objectStore(RAW)
+        .getAll(IDBKeyRange.upperBound(rawCutoff, true), COMPACT_CHUNK));
+      if (rows.length === 0) break;
+      const first = Math.floor(rows[0].timestamp / ROLLUP_INTERVAL) * ROLLUP_INTERVAL;
+      const last = rows[rows.length - 1].timestamp;
+
+      const tx = db.transaction([RAW, ROLLUP], 'readwrite');
+      const rollups = tx.objectStore(ROLLUP);
+      const existing = await request(rollups.getAll(IDBKeyRange.bound(first, last)));
+      rollUp(rows, existing).forEach(row => rollups.put(row));
+      tx.objectStore(RAW).delete(IDBKeyRange.bound(rows[0].timestamp, last));
+      await completion(tx);
+      if (rows.length < COMPACT_CHUNK) break;
+    }
+
+    const tx = db.transaction([ROLLUP, NOTES], 'readwrite');
+    tx.objectStore(ROLLUP).delete(IDBKeyRange.upperBound(now - config.retention, true));
+    const expired = tx.objectStore(NOTES).index('timestamp').openCursor(IDBKeyRange.upperBound(now - config.retention, true));
+    expired.onsuccess = () => {
+      if (!expired.result) return;
+      expired.result.delete();
+      expired.result.continue();
+    };
+    await completion(tx);
+  };
+
+  const compact = () => {
+    if (!compacting) {
+      compacting = compactOnce().finally(() => {
+        compacting = null;
+      });
+    }
+    return compacting;
+  };
+
+  const compactTimer = setInterval(() => background('compact', compact), COMPACT_INTERVAL);
+  background('compact', compact);
+
+  // Rows with from <= timestamp <= to, oldest first; see readRange for `limit`.
+  // Rollups only cover the time before the oldest raw row, so the two never overlap.
+  const query = async ({ from = -Infinity, to = Infinity, limit, direction = 'backward' } = {}) => {
+    await settled();
+    const db = await ready;
+    const rawStart = (await firstKey(db, RAW)) ?? Infinity;
+    const rollups = await readRange(db, ROLLUP, from, Math.min(to, rawStart - 1), limit, direction);
+    const raw = await readRange(db, RAW, Math.max(from, rawStart), to, limit, direction);
+    const rows = [...rollups, ...raw];
+    if (!limit || rows.length <= limit) return rows;
+    return direction === 'forward' ? rows.slice(0, limit) : rows.slice(-limit);
+  };
+
+  const getRange = async () => {
+    await settled();
+    const db = await ready;
+    const [rawFrom, rollupFrom, to, rawCount, rollupCount] = await Promise.all([
+      firstKey(db, RAW),
+      firstKey(db, ROLLUP),
+      firstKey(db, RAW, 'prev'),
+      request(db.transaction(RAW, 'readonly').objectStore(RAW).count()),
+      request(db.transaction(ROLLUP, 'readonly').objectStore(ROLLUP).count())
+    ]);
+    return {
+      from: rollupFrom ?? rawFrom,
+      to: to ?? (await firstKey(db, ROLLUP, 'prev')),
+      count: rawCount + rollupCount,
+      rawFrom,
+      lastError
+    };
+  };
+
+  // Notes with from <= timestamp <= to, oldest first
+  const queryNotes = async ({ from = -Infinity, to = Infinity } = {}) => {
+    if (from > to) return [];
+    const db = await ready;
+    const index = db.transaction(NOTES, 'readonly').objectStore(NOTES).index('timestamp');
+    return request(index.getAll(IDBKeyRange.bound(from, to)));
+  };
+
+  const addNote = async (note) => {
+    const db = await ready;
+    const tx = db.transaction(NOTES, 'readwrite');
+    tx.objectStore(NOTES).put(note);
+    await completion(tx);
+    return note;
+  };
+
+  const deleteNote = async (id) => {
+    const db = await ready;
+    const tx = db.transaction(NOTES, 'readwrite');
+    tx.objectStore(NOTES).delete(id);
+    await completion(tx);
+  };
+
+  const clear = async () => {
+    pending = [];
+    await settled();
+    const db = await ready;
+    const tx = db.transaction([RAW, ROLLUP, NOTES], 'readwrite');
+    tx.objectStore(RAW).clear();
+    tx.objectStore(ROLLUP).clear();
+    tx.objectStore(NOTES).clear();
+    await completion(tx);
+  };
+
+  const configure = (next) => {
+    config = { ...config, ...next };
+    background('compact', compact);
+  };
+
+  const close = async () => {
+    clearInterval(compactTimer);
+    await settled();
+    (await ready).close();
+  };
+
+  return {
+    append, query, getRange, queryNotes, addNote, deleteNote, clear, configure, compact, close, getConfig: () => config
+  };
+};
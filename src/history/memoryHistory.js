@@ -0,0 +1,50 @@
+import { SENSOR_COUNT } from '../datasources/base.js';
+
+// In-memory sample history, used where IndexedDB is unavailable. Rows are
+// `{ timestamp, values }` with all 52 values in dataset column order; the oldest
+// rows are dropped once `capacity` is reached (a day at 1 s by default).
+// Operator notes are kept for the session.
+export const createMemoryHistory = ({ capacity = 86400 } = {}) => {
+  let rows = [];
+  let notes = [];
+
+  const append = (sample) => {
+    if (!sample || sample.values.length !== SENSOR_COUNT) return;
+    rows.push({ timestamp: sample.timestamp, values: sample.values });
+    if (rows.length > capacity) rows = rows.slice(rows.length - capacity);
+  };
+
+  // Same contract as the IndexedDB historian's query
+  const query = async ({ from = -Infinity, to = Infinity, limit, direction = 'backward' } = {}) => {
+    const matched = rows.filter(row => row.timestamp >= from && row.timestamp <= to);
+    if (!limit || matched.length <= limit) return matched;
+    return direction === 'forward' ? matched.slice(0, limit) : matched.slice(-limit);
+  };
+
+  const getRange = async () => (rows.length
+    ? { from: rows[0].timestamp, to: rows[rows.length - 1].timestamp, count: rows.length, rawFrom: rows[0].timestamp, lastError: null }
+    : { from: null, to: null, count: 0, rawFrom: null, lastError: null });
+
+  const queryNotes = async ({ from = -Infinity, to = Infinity } = {}) => notes
+    .filter(note => note.timestamp >= from && note.timestamp <= to)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const addNote = async (note) => {
+    notes = [...notes.filter(n => n.id !== note.id), note];
+    return note;
+  };
+
+  const deleteNote = async (id) => {
+    notes = notes.filter(note => note.id !== id);
+  };
+
+  const clear = async () => {
+    rows = [];
+    notes = [];
+  };
+
+  return {
+    append, query, getRange, queryNotes, addNote, deleteNote, clear,
+    configure: () => {}, compact: async () => {}, close: async () => {}
+  };
+};
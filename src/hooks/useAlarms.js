@@ -0,0 +1,66 @@
+import { useEffect, useRef, useState } from 'react';
+import { defaultLimits } from '../alarms/alarmEngine.js';
+
+const STORAGE_KEY = 'tep.alarmLimits';
+
+const loadLimits = () => {
+  const defaults = defaultLimits();
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!stored) return defaults;
+    // Stored entries override defaults sensor by sensor
+    Object.keys(defaults).forEach(id => {
+      if (stored[id]) defaults[id] = { ...defaults[id], ...stored[id] };
+    });
+    return defaults;
+  } catch {
+    return defaults;
+  }
+};
+
+// React state mirroring the alarm engine in the processing pipeline's worker:
+// active alarms, history and limits. Limits are kept in localStorage and
+// handed to the worker; operator actions are forwarded to it.
+export const useAlarms = (pipeline) => {
+  const [alarms, setAlarms] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [limits, setLimits] = useState(loadLimits);
+  const limitsRef = useRef(limits);
+
+  useEffect(() => {
+    const off = pipeline.onAlarms(state => {
+      setAlarms(state.alarms);
+      setHistory(state.history);
+    });
+    pipeline.setAlarmLimits(limitsRef.current);
+    return off;
+  }, [pipeline]);
+
+  const saveLimits = (next) => {
+    limitsRef.current = next;
+    setLimits(next);
+    pipeline.setAlarmLimits(next);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  };
+
+  return {
+    alarms,
+    history,
+    limits,
+    // Latest state from the worker, also between renders
+    getAlarms: () => pipeline.getAlarmState().alarms,
+    acknowledge: (key, user) => pipeline.alarmAction('acknowledge', key, user),
+    acknowledgeAll: (user) => pipeline.alarmAction('acknowledgeAll', user),
+    shelve: (key, duration, user) => pipeline.alarmAction('shelve', key, duration, user),
+    unshelve: (key, user) => pipeline.alarmAction('unshelve', key, user),
+    updateLimits: (sensorId, patch) => saveLimits({ ...limitsRef.current, [sensorId]: { ...limitsRef.current[sensorId], ...patch } }),
+    replaceLimits: (next) => {
+      const merged = defaultLimits();
+      Object.keys(merged).forEach(id => {
+        if (next && next[id]) merged[id] = { ...merged[id], ...next[id] };
+      });
+      saveLimits(merged);
+    },
+    resetLimits: () => saveLimits(defaultLimits())
+  };
+};
@@ -0,0 +1,34 @@
+import { useCallback, useState } from 'react';
+
+// Scrolls the trend chart back through the historian one window at a time.
+// `rows` is null while the chart follows live data.
+export const useChartHistory = (history, size) => {
+  const [rows, setRows] = useState(null);
+  const [error, setError] = useState(null);
+
+  const run = async (load) => {
+    setError(null);
+    try {
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // `before`: timestamp of the oldest point currently on screen
+  const back = useCallback((before) => run(async () => {
+    const older = await history.query({ to: before - 1, limit: size });
+    if (older.length > 0) setRows(older);
+  }), [history, size]);
+
+  // Returns to live once the next window would reach the end of the history
+  const forward = useCallback(() => run(async () => {
+    if (!rows) return;
+    const newer = await history.query({ from: rows[rows.length - 1].timestamp + 1, limit: size, direction: 'forward' });
+    setRows(newer.length < size ? null : newer);
+  }), [history, size, rows]);
+
+  const live = useCallback(() => setRows(null), []);
+
+  return { rows, error, back, forward, live };
+};
@@ -0,0 +1,19 @@
+import { useEffect, useState } from 'react';
+
+// Starts `source` for the lifetime of the component and returns its live
+// connection status. Samples go from the source to the processing pipeline.
+export const useDataSource = (source) => {
+  const [status, setStatus] = useState(source.getStatus());
+
+  useEffect(() => {
+    const offStatus = source.onStatus(setStatus);
+    source.start();
+
+    return () => {
+      offStatus();
+      source.stop();
+    };
+  }, [source]);
+
+  return status;
+};
@@ -0,0 +1,129 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { trainDiagnosisModel, parseDiagnosisModel } from '../diagnosis/faultDiagnoser.js';
+import { simulatorTrainingRuns, datasetTrainingRun, historyTrainingRun } from '../diagnosis/trainingData.js';
+import { parseDatasetFile } from '../replay/datasetParser.js';
+import { downloadBlob } from '../utils/download.js';
+
+const STORAGE_KEY = 'tep.diagnosisModel';
+const HISTORY_LENGTH = 60;
+const HISTORY_TRAINING_ROWS = 5000;
+
+const loadStoredModel = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? parseDiagnosisModel(stored) : null;
+  } catch {
+    return null;
+  }
+};
+
+// Fault diagnosis state for the dashboard: the current model (kept in
+// localStorage), training/import actions and the recent classification
+// history. Classification itself runs in the processing pipeline's worker.
+export const useDiagnosis = (pipeline) => {
+  const [model, setModel] = useState(null);
+  const [diagnosis, setDiagnosis] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [training, setTraining] = useState(null);
+  const [error, setError] = useState(null);
+  const trainingRef = useRef(false);
+
+  useEffect(() => {
+    const stored = loadStoredModel();
+    if (stored) {
+      pipeline.setDiagnosisModel(stored);
+      setModel(stored);
+    }
+  }, [pipeline]);
+
+  const install = (next) => {
+    pipeline.setDiagnosisModel(next);
+    setModel(next);
+    setDiagnosis(null);
+    setHistory([]);
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    } catch {
+      // Quota exceeded: the model still works for this session
+    }
+  };
+
+  // `source` describes the training data; a function gets the loaded runs
+  const train = async (getRuns, source) => {
+    if (trainingRef.current) return;
+    trainingRef.current = true;
+    setError(null);
+    setTraining(0);
+    try {
+      const runs = await getRuns();
+      const described = typeof source === 'function' ? source(runs) : source;
+      install(await trainDiagnosisModel(runs, { source: described, onProgress: setTraining }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      trainingRef.current = false;
+      setTraining(null);
+    }
+  };
+
+  // A frame's worth of { diagnosis, time } from the pipeline, oldest first
+  const record = (entries) => {
+    const classified = entries.filter(entry => entry.diagnosis);
+    if (classified.length === 0) return;
+    setDiagnosis(classified[classified.length - 1].diagnosis);
+    setHistory(prev => {
+      const points = classified.map(({ diagnosis: result, time }) => {
+        const point = { time };
+        result.probabilities.forEach(({ cls, p }) => {
+          point[`p_${cls}`] = p;
+        });
+        return point;
+      });
+      return [...prev, ...points].slice(-HISTORY_LENGTH);
+    });
+  };
+
+  // Stable between renders (they only touch setters, refs and the pipeline)
+  // so memoised panels receiving them skip re-rendering
+  const actions = useMemo(() => ({
+    record,
+    // The worker drops its sample window when a new source starts; this clears the display
+    reset: () => {
+      setDiagnosis(null);
+      setHistory([]);
+    },
+    trainFromSimulator: () => train(async () => simulatorTrainingRuns(), 'simulator'),
+    trainFromFiles: (files) => train(
+      async () => Promise.all([...files].map(async file => datasetTrainingRun(await parseDatasetFile(file)))),
+      [...files].map(file => file.name).join(', ')
+    ),
+    // Normal class from the latest stored plant samples, with operator notes
+    // marking what to leave out; fault classes from the simulator
+    // `flags` ({ alarmEvents, model }) mark abnormal samples besides the notes
+    trainFromHistory: (store, flags) => train(async () => {
+      const [rows, notes] = await Promise.all([store.query({ limit: HISTORY_TRAINING_ROWS }), store.queryNotes()]);
+      const plant = historyTrainingRun(rows, notes, flags);
+      if (plant.labels.filter(label => label === 0).length < HISTORY_TRAINING_ROWS / 10) {
+        throw new Error('학습에 쓸 정상 운전 이력이 부족합니다');
+      }
+      return [...simulatorTrainingRuns().filter(run => run.labels[0] !== 0), plant];
+    }, runs => {
+      const plant = runs[runs.length - 1];
+      return `plant history (${plant.rows.length} samples, ${plant.excludedByNotes} excluded by notes, ${plant.excludedByMonitor} by alarms/PCA) + simulator faults`;
+    }),
+    importModel: async (file) => {
+      setError(null);
+      try {
+        install(parseDiagnosisModel(await file.text()));
+      } catch (err) {
+        setError(`${file.name}: ${err.message}`);
+      }
+    }
+  }), [pipeline]);
+
+  const exportModel = useMemo(() => () => {
+    if (model) downloadBlob(JSON.stringify(model), 'tep-diagnosis-model.json', 'application/json');
+  }, [model]);
+
+  return { model, diagnosis, history, training, error, ...actions, exportModel };
+};
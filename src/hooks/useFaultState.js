@@ -0,0 +1,18 @@
+import { useEffect, useState } from 'react';
+
+const NO_FAULTS = { active: null, schedule: [] };
+
+// Fault injection state of a source; sources without injection report none.
+export const useFaultState = (source) => {
+  const [faultState, setFaultState] = useState(source.getFaultState ? source.getFaultState() : NO_FAULTS);
+
+  useEffect(() => {
+    if (!source.onFault) {
+      setFaultState(NO_FAULTS);
+      return undefined;
+    }
+    return source.onFault(setFaultState);
+  }, [source]);
+
+  return faultState;
+};
@@ -0,0 +1,46 @@
+import { useCallback, useEffect, useMemo, useRef } from 'react';
+
+// Background tabs get no animation frames; the timer keeps hidden dashboards
+// from piling up unrendered samples
+const MAX_DELAY = 250;
+
+// Collects items and hands them to `onFlush` at most once per animation
+// frame, so a burst of samples becomes one React render. Returns stable
+// `push(items)` (an array) and `clear()` to drop what has not been flushed.
+export const useFrameBatch = (onFlush) => {
+  const onFlushRef = useRef(onFlush);
+  onFlushRef.current = onFlush;
+  const pending = useRef([]);
+  const scheduled = useRef(null);
+
+  const cancel = useCallback(() => {
+    if (!scheduled.current) return;
+    if (scheduled.current.frame !== null) cancelAnimationFrame(scheduled.current.frame);
+    clearTimeout(scheduled.current.timer);
+    scheduled.current = null;
+  }, []);
+
+  const flush = useCallback(() => {
+    cancel();
+    const items = pending.current;
+    pending.current = [];
+    if (items.length > 0) onFlushRef.current(items);
+  }, [cancel]);
+
+  useEffect(() => cancel, [cancel]);
+
+  return useMemo(() => ({
+    push: (items) => {
+      items.forEach(item => pending.current.push(item));
+      if (scheduled.current) return;
+      scheduled.current = {
+        frame: typeof requestAnimationFrame !== 'undefined' ? requestAnimationFrame(flush) : null,
+        timer: setTimeout(flush, MAX_DELAY)
+      };
+    },
+    clear: () => {
+      cancel();
+      pending.current = [];
+    }
+  }), [flush, cancel]);
+};
@@ -0,0 +1,16 @@
+import { useEffect, useState } from 'react';
+import { createHistory, historyOptions } from '../history/index.js';
+
+// The sample historian, configured by the settings' `history` section.
+// `error` is the latest failed background write or compaction (null once
+// that operation succeeds again).
+export const useHistorian = (config) => {
+  const [error, setError] = useState(null);
+  const [history] = useState(() => createHistory({ ...historyOptions(config), onError: setError }));
+
+  useEffect(() => {
+    history.configure(historyOptions(config));
+  }, [config.rawRetentionHours, config.retentionDays]);
+
+  return { history, error };
+};
@@ -0,0 +1,18 @@
+import { useEffect, useState } from 'react';
+import { createProcessingPipeline } from '../processing/index.js';
+
+// Processing pipeline for the lifetime of the component: its worker runs the
+// data sources, alarm evaluation and statistics, and the live samples it
+// batches up are written to `history` here, where the historian lives.
+export const useIngestion = (history) => {
+  const [pipeline] = useState(createProcessingPipeline);
+
+  useEffect(() => {
+    pipeline.start();
+    return () => pipeline.terminate();
+  }, [pipeline]);
+
+  useEffect(() => pipeline.onHistory(rows => rows.forEach(history.append)), [pipeline, history]);
+
+  return pipeline;
+};
@@ -0,0 +1,83 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { normalizeLayouts } from '../dashboard/layouts.js';
+
+const STORAGE_KEY = 'tep.layouts';
+
+const loadLayouts = () => {
+  try {
+    return normalizeLayouts(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch {
+    return normalizeLayouts(null);
+  }
+};
+
+// Named dashboard layouts shared by everyone on this browser. Each user sees
+// the layout they last picked, otherwise their role's default.
+export const useLayouts = (user) => {
+  const [state, setState] = useState(loadLayouts);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  }, [state]);
+
+  const update = useCallback((fn) => setState(prev => normalizeLayouts(fn(prev))), []);
+
+  const activeId = (user && state.active[user.username])
+    || (user && state.roleDefaults[user.role])
+    || state.layouts[0].id;
+  const active = state.layouts.find(l => l.id === activeId) || state.layouts[0];
+  const username = user ? user.username : null;
+
+  const select = useCallback((id) => {
+    if (username) update(prev => ({ ...prev, active: { ...prev.active, [username]: id } }));
+  }, [update, username]);
+
+  // New layout copied from `fromId`, selected for the current user
+  const create = useCallback((name, fromId) => {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed) throw new Error('레이아웃 이름을 입력하세요');
+    if (state.layouts.some(l => l.name === trimmed)) throw new Error(`이미 있는 레이아웃 이름입니다: ${trimmed}`);
+    const id = `layout-${Date.now().toString(36)}`;
+    const from = state.layouts.find(l => l.id === fromId) || state.layouts[0];
+    update(prev => ({
+      ...prev,
+      layouts: [...prev.layouts, { id, name: trimmed, widgets: from.widgets.map(w => ({ ...w, config: { ...w.config } })) }],
+      active: username ? { ...prev.active, [username]: id } : prev.active
+    }));
+    return id;
+  }, [state.layouts, update, username]);
+
+  const rename = useCallback((id, name) => {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed) throw new Error('레이아웃 이름을 입력하세요');
+    update(prev => ({ ...prev, layouts: prev.layouts.map(l => (l.id === id ? { ...l, name: trimmed } : l)) }));
+  }, [update]);
+
+  // Role defaults and user choices pointing at a removed layout fall back
+  // when the state is normalised
+  const remove = useCallback((id) => {
+    if (state.layouts.length <= 1) throw new Error('마지막 레이아웃은 삭제할 수 없습니다');
+    update(prev => ({ ...prev, layouts: prev.layouts.filter(l => l.id !== id) }));
+  }, [state.layouts.length, update]);
+
+  // `fn` maps the layout's current widget list to the new one
+  const updateWidgets = useCallback((id, fn) => {
+    update(prev => ({ ...prev, layouts: prev.layouts.map(l => (l.id === id ? { ...l, widgets: fn(l.widgets) } : l)) }));
+  }, [update]);
+
+  const setRoleDefault = useCallback((role, id) => {
+    update(prev => ({ ...prev, roleDefaults: { ...prev.roleDefaults, [role]: id } }));
+  }, [update]);
+
+  return useMemo(() => ({
+    layouts: state.layouts,
+    roleDefaults: state.roleDefaults,
+    active,
+    select,
+    create,
+    rename,
+    remove,
+    updateWidgets,
+    setRoleDefault
+  }), [state.layouts, state.roleDefaults, active, select, create, rename, remove, updateWidgets, setRoleDefault]);
+};
@@ -0,0 +1,150 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { TEP_VARIABLES } from '../catalog/tepVariables.js';
+import { MONITOR_PHASES } from '../monitoring/processMonitor.js';
+import { useSettings } from '../settings/SettingsContext.jsx';
+import { useChartHistory } from './useChartHistory.js';
+import { useFrameBatch } from './useFrameBatch.js';
+import { formatSampleTime } from '../utils/format.js';
+import { EMPTY_LOG, appendLog } from '../utils/chunkedLog.js';
+
+const LOG_TOP_SENSORS = 5;
+const LEARNING = { phase: MONITOR_PHASES.LEARNING, progress: 0, status: 'LEARNING' };
+
+// TEP Data Generation
+const generateTEPData = () => TEP_VARIABLES.map(({ id, kind, unitOp }) => ({
+  id,
+  kind,
+  unitOp,
+  value: 0,
+  share: 0,
+  risk: 0,
+  status: 'Normal'
+}));
+
+// Sensor status from its active, unshelved alarms
+const sensorStatuses = (alarms) => {
+  const statuses = new Map();
+  alarms.filter(a => a.active && !a.shelvedUntil).forEach(a => {
+    if (a.priority === 'high') statuses.set(a.sensorId, 'Critical');
+    else if (!statuses.has(a.sensorId)) statuses.set(a.sensorId, 'Warning');
+  });
+  return statuses;
+};
+
+// Sensor list for a pipeline result, ranked by contribution. A sensor's risk
+// is its contribution to T² and SPE as a share of the control limits (100% =
+// it alone reaches a limit).
+const rankSensors = (result, statuses) => result.ranking.map(id => {
+  const { kind, unitOp } = TEP_VARIABLES[id - 1];
+  const share = result.shares[id - 1];
+  return {
+    id,
+    kind,
+    unitOp,
+    value: result.values[id - 1],
+    share,
+    risk: Math.min(100, share * 100),
+    status: statuses.get(id) || 'Normal'
+  };
+});
+
+// One chart row per sample; every sensor is kept so newly selected ones have history
+const chartPoint = (timestamp, values, timeBase) => {
+  const point = { time: formatSampleTime(timestamp, timeBase), timestamp };
+  values.forEach((value, idx) => {
+    point[`sensor_${idx + 1}`] = value;
+  });
+  return point;
+};
+
+// What the dashboard shows of the running stream: ranked sensors, monitor
+// status, the trend chart (live window or scrolled back through `history`)
+// and the data log. Pipeline results are applied once per animation frame.
+// `getAlarms` gives the current alarm list for sensor statuses and
+// `onDiagnosis` receives a frame's { diagnosis, time } entries.
+export const useLiveData = (pipeline, history, { timeBase, getAlarms, onDiagnosis }) => {
+  const { settings } = useSettings();
+  const [sensors, setSensors] = useState(generateTEPData);
+  const [monitorResult, setMonitorResult] = useState(LEARNING);
+  const [chartData, setChartData] = useState([]);
+  const [dataLog, setDataLog] = useState(EMPTY_LOG);
+  const [sampleTime, setSampleTime] = useState(null);
+  const chartHistory = useChartHistory(history, settings.chartWindow);
+  const lastTimestamp = useRef(-Infinity);
+  const logSeq = useRef(0);
+
+  // Pipeline results of one animation frame, oldest first, applied as a
+  // single render
+  const applyResults = (results) => {
+    const latest = results[results.length - 1];
+    const statuses = sensorStatuses(getAlarms());
+    const updated = rankSensors(latest, statuses);
+    const times = results.map(r => formatSampleTime(r.timestamp, timeBase));
+    // A replay seek backwards restarts the chart window
+    let rewindAt = -1;
+    results.forEach((r, idx) => {
+      if (r.timestamp < lastTimestamp.current) rewindAt = idx;
+      lastTimestamp.current = r.timestamp;
+    });
+    const fresh = rewindAt >= 0 ? results.slice(rewindAt) : results;
+
+    setSensors(updated);
+    setMonitorResult(latest.monitor);
+    setSampleTime(times[times.length - 1]);
+    onDiagnosis(results.map((r, idx) => ({ diagnosis: r.diagnosis, time: times[idx] })));
+
+    // Update chart data
+    const points = fresh.map(r => chartPoint(r.timestamp, r.values, timeBase));
+    setChartData(prev => [...(rewindAt >= 0 ? [] : prev), ...points].slice(-settings.chartWindow));
+
+    // Update data log (every sensor or the top five ranked).
+    // Earlier samples of the frame are logged with the latest alarm states.
+    const entries = [];
+    results.forEach((r, idx) => {
+      const ranked = r === latest ? updated : rankSensors(r, statuses);
+      const logged = settings.logAllSensors ? ranked : ranked.slice(0, LOG_TOP_SENSORS);
+      logged.forEach(s => entries.push({
+        no: ++logSeq.current,
+        timestamp: r.timestamp,
+        time: times[idx],
+        sensorId: s.id,
+        value: s.value,
+        status: s.status
+      }));
+    });
+    setDataLog(prev => appendLog(prev, entries, settings.logCap));
+  };
+
+  const frames = useFrameBatch(applyResults);
+  useEffect(() => pipeline.onResults(frames.push), [pipeline, frames]);
+
+  // Trend chart: the live window, or a window scrolled back through the historian
+  const displayedChart = useMemo(() => (chartHistory.rows
+    ? chartHistory.rows.map(row => chartPoint(row.timestamp, row.values))
+    : chartData), [chartHistory.rows, chartData]);
+
+  // Stable between renders (they only touch setters, refs and the frame batch)
+  const actions = useMemo(() => ({
+    // Start over for a new stream
+    reset: () => {
+      frames.clear();
+      chartHistory.live();
+      lastTimestamp.current = -Infinity;
+      setChartData([]);
+      setDataLog(EMPTY_LOG);
+      logSeq.current = 0;
+      setSampleTime(null);
+    },
+    // Drop results not yet shown, e.g. those computed with a replaced model
+    discardPending: frames.clear,
+    // The monitor learns a new reference from the next samples
+    restartLearning: () => {
+      frames.clear();
+      setMonitorResult(LEARNING);
+    },
+    // Timestamp of the newest sample shown, -Infinity before the first
+    latestTimestamp: () => lastTimestamp.current
+  }), [frames, chartHistory.live]);
+
+  return { sensors, monitorResult, chartData, displayedChart, chartHistory, dataLog, sampleTime, ...actions };
+};
@@ -0,0 +1,59 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { createNote, byTimestamp } from '../notes/index.js';
+
+// Operator notes, oldest first. Notes on live data are stored in the
+// historian next to the samples they describe; a replayed run has no
+// wall-clock time, so its notes only last until the source changes.
+export const useNotes = (history, timeBase) => {
+  const [stored, setStored] = useState([]);
+  const [session, setSession] = useState([]);
+  const [error, setError] = useState(null);
+  const persistent = timeBase !== 'elapsed';
+
+  const reload = useCallback(async () => {
+    setError(null);
+    try {
+      setStored(await history.queryNotes());
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [history]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  // Throws on invalid input or a failed write so the note form can show why
+  const add = useCallback(async (fields) => {
+    const note = createNote(fields);
+    if (persistent) {
+      await history.addNote(note);
+      setStored(prev => [...prev, note].sort(byTimestamp));
+    } else {
+      setSession(prev => [...prev, note].sort(byTimestamp));
+    }
+    return note;
+  }, [history, persistent]);
+
+  const remove = useCallback(async (note) => {
+    setError(null);
+    try {
+      if (persistent) await history.deleteNote(note.id);
+      (persistent ? setStored : setSession)(prev => prev.filter(n => n.id !== note.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [history, persistent]);
+
+  const clearSession = useCallback(() => setSession([]), []);
+
+  return useMemo(() => ({
+    notes: persistent ? stored : session,
+    persistent,
+    error,
+    add,
+    remove,
+    reload,
+    clearSession
+  }), [persistent, stored, session, error, add, remove, reload, clearSession]);
+};
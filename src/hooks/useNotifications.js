@@ -0,0 +1,72 @@
+import { useEffect, useRef, useState } from 'react';
+import { createAnnunciator } from '../notifications/annunciator.js';
+import { createNotifier } from '../notifications/notifier.js';
+import { postWebhook, showBrowserNotification } from '../notifications/channels.js';
+
+// Escalation timers and quiet-hour boundaries advance without alarm changes
+const TICK = 5000;
+
+// Notifications for the alarm list: browser pop-ups, the audible annunciator
+// and webhooks, configured by settings.notifications
+export const useNotifications = (alarms, config, { sensorLabel, sensorUnit }) => {
+  const labels = useRef({ sensorLabel, sensorUnit });
+  labels.current = { sensorLabel, sensorUnit };
+  // Timers and the webhook channel read the current alarms and settings
+  const latest = useRef({ alarms, config });
+  latest.current = { alarms, config };
+  const [sounding, setSounding] = useState(null);
+  const [webhookError, setWebhookError] = useState(null);
+
+  const [annunciator] = useState(createAnnunciator);
+  const [notifier] = useState(() => createNotifier({
+    describe: (alarm) => ({ sensor: labels.current.sensorLabel(alarm.sensorId), unit: labels.current.sensorUnit(alarm.sensorId) }),
+    channels: {
+      notify: showBrowserNotification,
+      webhook: (payload) => postWebhook(latest.current.config.webhookUrl, payload)
+        .then(() => setWebhookError(null))
+        .catch(err => setWebhookError(err.message)),
+      sound: (priority) => {
+        annunciator.play(priority);
+        setSounding(priority);
+      }
+    }
+  }));
+
+  useEffect(() => {
+    const unlock = () => annunciator.unlock();
+    window.addEventListener('pointerdown', unlock);
+    window.addEventListener('keydown', unlock);
+    return () => {
+      window.removeEventListener('pointerdown', unlock);
+      window.removeEventListener('keydown', unlock);
+      annunciator.dispose();
+    };
+  }, [annunciator]);
+
+  useEffect(() => {
+    annunciator.setVolume(config.volume / 100);
+  }, [annunciator, config.volume]);
+
+  useEffect(() => {
+    notifier.update(alarms, config);
+  }, [notifier, alarms, config]);
+
+  useEffect(() => {
+    const timer = setInterval(() => notifier.update(latest.current.alarms, latest.current.config), TICK);
+    return () => clearInterval(timer);
+  }, [notifier]);
+
+  return {
+    sounding,
+    webhookError,
+    silence: notifier.silence,
+    testTone: (priority) => {
+      annunciator.unlock();
+      annunciator.test(priority);
+    },
+    testBrowser: () => showBrowserNotification({ title: 'TEP Monitor 테스트 알림', body: '브라우저 알림이 동작합니다', tag: 'tep-test', sticky: false }),
+    testWebhook: (url) => postWebhook(url, notifier.testPayload({
+      key: '1:HI', sensorId: 1, type: 'HI', priority: 'high', value: 0, limit: 0, activatedAt: Date.now()
+    }))
+  };
+};
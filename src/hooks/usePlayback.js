@@ -0,0 +1,16 @@
+import { useEffect, useState } from 'react';
+
+// Playback position of a replay source (null for live sources)
+export const usePlayback = (source) => {
+  const [playback, setPlayback] = useState(source.getPlayback ? source.getPlayback() : null);
+
+  useEffect(() => {
+    if (!source.onPlayback) {
+      setPlayback(null);
+      return undefined;
+    }
+    return source.onPlayback(setPlayback);
+  }, [source]);
+
+  return playback;
+};
@@ -0,0 +1,36 @@
+import { useCallback, useState } from 'react';
+import { parseDatasetFile } from '../replay/datasetParser.js';
+import { useAuth } from '../auth/AuthContext.jsx';
+
+// PCA reference model of the monitoring pipeline. load(file) refits it from a
+// normal-operation file (e.g. d00.dat), or from the part of a faulty run
+// before the fault was introduced; relearn() learns it again from the next
+// normal samples. `live` is the dashboard's useLiveData state, which drops
+// results of the replaced model.
+export const useReferenceModel = (pipeline, live) => {
+  const { audit } = useAuth();
+  const [error, setError] = useState(null);
+  const { discardPending, restartLearning } = live;
+
+  const load = useCallback(async (file) => {
+    setError(null);
+    try {
+      const dataset = await parseDatasetFile(file);
+      const rows = dataset.faultOnset !== null ? dataset.samples.slice(0, dataset.faultOnset) : dataset.samples;
+      if (rows.length < 60) throw new Error(`${file.name}: not enough normal samples for a reference model`);
+      discardPending();
+      await pipeline.fit(rows);
+      audit('model.fit', `PCA reference from ${file.name} (${rows.length} samples)`);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [pipeline, discardPending, audit]);
+
+  const relearn = useCallback(() => {
+    audit('model.relearn', 'PCA reference from the next normal samples');
+    pipeline.reset();
+    restartLearning();
+  }, [pipeline, restartLearning, audit]);
+
+  return { model: pipeline.getModel(), error, load, relearn };
+};
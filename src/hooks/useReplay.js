@@ -0,0 +1,40 @@
+import { useRef, useState } from 'react';
+import { DEFAULT_PLAYBACK_SPEED } from '../datasources/replaySource.js';
+import { useAuth } from '../auth/AuthContext.jsx';
+import { useSettings } from '../settings/SettingsContext.jsx';
+
+// Benchmark dataset replay: open(file, run?) parses the file in the
+// processing worker and switches to it, selectRun(run) switches to another
+// run of the same file and exit() goes back to live data. All of them need
+// the replay.load permission.
+export const useReplay = (pipeline, { playback, switchSource, goLive }) => {
+  const { can, audit } = useAuth();
+  const { settings } = useSettings();
+  const [error, setError] = useState(null);
+  const file = useRef(null);
+
+  const open = async (next, run) => {
+    if (!can('replay.load')) return;
+    setError(null);
+    try {
+      const dataset = await pipeline.openDataset(next, run);
+      file.current = next;
+      audit('replay.load', run !== undefined ? `${next.name} (fault ${run.faultNumber}, run ${run.simulationRun})` : next.name);
+      switchSource({ kind: 'replay', file: next, run, dataset, speed: playback ? playback.speed : DEFAULT_PLAYBACK_SPEED });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return {
+    error,
+    canLoad: can('replay.load'),
+    open,
+    selectRun: (run) => open(file.current, run),
+    exit: () => {
+      if (!can('replay.load')) return;
+      audit('source.live', settings.dataSource.kind);
+      goLive();
+    }
+  };
+};
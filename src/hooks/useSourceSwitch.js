@@ -0,0 +1,41 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useSettings } from '../settings/SettingsContext.jsx';
+import { useDataSource } from './useDataSource.js';
+
+// Data source described by the current settings
+const liveSourceConfig = (settings) => ({
+  kind: settings.dataSource.kind,
+  url: settings.dataSource.url,
+  interval: settings.updateInterval
+});
+
+// The data source on screen: the live source from the settings or a replay,
+// both running in the processing pipeline's worker. switchSource(config)
+// hands over to another one after `onSwitch` has cleared what was shown of
+// the previous stream; goLive() returns to the live source.
+export const useSourceSwitch = (pipeline, onSwitch) => {
+  const { settings } = useSettings();
+  const liveConfig = liveSourceConfig(settings);
+  const [source, setSource] = useState(() => pipeline.createSource(liveConfig));
+  const status = useDataSource(source);
+  const onSwitchRef = useRef(onSwitch);
+  onSwitchRef.current = onSwitch;
+
+  const switchSource = useCallback((config) => {
+    pipeline.discard();
+    onSwitchRef.current();
+    setSource(pipeline.createSource(config));
+  }, [pipeline]);
+
+  // Reconnect the live source when its settings change; a running replay picks
+  // them up when it exits back to live data
+  const liveConfigKey = JSON.stringify(liveConfig);
+  const appliedConfigKey = useRef(liveConfigKey);
+  useEffect(() => {
+    if (liveConfigKey === appliedConfigKey.current) return;
+    appliedConfigKey.current = liveConfigKey;
+    if (source.kind !== 'replay') switchSource(liveConfig);
+  }, [liveConfigKey]);
+
+  return { source, status, switchSource, goLive: () => switchSource(liveConfig) };
+};
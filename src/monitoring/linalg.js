@@ -0,0 +1,82 @@
+// Minimal dense linear algebra for the monitoring models (row-major arrays).
+
+export const columnMeans = (rows) => {
+  const m = rows[0].length;
+  const means = new Array(m).fill(0);
+  rows.forEach(row => row.forEach((v, j) => { means[j] += v; }));
+  return means.map(v => v / rows.length);
+};
+
+export const columnStds = (rows, means) => {
+  const m = rows[0].length;
+  const sums = new Array(m).fill(0);
+  rows.forEach(row => row.forEach((v, j) => { sums[j] += (v - means[j]) ** 2; }));
+  return sums.map(v => Math.sqrt(v / Math.max(1, rows.length - 1)));
+};
+
+// Sample covariance of already-centred rows
+export const covariance = (rows) => {
+  const m = rows[0].length;
+  const cov = Array.from({ length: m }, () => new Array(m).fill(0));
+  rows.forEach(row => {
+    for (let i = 0; i < m; i++) {
+      const ri = row[i];
+      for (let j = i; j < m; j++) cov[i][j] += ri * row[j];
+    }
+  });
+  const scale = 1 / Math.max(1, rows.length - 1);
+  for (let i = 0; i < m; i++) {
+    for (let j = i; j < m; j++) {
+      cov[i][j] *= scale;
+      cov[j][i] = cov[i][j];
+    }
+  }
+  return cov;
+};
+
+// Cyclic Jacobi eigen-decomposition of a symmetric matrix.
+// Returns eigenvalues in descending order with matching eigenvectors (as rows).
+export const symmetricEigen = (matrix, { maxSweeps = 50, tolerance = 1e-12 } = {}) => {
+  const n = matrix.length;
+  const a = matrix.map(row => [...row]);
+  const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < maxSweeps; sweep++) {
+    let off = 0;
+    for (let p = 0; p < n; p++) for (let q = p + 1; q < n; q++) off += a[p][q] ** 2;
+    if (off < tolerance) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-300) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return a
+    .map((row, i) => ({ value: row[i], vector: v.map(r => r[i]) }))
+    .sort((x, y) => y.value - x.value);
+};
@@ -0,0 +1,100 @@
+import { columnMeans, columnStds, covariance, symmetricEigen } from './linalg.js';
+import { normalQuantile, fQuantile, chiSquareQuantile } from './distributions.js';
+
+const CV_FOLDS = 5;
+
+// Box (1954) g·χ²_h approximation matched to the mean and variance of SPE values
+const boxLimit = (values, alpha) => {
+  const mean = values.reduce((acc, v) => acc + v, 0) / values.length;
+  const variance = values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / Math.max(1, values.length - 1);
+  if (!(mean > 0) || !(variance > 0)) return 0;
+  return (variance / (2 * mean)) * chiSquareQuantile(alpha, (2 * mean * mean) / variance);
+};
+
+// PCA model on autoscaled normal-operation data with Hotelling's T² and
+// SPE (Q) control limits at confidence `alpha`. `components` defaults to the
+// smallest number explaining `varianceExplained` of the variance.
+//
+// With short reference windows the smallest eigenvalues are badly
+// underestimated, so the Jackson & Mudholkar SPE limit comes out far too
+// tight. The SPE limit is therefore the larger of that and a Box
+// approximation fitted to cross-validated (held-out) SPE values.
+export const fitPCA = (rows, options = {}) => {
+  const model = fitModel(rows, options);
+  if (options.crossValidate === false || rows.length < CV_FOLDS * 10) return model;
+
+  const heldOut = [];
+  for (let fold = 0; fold < CV_FOLDS; fold++) {
+    const train = rows.filter((_, i) => i % CV_FOLDS !== fold);
+    const foldModel = fitModel(train, { ...options, components: model.components });
+    rows.forEach((row, i) => {
+      if (i % CV_FOLDS === fold) heldOut.push(scorePCA(foldModel, row).spe);
+    });
+  }
+
+  return { ...model, speLimit: Math.max(model.speLimit, boxLimit(heldOut, model.alpha)) };
+};
+
+const fitModel = (rows, { varianceExplained = 0.9, alpha = 0.99, components } = {}) => {
+  const n = rows.length;
+  const mean = columnMeans(rows);
+  // Constant columns (e.g. a fixed valve) get unit scale instead of dividing by zero
+  const std = columnStds(rows, mean).map(s => (s > 1e-9 ? s : 1));
+  const scaled = rows.map(row => row.map((v, j) => (v - mean[j]) / std[j]));
+  const eigen = symmetricEigen(covariance(scaled)).map(e => ({ ...e, value: Math.max(e.value, 0) }));
+
+  const total = eigen.reduce((acc, e) => acc + e.value, 0) || 1;
+  let k = components;
+  if (!k) {
+    let cumulative = 0;
+    k = eigen.findIndex(e => (cumulative += e.value / total) >= varianceExplained) + 1;
+  }
+  k = Math.max(1, Math.min(k, eigen.length - 1, n - 2));
+
+  const retained = eigen.slice(0, k);
+  const residual = eigen.slice(k).map(e => e.value);
+
+  const t2Limit = (k * (n - 1) * (n + 1)) / (n * (n - k)) * fQuantile(alpha, k, n - k);
+
+  // Jackson & Mudholkar (1979)
+  const theta = [1, 2, 3].map(p => residual.reduce((acc, l) => acc + l ** p, 0));
+  const h0 = 1 - (2 * theta[0] * theta[2]) / (3 * theta[1] ** 2);
+  const z = normalQuantile(alpha);
+  const speLimit = theta[0] * Math.pow(
+    (z * Math.sqrt(2 * theta[1] * h0 * h0)) / theta[0] + 1 + (theta[1] * h0 * (h0 - 1)) / (theta[0] ** 2),
+    1 / h0
+  );
+
+  return {
+    mean,
+    std,
+    components: k,
+    eigenvalues: retained.map(e => e.value),
+    loadings: retained.map(e => e.vector),
+    varianceExplained: retained.reduce((acc, e) => acc + e.value, 0) / total,
+    samples: n,
+    alpha,
+    t2Limit,
+    speLimit
+  };
+};
+
+// T², SPE and per-variable contributions for one sample.
+// T² contributions use the complete decomposition x_j·(PΛ⁻¹Pᵀx)_j, which sums
+// to T² but can be negative; SPE contributions are the squared residuals.
+export const scorePCA = (model, values) => {
+  const x = values.map((v, j) => (v - model.mean[j]) / model.std[j]);
+  const scores = model.loadings.map(p => p.reduce((acc, pj, j) => acc + pj * x[j], 0));
+
+  const t2 = scores.reduce((acc, t, a) => acc + (t * t) / model.eigenvalues[a], 0);
+  const weighted = x.map((_, j) => model.loadings.reduce((acc, p, a) => acc + (p[j] * scores[a]) / model.eigenvalues[a], 0));
+  const reconstructed = x.map((_, j) => model.loadings.reduce((acc, p, a) => acc + p[j] * scores[a], 0));
+  const residual = x.map((v, j) => v - reconstructed[j]);
+
+  return {
+    t2,
+    spe: residual.reduce((acc, e) => acc + e * e, 0),
+    t2Contributions: x.map((v, j) => v * weighted[j]),
+    speContributions: residual.map(e => e * e)
+  };
+};
@@ -0,0 +1,79 @@
+import { fitPCA, scorePCA } from './pca.js';
+
+export const MONITOR_PHASES = {
+  LEARNING: 'learning',
+  MONITORING: 'monitoring'
+};
+
+// Online PCA monitor. The first `referenceSize` samples are taken as normal
+// operation and used to fit the model; every later sample is scored against it.
+// A statistic only counts as violated after `persistence` consecutive samples
+// above its limit, which keeps single 1% false alarms from flipping the status.
+// Passing an already fitted `model` skips the learning phase; so does
+// resetting to one.
+export const createProcessMonitor = ({ referenceSize = 200, persistence = 3, alpha = 0.99, varianceExplained = 0.9, model: fitted = null } = {}) => {
+  let reference = [];
+  let model = fitted;
+  let t2Run = 0;
+  let speRun = 0;
+
+  const reset = (next = null) => {
+    reference = [];
+    model = next;
+    t2Run = 0;
+    speRun = 0;
+  };
+
+  const fit = (rows) => {
+    model = fitPCA(rows, { alpha, varianceExplained });
+    reference = [];
+    t2Run = 0;
+    speRun = 0;
+    return model;
+  };
+
+  const process = (sample) => {
+    if (!model) {
+      reference.push(sample.values);
+      if (reference.length < referenceSize) {
+        return { phase: MONITOR_PHASES.LEARNING, progress: reference.length / referenceSize, status: 'LEARNING' };
+      }
+      fit(reference);
+    }
+
+    const score = scorePCA(model, sample.values);
+    const t2Ratio = score.t2 / model.t2Limit;
+    const speRatio = score.spe / model.speLimit;
+    t2Run = t2Ratio > 1 ? t2Run + 1 : 0;
+    speRun = speRatio > 1 ? speRun + 1 : 0;
+    const t2Alarm = t2Run >= persistence;
+    const speAlarm = speRun >= persistence;
+
+    // Share of each limit a variable accounts for; 1.0 means it alone reaches a limit
+    const contributions = score.t2Contributions.map((c, j) => {
+      const t2Share = Math.max(0, c) / model.t2Limit;
+      const speShare = score.speContributions[j] / model.speLimit;
+      return { id: j + 1, t2: c, spe: score.speContributions[j], share: t2Share + speShare };
+    });
+
+    return {
+      phase: MONITOR_PHASES.MONITORING,
+      progress: 1,
+      t2: score.t2,
+      spe: score.spe,
+      t2Limit: model.t2Limit,
+      speLimit: model.speLimit,
+      t2Ratio,
+      speRatio,
+      contributions,
+      status: t2Alarm && speAlarm ? 'CRITICAL' : t2Alarm || speAlarm ? 'WARNING' : 'NORMAL'
+    };
+  };
+
+  return {
+    process,
+    fit,
+    reset,
+    getModel: () => model
+  };
+};
@@ -0,0 +1,80 @@
+// Operator note categories. `training` says how fault-model training treats
+// the samples a note covers: 'exclude' keeps them out of the normal class,
+// 'normal' confirms them as normal operation, null leaves them as they are.
+export const NOTE_CATEGORIES = [
+  { id: 'maintenance', label: '정비 (Maintenance)', color: '#f59e0b', training: 'exclude' },
+  { id: 'grade-change', label: '제품 전환 (Grade change)', color: '#8b5cf6', training: 'exclude' },
+  { id: 'upset', label: '공정 이상 (Process upset)', color: '#ef4444', training: 'exclude' },
+  { id: 'false-alarm', label: '오경보 (False alarm)', color: '#10b981', training: 'normal' },
+  { id: 'operator-action', label: '운전 조치 (Operator action)', color: '#3b82f6', training: null },
+  { id: 'other', label: '기타 (Other)', color: '#94a3b8', training: null }
+];
+
+export const noteCategory = (id) => NOTE_CATEGORIES.find(c => c.id === id) || NOTE_CATEGORIES[NOTE_CATEGORIES.length - 1];
+
+const MAX_TEXT = 2000;
+
+// Validated note ready to store. `timestamp` is the sample time the note is
+// attached to; `duration` (ms, 0 for a point event) is how long it applies.
+export const createNote = ({ timestamp, category, text, duration = 0, sensorId = null, author = null }) => {
+  const trimmed = String(text ?? '').trim();
+  if (!Number.isFinite(timestamp)) throw new Error('Note needs a sample time');
+  if (!NOTE_CATEGORIES.some(c => c.id === category)) throw new Error(`Unknown note category: ${category}`);
+  if (!trimmed) throw new Error('메모 내용을 입력하세요');
+  if (trimmed.length > MAX_TEXT) throw new Error(`메모는 ${MAX_TEXT}자 이하로 입력하세요`);
+  if (!Number.isFinite(duration) || duration < 0) throw new Error('Duration must be zero or positive');
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp,
+    duration,
+    category,
+    text: trimmed,
+    sensorId,
+    author,
+    createdAt: Date.now()
+  };
+};
+
+export const noteEnd = (note) => note.timestamp + (note.duration || 0);
+
+export const byTimestamp = (a, b) => a.timestamp - b.timestamp;
+
+// Shifts start at 06:00, 14:00 and 22:00 local time
+export const SHIFT_STARTS = [6, 14, 22];
+const SHIFT_HOURS = 8;
+
+// The shift containing `time` as { start, end } (ms, end exclusive)
+export const shiftOf = (time) => {
+  const d = new Date(time);
+  const hour = SHIFT_STARTS.filter(h => h <= d.getHours()).pop();
+  const start = hour === undefined
+    ? new Date(d.getFullYear(), d.getMonth(), d.getDate() - 1, SHIFT_STARTS[SHIFT_STARTS.length - 1])
+    : new Date(d.getFullYear(), d.getMonth(), d.getDate(), hour);
+  const end = new Date(start.getFullYear(), start.getMonth(), start.getDate(), start.getHours() + SHIFT_HOURS);
+  return { start: start.getTime(), end: end.getTime() };
+};
+
+// Chart markers for the notes that overlap `points` (rows of { time,
+// timestamp }, oldest first). x1 is the `time` label of the first point the
+// note covers, x2 that of the last one for notes spanning several points.
+export const noteMarkers = (notes, points) => {
+  if (notes.length === 0 || points.length === 0) return [];
+  const first = points[0].timestamp;
+  const last = points[points.length - 1].timestamp;
+  return notes.filter(note => noteEnd(note) >= first && note.timestamp <= last).map(note => {
+    const start = points.find(p => p.timestamp >= note.timestamp);
+    let end = start;
+    for (let i = points.length - 1; i >= 0; i--) {
+      if (points[i].timestamp <= noteEnd(note)) {
+        end = points[i];
+        break;
+      }
+    }
+    return {
+      note,
+      color: noteCategory(note.category).color,
+      x1: start.time,
+      x2: end.timestamp > start.timestamp ? end.time : null
+    };
+  });
+};
@@ -0,0 +1,74 @@
+// Tone patterns per priority, repeated every `period` ms while an alarm of
+// that priority is unacknowledged. Faster, higher and more beeps means more
+// urgent, so priorities can be told apart without looking at the screen.
+export const TONES = {
+  high: { frequency: 880, beeps: 3, length: 120, gap: 80, period: 1500, wave: 'square' },
+  medium: { frequency: 660, beeps: 2, length: 180, gap: 120, period: 3000, wave: 'triangle' },
+  low: { frequency: 440, beeps: 1, length: 250, gap: 0, period: 6000, wave: 'sine' }
+};
+
+// WebAudio alarm horn. Browsers keep an AudioContext suspended until the page
+// has seen a user gesture, so unlock() is called from the first click.
+export const createAnnunciator = () => {
+  let context = null;
+  let volume = 0.6;
+  let current = null;
+  let timer = null;
+
+  const audio = () => {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!context && AudioContext) context = new AudioContext();
+    return context;
+  };
+
+  const burst = (priority) => {
+    const ctx = audio();
+    if (!ctx || ctx.state !== 'running') return;
+    const tone = TONES[priority];
+    const start = ctx.currentTime + 0.02;
+    for (let i = 0; i < tone.beeps; i++) {
+      const at = start + i * (tone.length + tone.gap) / 1000;
+      const end = at + tone.length / 1000;
+      const oscillator = ctx.createOscillator();
+      const gain = ctx.createGain();
+      oscillator.type = tone.wave;
+      oscillator.frequency.value = tone.frequency;
+      // Short ramps avoid clicks at the beep edges
+      gain.gain.setValueAtTime(0, at);
+      gain.gain.linearRampToValueAtTime(volume * 0.3, at + 0.01);
+      gain.gain.setValueAtTime(volume * 0.3, end - 0.01);
+      gain.gain.linearRampToValueAtTime(0, end);
+      oscillator.connect(gain).connect(ctx.destination);
+      oscillator.start(at);
+      oscillator.stop(end);
+    }
+  };
+
+  return {
+    unlock: () => {
+      const ctx = audio();
+      if (ctx && ctx.state === 'suspended') ctx.resume().catch(() => {});
+    },
+    setVolume: (value) => {
+      volume = Math.min(1, Math.max(0, value));
+    },
+    // Loop the pattern for `priority` until play(null)
+    play: (priority) => {
+      if (priority === current) return;
+      clearInterval(timer);
+      timer = null;
+      current = priority;
+      if (!priority) return;
+      burst(priority);
+      timer = setInterval(() => burst(priority), TONES[priority].period);
+    },
+    // One pattern, for the settings screen
+    test: (priority) => burst(priority),
+    dispose: () => {
+      clearInterval(timer);
+      current = null;
+      if (context) context.close().catch(() => {});
+      context = null;
+    }
+  };
+};
@@ -0,0 +1,26 @@
+// Browser pop-ups need the user's permission once per origin
+export const browserNotificationSupport = () => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+
+export const requestBrowserPermission = () => (
+  typeof Notification === 'undefined' ? Promise.resolve('unsupported') : Notification.requestPermission()
+);
+
+// Same tag replaces an earlier pop-up for the same alarm instead of stacking
+export const showBrowserNotification = ({ title, body, tag, sticky }) => {
+  if (browserNotificationSupport() !== 'granted') return;
+  const notification = new Notification(title, { body, tag, requireInteraction: sticky, renotify: true });
+  notification.onclick = () => {
+    window.focus();
+    notification.close();
+  };
+};
+
+// JSON POST; rejects on network errors and non-2xx responses
+export const postWebhook = async (url, payload) => {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+  if (!res.ok) throw new Error(`Webhook ${url} answered ${res.status}`);
+};
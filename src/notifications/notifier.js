@@ -0,0 +1,135 @@
+import { PRIORITIES } from '../alarms/alarmEngine.js';
+
+const MINUTE = 60 * 1000;
+
+const minutesOfDay = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+// Quiet hours may wrap past midnight (22:00 - 06:00)
+export const inQuietHours = (quietHours, date = new Date()) => {
+  if (!quietHours.enabled) return false;
+  const now = date.getHours() * 60 + date.getMinutes();
+  const start = minutesOfDay(quietHours.start);
+  const end = minutesOfDay(quietHours.end);
+  return start <= end ? now >= start && now < end : now >= start || now < end;
+};
+
+const atLeast = (priority, floor) => PRIORITIES.indexOf(priority) <= PRIORITIES.indexOf(floor);
+
+// Turns alarm list updates into notifications. Every activation of an alarm
+// (key + activation time) is one instance: it is announced once, escalated
+// once when still unacknowledged escalateAfterMin after activation, and
+// sounds until it is acknowledged, shelved or silenced, also after it has
+// returned to normal.
+//
+// Quiet hours hold back announcements and tones below quietHours.minPriority
+// until they end; escalations always go out, to browser and webhook whatever
+// the priority's own channels, and switch the tone to the high-priority
+// pattern.
+//
+// channels: { notify({ title, body, tag, sticky }), webhook(payload), sound(priority | null) }
+// describe(alarm) -> { sensor, unit } for messages
+export const createNotifier = ({ channels, describe }) => {
+  const instances = new Map();
+
+  const payloadFor = (event, alarm) => {
+    const { sensor, unit } = describe(alarm);
+    return {
+      source: 'tep-monitor',
+      event,
+      time: new Date().toISOString(),
+      alarm: {
+        key: alarm.key,
+        sensorId: alarm.sensorId,
+        sensor,
+        unit,
+        type: alarm.type,
+        priority: alarm.priority,
+        value: alarm.value,
+        limit: alarm.limit,
+        activatedAt: alarm.activatedAt
+      }
+    };
+  };
+
+  const message = (alarm, escalated) => {
+    const { sensor, unit } = describe(alarm);
+    return {
+      title: `${escalated ? '[ESCALATED] ' : ''}${alarm.priority.toUpperCase()} ${alarm.type} · ${sensor}`,
+      body: `${Number(alarm.value).toPrecision(5)} ${unit} (limit ${alarm.limit} ${unit})`,
+      tag: alarm.key,
+      sticky: escalated || alarm.priority === 'high'
+    };
+  };
+
+  const update = (alarms, config, now = Date.now()) => {
+    const quiet = inQuietHours(config.quietHours, new Date(now));
+    const audible = (priority) => !quiet || atLeast(priority, config.quietHours.minPriority);
+    const webhook = (event, alarm) => {
+      if (config.webhookUrl) channels.webhook(payloadFor(event, alarm));
+    };
+
+    const live = new Set();
+    alarms.filter(a => !a.acked && !a.shelvedUntil).forEach(alarm => {
+      const id = `${alarm.key}@${alarm.activatedAt}`;
+      live.add(id);
+      let instance = instances.get(id);
+      const rule = config.priorities[alarm.priority];
+
+      if (!instance) {
+        instance = { alarm, escalated: false, silenced: false, announced: false };
+        instances.set(id, instance);
+      }
+      instance.alarm = alarm;
+
+      if (!instance.announced && audible(alarm.priority)) {
+        instance.announced = true;
+        if (rule.browser) channels.notify(message(alarm, false));
+        if (rule.webhook) webhook('activated', alarm);
+      }
+
+      if (!instance.escalated && rule.escalateAfterMin > 0 && now - alarm.activatedAt >= rule.escalateAfterMin * MINUTE) {
+        instance.escalated = true;
+        instance.announced = true;
+        instance.silenced = false;
+        channels.notify(message(alarm, true));
+        webhook('escalated', alarm);
+      }
+    });
+
+    // Instances that left the unacknowledged set say why. An acknowledged
+    // alarm that had returned to normal leaves the list at once; one that
+    // disappears while still active had its limit removed.
+    instances.forEach((instance, id) => {
+      if (live.has(id)) return;
+      instances.delete(id);
+      const { alarm } = instance;
+      const rule = config.priorities[alarm.priority];
+      if (!rule.webhook && !instance.escalated) return;
+      const current = alarms.find(a => a.key === alarm.key && a.activatedAt === alarm.activatedAt);
+      const event = current
+        ? (current.acked ? 'acknowledged' : 'shelved')
+        : (alarm.active ? 'removed' : 'acknowledged');
+      webhook(event, current || alarm);
+    });
+
+    const sounding = [...instances.values()]
+      .filter(i => !i.silenced && (i.escalated || (config.priorities[i.alarm.priority].sound && audible(i.alarm.priority))))
+      .map(i => (i.escalated ? 'high' : i.alarm.priority));
+    channels.sound(PRIORITIES.find(p => sounding.includes(p)) || null);
+  };
+
+  return {
+    update,
+    // Stop the horn for what is sounding now; the next activation or escalation sounds again
+    silence: () => {
+      instances.forEach(instance => {
+        instance.silenced = true;
+      });
+      channels.sound(null);
+    },
+    testPayload: (alarm) => payloadFor('test', alarm)
+  };
+};
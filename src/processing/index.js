@@ -0,0 +1,242 @@
+import { CONNECTION_STATES, createSourceBase } from '../datasources/base.js';
+import { createMessageHandler } from './ingestion.js';
+
+// Inline stand-in with the worker's interface, for environments without
+// module workers (server rendering, old browsers). Replies stay asynchronous.
+const createInlineWorker = () => {
+  const port = { onmessage: null };
+  const handle = createMessageHandler(data => Promise.resolve().then(() => port.onmessage && port.onmessage({ data })));
+  port.postMessage = handle;
+  port.terminate = () => {
+    port.onmessage = null;
+    handle({ type: 'shutdown' });
+  };
+  return port;
+};
+
+const spawn = () => (typeof Worker === 'undefined'
+  ? createInlineWorker()
+  : new Worker(new URL('./processing.worker.js', import.meta.url), { type: 'module' }));
+
+// Last value of a stream of worker updates, with subscribers
+const createValue = (initial) => {
+  const listeners = new Set();
+  let value = initial;
+  return {
+    get: () => value,
+    set: (next) => {
+      value = next;
+      listeners.forEach(listener => listener(value));
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      listener(value);
+      return () => listeners.delete(listener);
+    }
+  };
+};
+
+// Ingestion and sample processing off the UI thread (see ingestion.js): the
+// data source, alarm evaluation and the statistics all run in the worker,
+// and this side hands out source handles, mirrors alarm state and passes
+// results and history batches on to listeners.
+// Bumping the epoch (new source, relearn) drops results still in flight for
+// the old stream. The PCA reference model is mirrored here so the UI can
+// read it synchronously.
+// The worker only runs between start() and terminate(), so the owning
+// component can tie it to its mount. A restarted worker is handed the PCA
+// reference, diagnosis model, alarm limits and running source of the one
+// before; a source started while stopped starts with the next worker.
+export const createProcessingPipeline = () => {
+  const listeners = { results: new Set(), history: new Set(), alarms: new Set() };
+  const requests = new Map();
+  const routes = new Map();
+  let worker = null;
+  let epoch = 0;
+  let nextId = 0;
+  let model = null;
+  let diagnosisModel = null;
+  let limits = null;
+  let running = null;
+  let alarmState = { alarms: [], history: [] };
+
+  const emit = (type, value) => listeners[type].forEach(listener => listener(value));
+
+  const settle = (id, outcome, value) => {
+    const request = requests.get(id);
+    if (!request) return;
+    requests.delete(id);
+    request[outcome](value);
+  };
+
+  const receive = ({ data }) => {
+    switch (data.type) {
+      case 'results': {
+        if (data.epoch !== epoch) return;
+        const fitted = data.results.filter(r => r.model).pop();
+        if (fitted) model = fitted.model;
+        emit('results', data.results);
+        break;
+      }
+      case 'history':
+        emit('history', data.rows);
+        break;
+      case 'alarms':
+        alarmState = { alarms: data.alarms, history: data.history };
+        emit('alarms', alarmState);
+        break;
+      case 'status':
+      case 'fault':
+      case 'playback': {
+        const route = routes.get(data.sourceId);
+        if (route && route[data.type]) route[data.type](data.value);
+        break;
+      }
+      case 'opened':
+        settle(data.id, 'resolve', data.dataset);
+        break;
+      case 'fitted':
+        model = data.model;
+        settle(data.id, 'resolve', data.model);
+        break;
+      case 'error':
+        settle(data.id, 'reject', new Error(data.message));
+        break;
+      default:
+        break;
+    }
+  };
+
+  const post = (message) => {
+    if (worker) worker.postMessage(message);
+  };
+
+  const request = (message) => new Promise((resolve, reject) => {
+    if (!worker) {
+      reject(new Error('Processing pipeline is not running'));
+      return;
+    }
+    const id = ++nextId;
+    requests.set(id, { resolve, reject });
+    worker.postMessage({ ...message, id });
+  });
+
+  const subscribe = (type) => (listener) => {
+    listeners[type].add(listener);
+    return () => listeners[type].delete(listener);
+  };
+
+  // Handle on a data source running in the worker, with the interface of the
+  // source adapters (status, fault injection, playback). `config` is a live
+  // source config (see datasources/index.js) or { kind: 'replay', file, run,
+  // dataset, speed } with the dataset info from openDataset().
+  const createSource = (config) => {
+    const sourceId = ++nextId;
+    const base = createSourceBase(config.kind);
+    const command = (method) => (...args) => post({ type: 'command', sourceId, method, args });
+    const route = { status: base.setStatus };
+    const source = {
+      kind: base.kind,
+      getStatus: base.getStatus,
+      onStatus: base.onStatus,
+      start: () => {
+        routes.set(sourceId, route);
+        const { dataset, ...rest } = config;
+        running = { type: 'start', sourceId, config: dataset ? { ...rest, dataset: dataset.id } : rest };
+        post({ ...running, epoch });
+      },
+      stop: () => {
+        routes.delete(sourceId);
+        if (running && running.sourceId === sourceId) running = null;
+        post({ type: 'stop', sourceId });
+        base.setStatus({ state: CONNECTION_STATES.CLOSED, retryAt: null });
+      }
+    };
+
+    if (config.kind === 'simulator') {
+      const faults = createValue({ active: null, schedule: [] });
+      route.fault = faults.set;
+      Object.assign(source, {
+        injectFault: command('injectFault'),
+        clearFault: command('clearFault'),
+        scheduleFault: command('scheduleFault'),
+        cancelScheduledFault: command('cancelScheduledFault'),
+        getFaultState: faults.get,
+        onFault: faults.subscribe
+      });
+    }
+
+    if (config.kind === 'replay') {
+      const playback = createValue({ playing: false, speed: config.speed, index: 0, length: config.dataset.length });
+      route.playback = playback.set;
+      Object.assign(source, {
+        timeBase: 'elapsed',
+        dataset: config.dataset,
+        play: command('play'),
+        pause: command('pause'),
+        setSpeed: command('setSpeed'),
+        seek: command('seek'),
+        getPlayback: playback.get,
+        onPlayback: playback.subscribe
+      });
+    }
+
+    return source;
+  };
+
+  return {
+    start: () => {
+      if (worker) return;
+      worker = spawn();
+      worker.onmessage = receive;
+      if (model) worker.postMessage({ type: 'reset', epoch, model });
+      if (diagnosisModel) worker.postMessage({ type: 'diagnosisModel', model: diagnosisModel });
+      if (limits) worker.postMessage({ type: 'limits', limits });
+      if (running) worker.postMessage({ ...running, epoch });
+    },
+    createSource,
+    // Parse a replay file in the worker; resolves with the dataset info
+    // (everything but the samples) for createSource()
+    openDataset: (file, run) => request({ type: 'open', file, run }),
+    onResults: subscribe('results'),
+    // Batches of live samples for the historian
+    onHistory: subscribe('history'),
+    onAlarms: subscribe('alarms'),
+    getAlarmState: () => alarmState,
+    setAlarmLimits: (next) => {
+      limits = next;
+      post({ type: 'limits', limits: next });
+    },
+    // acknowledge(key, user) | acknowledgeAll(user) | shelve(key, duration, user) | unshelve(key, user)
+    alarmAction: (method, ...args) => post({ type: 'alarm', method, args }),
+    // Refit the PCA reference from normal-operation rows
+    fit: (rows) => {
+      epoch++;
+      return request({ type: 'fit', epoch, rows });
+    },
+    // Learn a new reference from the next samples
+    reset: () => {
+      epoch++;
+      model = null;
+      post({ type: 'reset', epoch });
+    },
+    // Forget in-flight results of the previous source
+    discard: () => {
+      epoch++;
+    },
+    setDiagnosisModel: (next) => {
+      diagnosisModel = next;
+      post({ type: 'diagnosisModel', model: next });
+    },
+    getModel: () => model,
+    // Stops the worker; results still in flight are dropped and pending requests fail
+    terminate: () => {
+      if (!worker) return;
+      worker.terminate();
+      worker = null;
+      epoch++;
+      requests.forEach(({ reject }) => reject(new Error('Processing pipeline stopped')));
+      requests.clear();
+    }
+  };
+};
@@ -0,0 +1,179 @@
+import { createDataSource } from '../datasources/index.js';
+import { createReplaySource } from '../datasources/replaySource.js';
+import { CONNECTION_STATES } from '../datasources/base.js';
+import { parseDatasetFile } from '../replay/datasetParser.js';
+import { createAlarmEngine } from '../alarms/alarmEngine.js';
+import { createSampleProcessor } from './sampleProcessor.js';
+
+// Live rows are handed to the main thread's historian in batches
+const HISTORY_FLUSH_INTERVAL = 1000;
+const HISTORY_FLUSH_SIZE = 100;
+
+const SOURCE_COMMANDS = ['injectFault', 'clearFault', 'scheduleFault', 'cancelScheduledFault', 'play', 'pause', 'setSpeed', 'seek'];
+const ALARM_ACTIONS = ['acknowledge', 'acknowledgeAll', 'shelve', 'unshelve'];
+
+// A parsed dataset as the main thread sees it: everything but the samples
+const describeDataset = ({ samples, ...info }) => ({ ...info, length: samples.length });
+
+// Everything between a data source and the dashboard: the source itself
+// (simulator, WebSocket, SSE or replay), alarm evaluation, history batching
+// and the per-sample statistics. Runs inside the processing worker, or inline
+// where workers are not available, so the UI thread only renders.
+//
+// Message protocol, shared by the worker and its inline stand-in:
+//   in:  { type: 'start', sourceId, epoch, config } | { type: 'stop', sourceId }
+//        { type: 'command', sourceId, method, args }       (fault injection, playback)
+//        { type: 'open', id, file, run }                   (parse a replay file)
+//        { type: 'limits', limits } | { type: 'alarm', method, args }
+//        { type: 'fit', id, epoch, rows } | { type: 'reset', epoch, model? }
+//        { type: 'diagnosisModel', model } | { type: 'shutdown' }    (inline stand-in only)
+//   out: { type: 'results', epoch, results } | { type: 'history', rows }
+//        { type: 'status' | 'fault' | 'playback', sourceId, value }
+//        { type: 'alarms', alarms, history }
+//        { type: 'opened', id, dataset } | { type: 'fitted', id, model } | { type: 'error', id, message }
+// A start carries the main thread's epoch; results are tagged with it so
+// the main thread can drop those of a stream it has moved on from.
+export const createMessageHandler = (post) => {
+  const processor = createSampleProcessor();
+  const alarms = createAlarmEngine();
+  let epoch = 0;
+  let active = null;
+  let opened = null;
+  let pending = [];
+  let historyRows = [];
+  let historyTimer = null;
+
+  alarms.subscribe(() => post({
+    type: 'alarms',
+    alarms: alarms.getAlarms(),
+    history: alarms.getHistory()
+  }));
+
+  const flushHistory = () => {
+    clearTimeout(historyTimer);
+    historyTimer = null;
+    if (historyRows.length === 0) return;
+    post({ type: 'history', rows: historyRows });
+    historyRows = [];
+  };
+
+  // Samples emitted in the same tick are processed and posted as one batch
+  const processPending = () => {
+    if (pending.length === 0) return;
+    const samples = pending;
+    pending = [];
+    post({ type: 'results', epoch, results: samples.map(processor.process) });
+  };
+
+  const ingest = (live) => (sample) => {
+    alarms.evaluate(sample);
+    // Replayed runs have no wall-clock time and stay out of the historian
+    if (live) {
+      historyRows.push(sample);
+      if (historyRows.length >= HISTORY_FLUSH_SIZE) flushHistory();
+      else if (!historyTimer) historyTimer = setTimeout(flushHistory, HISTORY_FLUSH_INTERVAL);
+    }
+    pending.push(sample);
+    if (pending.length === 1) Promise.resolve().then(processPending);
+  };
+
+  const stop = () => {
+    if (!active) return;
+    const { source, off } = active;
+    active = null;
+    off.forEach(unsubscribe => unsubscribe());
+    if (source) source.stop();
+    flushHistory();
+  };
+
+  // The last opened file is reused; a restarted worker parses it again
+  const loadDataset = async ({ dataset, file, run }) => (opened && opened.id === dataset
+    ? opened.dataset
+    : parseDatasetFile(file, { run }));
+
+  const start = async ({ sourceId, epoch: next, config }) => {
+    stop();
+    epoch = next;
+    pending = [];
+    processor.resetDiagnosis();
+    const current = { id: sourceId, source: null, off: [] };
+    active = current;
+    const report = (type) => (value) => post({ type, sourceId, value });
+
+    let source;
+    try {
+      source = config.kind === 'replay'
+        ? createReplaySource(await loadDataset(config), { speed: config.speed })
+        : createDataSource(config);
+    } catch (err) {
+      report('status')({ state: CONNECTION_STATES.CLOSED, attempt: 0, retryAt: null, error: err.message });
+      return;
+    }
+    // Stopped or replaced while the file was being parsed
+    if (active !== current) return;
+
+    current.source = source;
+    current.off = [
+      source.subscribe(ingest(source.timeBase !== 'elapsed')),
+      source.onStatus(report('status')),
+      source.onFault ? source.onFault(report('fault')) : null,
+      source.onPlayback ? source.onPlayback(report('playback')) : null
+    ].filter(Boolean);
+    source.start();
+  };
+
+  return (data) => {
+    switch (data.type) {
+      case 'start':
+        start(data);
+        break;
+      case 'stop':
+        if (active && active.id === data.sourceId) stop();
+        break;
+      // A terminated worker takes its timers and connections with it; the
+      // inline stand-in has to close them
+      case 'shutdown':
+        stop();
+        break;
+      case 'command':
+        if (active && active.source && active.id === data.sourceId && SOURCE_COMMANDS.includes(data.method) && active.source[data.method]) {
+          active.source[data.method](...data.args);
+        }
+        break;
+      case 'open':
+        parseDatasetFile(data.file, { run: data.run }).then(
+          (dataset) => {
+            opened = { id: data.id, dataset };
+            post({ type: 'opened', id: data.id, dataset: { id: data.id, ...describeDataset(dataset) } });
+          },
+          (err) => post({ type: 'error', id: data.id, message: err.message })
+        );
+        break;
+      case 'limits':
+        alarms.setLimits(data.limits);
+        break;
+      case 'alarm':
+        if (ALARM_ACTIONS.includes(data.method)) alarms[data.method](...data.args);
+        break;
+      case 'fit':
+        epoch = data.epoch;
+        pending = [];
+        try {
+          post({ type: 'fitted', id: data.id, model: processor.fit(data.rows) });
+        } catch (err) {
+          post({ type: 'error', id: data.id, message: err.message });
+        }
+        break;
+      case 'reset':
+        epoch = data.epoch;
+        pending = [];
+        processor.reset(data.model ?? null);
+        break;
+      case 'diagnosisModel':
+        processor.setDiagnosisModel(data.model);
+        break;
+      default:
+        break;
+    }
+  };
+};
@@ -0,0 +1,5 @@
+import { createMessageHandler } from './ingestion.js';
+
+const handle = createMessageHandler(message => self.postMessage(message));
+
+self.onmessage = ({ data }) => handle(data);
@@ -0,0 +1,41 @@
+import { createProcessMonitor } from '../monitoring/processMonitor.js';
+import { createFaultDiagnoser } from '../diagnosis/faultDiagnoser.js';
+
+// Per-sample statistics: PCA monitoring, contribution ranking and fault
+// diagnosis. Runs inside the processing worker (or inline where workers are
+// not available) so the UI thread only renders the results.
+export const createSampleProcessor = () => {
+  const monitor = createProcessMonitor();
+  const diagnoser = createFaultDiagnoser();
+
+  const process = (sample) => {
+    const model = monitor.getModel();
+    const monitorResult = monitor.process(sample);
+    const shares = monitorResult.contributions
+      ? monitorResult.contributions.map(c => c.share)
+      : sample.values.map(() => 0);
+    // Sensor ids, highest contribution first
+    const ranking = shares
+      .map((share, idx) => idx + 1)
+      .sort((a, b) => shares[b - 1] - shares[a - 1]);
+    return {
+      timestamp: sample.timestamp,
+      values: sample.values,
+      monitor: monitorResult,
+      shares,
+      ranking,
+      diagnosis: diagnoser.process(sample),
+      // Set when the reference was fitted by this sample (end of learning)
+      model: model !== monitor.getModel() ? monitor.getModel() : undefined
+    };
+  };
+
+  return {
+    process,
+    fit: monitor.fit,
+    reset: monitor.reset,
+    getModel: monitor.getModel,
+    setDiagnosisModel: diagnoser.setModel,
+    resetDiagnosis: diagnoser.reset
+  };
+};
@@ -0,0 +1,132 @@
+import { SENSOR_COUNT } from '../datasources/base.js';
+
+// Both benchmark sets are sampled every 3 minutes
+export const SAMPLE_INTERVAL_MS = 3 * 60 * 1000;
+
+// Streams a File line by line so multi-gigabyte CSVs never sit in memory whole
+const readLines = async (file, onLine) => {
+  const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += value;
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    lines.forEach(onLine);
+  }
+  if (buffer) onLine(buffer);
+};
+
+// Braatz .dat files: d00.dat is stored transposed (52 rows x 500 samples),
+// every other file is samples x 52. Training files d01-d21 hold only faulty
+// samples; testing files dNN_te.dat introduce the fault at sample 160.
+const parseDat = async (file) => {
+  const rows = [];
+  await readLines(file, (line) => {
+    const trimmed = line.trim();
+    if (trimmed) rows.push(trimmed.split(/\s+/).map(Number));
+  });
+
+  let samples = rows;
+  if (rows.length === SENSOR_COUNT && rows[0].length !== SENSOR_COUNT) {
+    samples = rows[0].map((_, col) => rows.map(row => row[col]));
+  }
+  if (samples.length === 0 || samples.some(row => row.length !== SENSOR_COUNT)) {
+    throw new Error(`${file.name}: expected ${SENSOR_COUNT} values per sample`);
+  }
+
+  const match = file.name.match(/d(\d{2})(_te)?\.dat$/i);
+  const faultNumber = match ? Number(match[1]) : null;
+  const testing = Boolean(match && match[2]);
+
+  return {
+    samples,
+    faultNumber,
+    faultOnset: faultNumber ? (testing ? 160 : 0) : null,
+    runs: [],
+    run: null
+  };
+};
+
+// Column index of each TEP variable in a CSV header row (xmeas_1 ... xmv_11)
+const mapColumns = (header) => {
+  const columns = header.map(h => h.trim().replace(/^"|"$/g, '').toLowerCase());
+  const variableColumns = [];
+  for (let n = 1; n <= 41; n++) variableColumns.push(columns.findIndex(c => c === `xmeas_${n}` || c === `xmeas(${n})`));
+  for (let n = 1; n <= 11; n++) variableColumns.push(columns.findIndex(c => c === `xmv_${n}` || c === `xmv(${n})`));
+  if (variableColumns.some(idx => idx < 0)) return null;
+
+  return {
+    variables: variableColumns,
+    fault: columns.indexOf('faultnumber'),
+    run: columns.indexOf('simulationrun'),
+    sample: columns.indexOf('sample')
+  };
+};
+
+// Rieth et al. (2017) CSVs hold many simulation runs; only the selected run
+// (default: the first one found) is kept, the others are just listed.
+// Training runs (500 samples) introduce the fault after sample 20, testing
+// runs (960 samples) after sample 160.
+const parseCsv = async (file, selectedRun) => {
+  let columns = null;
+  let headerless = false;
+  const samples = [];
+  const runs = new Map();
+  let run = selectedRun || null;
+  let maxSample = 0;
+
+  await readLines(file, (line) => {
+    if (!line.trim()) return;
+    const cells = line.split(',');
+
+    if (!columns && !headerless) {
+      columns = mapColumns(cells);
+      if (columns) return;
+      headerless = true;
+    }
+
+    if (headerless) {
+      const values = cells.map(Number);
+      if (values.length === SENSOR_COUNT && values.every(Number.isFinite)) samples.push(values);
+      return;
+    }
+
+    const faultNumber = columns.fault >= 0 ? Number(cells[columns.fault]) : 0;
+    const simulationRun = columns.run >= 0 ? Number(cells[columns.run]) : 1;
+    const key = `${faultNumber}:${simulationRun}`;
+    if (!runs.has(key)) runs.set(key, { faultNumber, simulationRun });
+    if (!run) run = { faultNumber, simulationRun };
+    if (faultNumber !== run.faultNumber || simulationRun !== run.simulationRun) return;
+
+    samples.push(columns.variables.map(idx => Number(cells[idx])));
+    if (columns.sample >= 0) maxSample = Math.max(maxSample, Number(cells[columns.sample]));
+  });
+
+  if (samples.length === 0) {
+    throw new Error(`${file.name}: no TEP samples found`);
+  }
+
+  const faultNumber = run ? run.faultNumber : null;
+  const onsetSample = maxSample > 500 ? 160 : 20;
+
+  return {
+    samples,
+    faultNumber,
+    faultOnset: faultNumber ? Math.min(onsetSample, samples.length - 1) : null,
+    runs: [...runs.values()],
+    run
+  };
+};
+
+// Returns { name, samples, faultNumber, faultOnset, sampleInterval, runs, run }.
+// `faultOnset` is the 0-based index of the first faulty sample (null for normal runs).
+export const parseDatasetFile = async (file, { run } = {}) => {
+  const parsed = /\.csv$/i.test(file.name) ? await parseCsv(file, run) : await parseDat(file);
+  return {
+    name: file.name,
+    sampleInterval: SAMPLE_INTERVAL_MS,
+    ...parsed
+  };
+};
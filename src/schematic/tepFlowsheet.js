@@ -0,0 +1,104 @@
+import { xmvId } from '../catalog/tepVariables.js';
+
+// Layout of the TEP flowsheet (Downs & Vogel 1993, Fig. 1) on a 1240×640
+// canvas. Streams are polylines in flow direction; instruments are faceplate
+// boxes anchored at their top-left corner; valves mark XMV locations on the
+// streams they throttle. Analyzer outputs are grouped into panels.
+
+export const CANVAS = { width: 1240, height: 640 };
+export const BOX = { width: 104, height: 34 };
+
+export const EQUIPMENT = [
+  { id: 'reactor', label: 'REACTOR', shape: 'vessel', x: 350, y: 200, width: 140, height: 240, radius: 24 },
+  { id: 'condenser', label: 'CONDENSER', shape: 'exchanger', x: 540, y: 140, width: 60, height: 40, radius: 6 },
+  { id: 'separator', label: 'SEPARATOR', shape: 'vessel', x: 660, y: 270, width: 180, height: 70, radius: 35 },
+  { id: 'compressor', label: 'COMPRESSOR', shape: 'compressor', x: 780, y: 90, width: 60, height: 40 },
+  { id: 'stripper', label: 'STRIPPER', shape: 'column', x: 940, y: 250, width: 80, height: 310, radius: 30 }
+];
+
+export const STREAMS = [
+  { id: 's1', label: 'A feed (1)', labelAt: [22, 124], points: [[20, 110], [280, 110]] },
+  { id: 's2', label: 'D feed (2)', labelAt: [22, 184], points: [[20, 170], [280, 170]] },
+  { id: 's3', label: 'E feed (3)', labelAt: [22, 244], points: [[20, 230], [280, 230]] },
+  { id: 's4', label: 'A/C feed (4)', labelAt: [22, 514], points: [[20, 500], [940, 500]] },
+  { id: 's5', points: [[980, 250], [980, 20], [280, 20], [280, 60]] },
+  { id: 'header', points: [[280, 60], [280, 300]], arrow: false },
+  { id: 's6', points: [[280, 300], [350, 300]] },
+  { id: 's7', points: [[420, 200], [420, 160], [540, 160]] },
+  { id: 'condensate', points: [[600, 160], [700, 160], [700, 270]] },
+  { id: 'vapor', points: [[810, 270], [810, 130]] },
+  { id: 's8', points: [[810, 90], [810, 60], [280, 60]] },
+  { id: 's9', label: 'Purge (9)', labelAt: [1236, 230], anchor: 'end', points: [[810, 215], [1236, 215]] },
+  { id: 's10', points: [[750, 340], [750, 390], [940, 390]] },
+  { id: 's11', label: 'Product (11)', labelAt: [1236, 584], anchor: 'end', points: [[980, 560], [980, 590], [1236, 590]] },
+  { id: 'steam', label: 'Steam', labelAt: [1236, 474], anchor: 'end', points: [[1236, 480], [1020, 480]] },
+  { id: 'reactorCwIn', label: 'CW', labelAt: [384, 634], anchor: 'end', points: [[390, 640], [390, 440]], utility: true },
+  { id: 'reactorCwOut', points: [[450, 440], [450, 640]], utility: true },
+  { id: 'condenserCwIn', label: 'CW', labelAt: [570, 84], anchor: 'middle', points: [[555, 90], [555, 140]], utility: true },
+  { id: 'condenserCwOut', points: [[585, 140], [585, 90]], utility: true }
+];
+
+// Stream-number tags drawn next to the main process lines
+export const STREAM_TAGS = [
+  { label: '5', at: [990, 40] },
+  { label: '6', at: [322, 294] },
+  { label: '7', at: [428, 180] },
+  { label: '8', at: [600, 74] },
+  { label: '10', at: [758, 404] },
+  { label: '11', at: [988, 578] }
+];
+
+export const INSTRUMENTS = [
+  // Feeds
+  { id: 1, x: 36, y: 72 },
+  { id: 2, x: 36, y: 132 },
+  { id: 3, x: 36, y: 192 },
+  { id: 4, x: 36, y: 462 },
+  // Recycle and reactor feed
+  { id: 5, x: 460, y: 23 },
+  { id: 6, x: 244, y: 308 },
+  // Reactor
+  { id: 7, x: 368, y: 236 },
+  { id: 8, x: 368, y: 278 },
+  { id: 9, x: 368, y: 320 },
+  { id: 21, x: 460, y: 560 },
+  // Separator and condenser
+  { id: 11, x: 592, y: 185 },
+  { id: 13, x: 592, y: 228 },
+  { id: 12, x: 698, y: 282 },
+  { id: 14, x: 820, y: 398 },
+  { id: 22, x: 596, y: 96 },
+  // Purge and compressor
+  { id: 10, x: 1080, y: 177 },
+  { id: 20, x: 850, y: 93 },
+  // Stripper
+  { id: 16, x: 1040, y: 250 },
+  { id: 15, x: 1040, y: 292 },
+  { id: 18, x: 1040, y: 334 },
+  { id: 19, x: 1080, y: 488 },
+  { id: 17, x: 1000, y: 598 }
+];
+
+// `at` is the valve symbol on its stream, `box` the faceplate
+export const VALVES = [
+  { id: xmvId(1), at: [266, 170], box: [150, 132] },
+  { id: xmvId(2), at: [266, 230], box: [150, 192] },
+  { id: xmvId(3), at: [266, 110], box: [150, 72] },
+  { id: xmvId(4), at: [266, 500], box: [150, 462] },
+  { id: xmvId(5), at: [760, 60], box: [640, 23] },
+  { id: xmvId(6), at: [900, 215], box: [850, 177] },
+  { id: xmvId(7), at: [750, 365], box: [762, 346] },
+  { id: xmvId(8), at: [1150, 590], box: [1110, 598] },
+  { id: xmvId(9), at: [1060, 480], box: [1080, 440] },
+  { id: xmvId(10), at: [390, 520], box: [282, 540], vertical: true },
+  { id: xmvId(11), at: [555, 115], box: [440, 96], vertical: true }
+];
+
+// Composition analyzers; `tap` is where the dashed sample line meets the process
+export const ANALYZERS = [
+  { id: 'feed', label: 'Reactor feed analyzer (6)', x: 40, y: 290, ids: [23, 24, 25, 26, 27, 28], tap: [[230, 300], [280, 300]] },
+  { id: 'purge', label: 'Purge gas analyzer (9)', x: 1040, y: 8, ids: [29, 30, 31, 32, 33, 34, 35, 36], tap: [[1220, 156], [1220, 215]] },
+  { id: 'product', label: 'Product analyzer (11)', x: 720, y: 515, ids: [37, 38, 39, 40, 41], tap: [[910, 575], [980, 575]] }
+];
+
+export const ANALYZER_LAYOUT = { width: 190, header: 20, row: 15 };
@@ -0,0 +1,43 @@
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { normalizeSettings, defaultSettings } from './defaultSettings.js';
+
+const STORAGE_KEY = 'tep.settings';
+
+const SettingsContext = createContext(null);
+
+const loadSettings = () => {
+  try {
+    return normalizeSettings(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch {
+    return defaultSettings();
+  }
+};
+
+export const SettingsProvider = ({ children }) => {
+  const [settings, setSettings] = useState(loadSettings);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  }, [settings]);
+
+  const value = {
+    settings,
+    updateSettings: (patch) => setSettings(prev => normalizeSettings({ ...prev, ...patch })),
+    updateSensor: (id, patch) => setSettings(prev => normalizeSettings({
+      ...prev,
+      sensors: { ...prev.sensors, [id]: { ...prev.sensors[id], ...patch } }
+    })),
+    replaceSettings: (next) => setSettings(normalizeSettings(next)),
+    resetSettings: () => setSettings(defaultSettings()),
+    sensorLabel: (id) => settings.sensors[id].name,
+    sensorUnit: (id) => settings.sensors[id].unit
+  };
+
+  return <SettingsContext.Provider value={value}>{children}</SettingsContext.Provider>;
+};
+
+export const useSettings = () => {
+  const context = useContext(SettingsContext);
+  if (!context) throw new Error('useSettings must be used inside <SettingsProvider>');
+  return context;
+};
@@ -0,0 +1,119 @@
+import { TEP_VARIABLES, sensorName } from '../catalog/tepVariables.js';
+import { defaultSourceConfig, SOURCE_KINDS } from '../datasources/index.js';
+import { PRIORITIES } from '../alarms/alarmEngine.js';
+
+export const SETTINGS_VERSION = 2;
+
+export const defaultSettings = () => ({
+  version: SETTINGS_VERSION,
+  dataSource: { kind: defaultSourceConfig.kind, url: defaultSourceConfig.url },
+  updateInterval: 1000,
+  chartWindow: 30,
+  logCap: 10000,
+  // false logs only the five highest-ranked sensors per sample
+  logAllSensors: false,
+  rankingCount: 15,
+  // Full-resolution samples are kept for rawRetentionHours, then 1-minute rollups until retentionDays
+  history: { rawRetentionHours: 24, retentionDays: 30 },
+  sensorColors: ['#3b82f6', '#8b5cf6', '#10b981'],
+  // Alarm notification channels per priority; escalateAfterMin of 0 never escalates
+  notifications: {
+    volume: 60,
+    webhookUrl: '',
+    priorities: {
+      high: { browser: true, sound: true, webhook: true, escalateAfterMin: 5 },
+      medium: { browser: true, sound: true, webhook: false, escalateAfterMin: 15 },
+      low: { browser: false, sound: false, webhook: false, escalateAfterMin: 0 }
+    },
+    quietHours: { enabled: false, start: '22:00', end: '06:00', minPriority: 'high' }
+  },
+  // min/max of null let the chart scale automatically
+  sensors: Object.fromEntries(TEP_VARIABLES.map(({ id }) => [id, { name: sensorName(id), unit: TEP_VARIABLES[id - 1].unit, min: null, max: null }]))
+});
+
+const clampNumber = (value, fallback, min, max) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, Math.round(number))) : fallback;
+};
+
+const flag = (value, fallback) => (typeof value === 'boolean' ? value : fallback);
+
+const timeOfDay = (value, fallback) => (typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value) ? value : fallback);
+
+const normalizeNotifications = (raw, defaults) => {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const priorities = source.priorities && typeof source.priorities === 'object' ? source.priorities : {};
+  const quiet = source.quietHours && typeof source.quietHours === 'object' ? source.quietHours : {};
+  return {
+    volume: clampNumber(source.volume, defaults.volume, 0, 100),
+    webhookUrl: typeof source.webhookUrl === 'string' ? source.webhookUrl.trim() : defaults.webhookUrl,
+    priorities: Object.fromEntries(PRIORITIES.map(priority => {
+      const rule = priorities[priority] && typeof priorities[priority] === 'object' ? priorities[priority] : {};
+      const fallback = defaults.priorities[priority];
+      return [priority, {
+        browser: flag(rule.browser, fallback.browser),
+        sound: flag(rule.sound, fallback.sound),
+        webhook: flag(rule.webhook, fallback.webhook),
+        escalateAfterMin: clampNumber(rule.escalateAfterMin, fallback.escalateAfterMin, 0, 1440)
+      }];
+    })),
+    quietHours: {
+      enabled: flag(quiet.enabled, defaults.quietHours.enabled),
+      start: timeOfDay(quiet.start, defaults.quietHours.start),
+      end: timeOfDay(quiet.end, defaults.quietHours.end),
+      minPriority: PRIORITIES.includes(quiet.minPriority) ? quiet.minPriority : defaults.quietHours.minPriority
+    }
+  };
+};
+
+const optionalNumber = (value) => (value === null || value === '' || !Number.isFinite(Number(value)) ? null : Number(value));
+
+// Merge stored or imported settings over the defaults, dropping anything malformed
+export const normalizeSettings = (raw) => {
+  const defaults = defaultSettings();
+  if (!raw || typeof raw !== 'object') return defaults;
+
+  // Version 1 named every column XMEAS_<n> with no units; those untouched
+  // defaults give way to the catalogue's tags and engineering units
+  const legacy = !raw.version || raw.version < 2;
+  const sensors = { ...defaults.sensors };
+  Object.keys(sensors).forEach(id => {
+    const entry = raw.sensors && raw.sensors[id];
+    if (!entry || typeof entry !== 'object') return;
+    const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+    const keepUnit = typeof entry.unit === 'string' && !(legacy && entry.unit === '');
+    sensors[id] = {
+      name: name && !(legacy && name === `XMEAS_${id}`) ? name : sensors[id].name,
+      unit: keepUnit ? entry.unit : sensors[id].unit,
+      min: optionalNumber(entry.min),
+      max: optionalNumber(entry.max)
+    };
+  });
+
+  const dataSource = raw.dataSource && SOURCE_KINDS.includes(raw.dataSource.kind)
+    ? { kind: raw.dataSource.kind, url: typeof raw.dataSource.url === 'string' ? raw.dataSource.url : '' }
+    : defaults.dataSource;
+
+  const history = raw.history && typeof raw.history === 'object' ? raw.history : {};
+
+  const colors = Array.isArray(raw.sensorColors)
+    ? raw.sensorColors.filter(c => typeof c === 'string' && /^#[0-9a-f]{6}$/i.test(c))
+    : [];
+
+  return {
+    version: SETTINGS_VERSION,
+    dataSource,
+    updateInterval: clampNumber(raw.updateInterval, defaults.updateInterval, 50, 60000),
+    chartWindow: clampNumber(raw.chartWindow, defaults.chartWindow, 5, 1000),
+    logCap: clampNumber(raw.logCap, defaults.logCap, 10, 200000),
+    logAllSensors: flag(raw.logAllSensors, defaults.logAllSensors),
+    rankingCount: clampNumber(raw.rankingCount, defaults.rankingCount, 1, TEP_VARIABLES.length),
+    history: {
+      rawRetentionHours: clampNumber(history.rawRetentionHours, defaults.history.rawRetentionHours, 1, 720),
+      retentionDays: clampNumber(history.retentionDays, defaults.history.retentionDays, 1, 3650)
+    },
+    sensorColors: colors.length ? colors : defaults.sensorColors,
+    notifications: normalizeNotifications(raw.notifications, defaults.notifications),
+    sensors
+  };
+};
@@ -0,0 +1,162 @@
+import { xmvId } from '../catalog/tepVariables.js';
+
+// Standard TEP process disturbances IDV(1)-IDV(21).
+// `effects` maps a variable id to the size of its deviation in units of that
+// variable's normal spread (sd). How the deviation evolves depends on `type`:
+//   step     - first-order approach to the full deviation (time constant `tau`, in samples)
+//   random   - deviation scaled by a slowly varying random signal
+//   drift    - deviation grows linearly, reaching the full size after `tau` samples
+//   sticking - `valve` moves only in jumps; effects follow the valve error
+//   fixed    - `valve` is frozen at its nominal position; effects drift in
+export const FAULTS = [
+  {
+    idv: 1,
+    label: 'A/C feed ratio, B composition constant (stream 4)',
+    type: 'step',
+    tau: 8,
+    effects: { 1: 6, [xmvId(3)]: 6, 4: -3, [xmvId(4)]: -3, 23: 4, 29: 3.5, 25: -3, 31: -3, 18: 2, 19: 2, 7: 1.5 }
+  },
+  {
+    idv: 2,
+    label: 'B composition, A/C ratio constant (stream 4)',
+    type: 'step',
+    tau: 10,
+    effects: { 24: 4, 30: 5, 10: 3, [xmvId(6)]: 3, 34: -2, 36: -2, 7: 1.5 }
+  },
+  {
+    idv: 3,
+    label: 'D feed temperature (stream 2)',
+    type: 'step',
+    tau: 6,
+    effects: { 21: 0.4, 9: 0.2, [xmvId(10)]: 0.3 }
+  },
+  {
+    idv: 4,
+    label: 'Reactor cooling water inlet temperature',
+    type: 'step',
+    tau: 3,
+    effects: { [xmvId(10)]: 8, 21: 5, 9: 0.6 }
+  },
+  {
+    idv: 5,
+    label: 'Condenser cooling water inlet temperature',
+    type: 'step',
+    tau: 5,
+    effects: { [xmvId(11)]: 6, 22: 3, 11: 1.5, 13: 1, 18: 1, 14: -1 }
+  },
+  {
+    idv: 6,
+    label: 'A feed loss (stream 1)',
+    type: 'step',
+    tau: 4,
+    effects: { 1: -8, [xmvId(3)]: 8, 7: 5, 13: 5, 16: 4, 20: 3, 23: -6, 29: -6, 25: 3, [xmvId(6)]: -3, 10: -2 }
+  },
+  {
+    idv: 7,
+    label: 'C header pressure loss, reduced availability (stream 4)',
+    type: 'step',
+    tau: 4,
+    effects: { [xmvId(4)]: 6, 4: -1.5 }
+  },
+  {
+    idv: 8,
+    label: 'A, B, C feed composition (stream 4)',
+    type: 'random',
+    tau: 12,
+    effects: { 4: 2, 7: 2.5, 13: 2.5, 16: 2, 23: 3, 24: 2, 25: 3, 29: 3, 30: 2, 31: 3, 40: 2, 41: -2 }
+  },
+  {
+    idv: 9,
+    label: 'D feed temperature (stream 2)',
+    type: 'random',
+    tau: 6,
+    effects: { 21: 0.6, 9: 0.4 }
+  },
+  {
+    idv: 10,
+    label: 'C feed temperature (stream 4)',
+    type: 'random',
+    tau: 10,
+    effects: { 18: 3, 19: 2, [xmvId(9)]: 2.5, 16: 1 }
+  },
+  {
+    idv: 11,
+    label: 'Reactor cooling water inlet temperature',
+    type: 'random',
+    tau: 5,
+    effects: { 9: 3, 21: 3, [xmvId(10)]: 4 }
+  },
+  {
+    idv: 12,
+    label: 'Condenser cooling water inlet temperature',
+    type: 'random',
+    tau: 8,
+    effects: { 11: 3, 22: 3, 13: 2, 7: 2, 18: 2, [xmvId(11)]: 2.5, 20: 1.5 }
+  },
+  {
+    idv: 13,
+    label: 'Reaction kinetics',
+    type: 'drift',
+    tau: 150,
+    effects: { 7: 5, 13: 5, 16: 4, 20: 3, 23: 3, 25: -3, 29: 3, 31: -3, 40: 3, 41: -3, 9: 1 }
+  },
+  {
+    idv: 14,
+    label: 'Reactor cooling water valve',
+    type: 'sticking',
+    valve: xmvId(10),
+    effects: { 9: 4, 21: 5 }
+  },
+  {
+    idv: 15,
+    label: 'Condenser cooling water valve',
+    type: 'sticking',
+    valve: xmvId(11),
+    effects: { 11: 1.5, 22: 2 }
+  },
+  {
+    idv: 16,
+    label: 'Unknown',
+    type: 'random',
+    tau: 6,
+    effects: { 18: 3, 19: 3, [xmvId(9)]: 3 }
+  },
+  {
+    idv: 17,
+    label: 'Unknown',
+    type: 'random',
+    tau: 4,
+    effects: { 21: 4, [xmvId(10)]: 4, 9: 1.5 }
+  },
+  {
+    idv: 18,
+    label: 'Unknown',
+    type: 'drift',
+    tau: 80,
+    effects: { 11: 6, 22: 6, 7: 3, 13: 3, 16: 3, [xmvId(11)]: -4 }
+  },
+  {
+    idv: 19,
+    label: 'Unknown',
+    type: 'sticking',
+    valve: xmvId(5),
+    effects: { 5: 2, 20: 2, [xmvId(9)]: 1.5 }
+  },
+  {
+    idv: 20,
+    label: 'Unknown',
+    type: 'random',
+    tau: 10,
+    effects: { 7: 2.5, 13: 2.5, 16: 2, 20: 3, [xmvId(5)]: 2.5 }
+  },
+  {
+    idv: 21,
+    label: 'Valve for stream 4 fixed at steady state position',
+    type: 'fixed',
+    valve: xmvId(4),
+    tau: 200,
+    effects: { 23: 2, 29: 2, 7: 1.5, 13: 1.5, 4: -1 }
+  }
+];
+
+export const getFault = (idv) => FAULTS.find(f => f.idv === idv);
@@ -0,0 +1,112 @@
+import { TEP_VARIABLES, xmvId } from '../catalog/tepVariables.js';
+import { getFault } from './faults.js';
+import { createRandom, createGaussian } from './random.js';
+
+// Shared disturbance modes. Each mode is a unit-variance AR(1) signal that
+// moves its variables together; a loading is the variable's correlation with
+// the mode. Whatever variance the modes don't explain is independent noise.
+const MODES = [
+  // Reactor / separator / stripper pressure
+  { phi: 0.85, loadings: { 7: 0.8, 13: 0.8, 16: 0.7, 20: 0.5, 5: 0.4, [xmvId(5)]: -0.4, [xmvId(6)]: 0.4 } },
+  // Reactor temperature loop
+  { phi: 0.75, loadings: { 9: 0.7, 21: -0.6, [xmvId(10)]: -0.7 } },
+  // Condenser / separator temperature
+  { phi: 0.75, loadings: { 11: 0.6, 22: -0.5, [xmvId(11)]: -0.6, 14: 0.3 } },
+  // A feed and reactor feed composition
+  { phi: 0.85, loadings: { 1: 0.7, [xmvId(3)]: 0.7, 4: -0.4, [xmvId(4)]: -0.4, 23: 0.5, 29: 0.5, 25: -0.4, 31: -0.4 } },
+  // D and E feeds
+  { phi: 0.8, loadings: { 2: 0.7, [xmvId(1)]: 0.7, 3: 0.6, [xmvId(2)]: 0.6, 26: 0.5, 27: 0.5, 32: 0.4, 33: 0.4, 37: 0.4, 38: 0.4 } },
+  // Levels and product flow
+  { phi: 0.8, loadings: { 12: 0.6, 14: 0.5, [xmvId(7)]: 0.5, 15: 0.6, 17: 0.5, [xmvId(8)]: 0.5, 40: 0.4, 41: -0.4 } },
+  // Stripper heat duty
+  { phi: 0.75, loadings: { 18: 0.6, 19: 0.6, [xmvId(9)]: 0.6 } },
+  // Purge and inerts
+  { phi: 0.85, loadings: { 10: 0.5, [xmvId(6)]: 0.4, 30: 0.5, 24: 0.4, 34: 0.3, 35: 0.4, 36: 0.4 } }
+];
+
+const COUNT = TEP_VARIABLES.length;
+const RECOVERY_TAU = 5;
+const STICK_BAND = 1.5;
+
+const uniqueSd = TEP_VARIABLES.map(({ id }) => {
+  const explained = MODES.reduce((acc, m) => acc + (m.loadings[id] || 0) ** 2, 0);
+  return Math.sqrt(Math.max(0.1, 1 - explained));
+});
+
+// Step-by-step generator of TEP-like samples around the nominal operating
+// point. One step is one sample; fault dynamics are expressed in samples.
+export const createTEPSimulator = ({ seed } = {}) => {
+  const gaussian = createGaussian(createRandom(seed));
+  const modes = MODES.map(() => gaussian());
+  const deviation = new Array(COUNT).fill(0);
+  let fault = null;
+  let faultSignal = 0;
+  let faultSteps = 0;
+  let stuck = 0;
+
+  const setFault = (idv) => {
+    fault = idv ? getFault(idv) : null;
+    faultSignal = 0;
+    faultSteps = 0;
+    stuck = 0;
+  };
+
+  // Deviation each variable should head towards this step (sd units)
+  const faultTargets = (z) => {
+    const targets = new Array(COUNT).fill(0);
+    if (!fault) return targets;
+
+    let scale = 1;
+    if (fault.type === 'random') {
+      const phi = 1 - 1 / fault.tau;
+      faultSignal = phi * faultSignal + Math.sqrt(1 - phi * phi) * gaussian();
+      scale = faultSignal;
+    } else if (fault.type === 'drift' || fault.type === 'fixed') {
+      scale = Math.min(3, faultSteps / fault.tau);
+    } else if (fault.type === 'sticking') {
+      // The valve only moves once the controller demand leaves the stick band
+      const demand = z[fault.valve - 1] * 2;
+      if (Math.abs(demand - stuck) > STICK_BAND) stuck = demand;
+      scale = (demand - stuck) / STICK_BAND;
+    }
+
+    Object.entries(fault.effects).forEach(([id, size]) => {
+      targets[id - 1] = size * scale;
+    });
+    return targets;
+  };
+
+  const step = (timestamp = Date.now()) => {
+    MODES.forEach((mode, m) => {
+      modes[m] = mode.phi * modes[m] + Math.sqrt(1 - mode.phi * mode.phi) * gaussian();
+    });
+
+    const z = TEP_VARIABLES.map(({ id }, i) =>
+      MODES.reduce((acc, mode, m) => acc + (mode.loadings[id] || 0) * modes[m], 0) + uniqueSd[i] * gaussian()
+    );
+
+    const targets = faultTargets(z);
+    const tau = !fault ? RECOVERY_TAU : fault.type === 'step' ? fault.tau : 1;
+    targets.forEach((target, i) => {
+      deviation[i] += (target - deviation[i]) / tau;
+    });
+    if (fault) faultSteps += 1;
+
+    const values = TEP_VARIABLES.map(({ nominal, sd }, i) => {
+      let score = z[i] + deviation[i];
+      if (fault && fault.valve === i + 1) {
+        score = fault.type === 'fixed' ? 0 : stuck;
+      }
+      const value = Math.max(0, nominal + sd * score);
+      return i + 1 >= xmvId(1) ? Math.min(100, value) : value;
+    });
+
+    return { timestamp, values, fault: fault ? fault.idv : 0 };
+  };
+
+  return {
+    step,
+    setFault,
+    getFault: () => (fault ? fault.idv : 0)
+  };
+};
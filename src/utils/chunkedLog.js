@@ -0,0 +1,31 @@
+// Append-only log kept as fixed-size chunks, oldest first. Appending copies
+// only the open last chunk and trimming to the cap only the first one, so a
+// frame's rows cost the same with a hundred rows logged as with 200k. Full
+// chunks are shared between versions, which lets readers cache work per chunk.
+const CHUNK_SIZE = 1024;
+
+export const EMPTY_LOG = { chunks: [], size: 0 };
+
+// `log` with `entries` (oldest first) appended, keeping the newest `cap` rows
+export const appendLog = (log, entries, cap) => {
+  if (entries.length === 0) return log;
+  const chunks = [...log.chunks];
+  const last = chunks[chunks.length - 1];
+  let open = last && last.length < CHUNK_SIZE ? [...chunks.pop()] : [];
+  entries.forEach(entry => {
+    open.push(entry);
+    if (open.length === CHUNK_SIZE) {
+      chunks.push(open);
+      open = [];
+    }
+  });
+  if (open.length > 0) chunks.push(open);
+
+  let size = log.size + entries.length;
+  while (size - chunks[0].length >= cap) size -= chunks.shift().length;
+  if (size > cap) {
+    chunks[0] = chunks[0].slice(size - cap);
+    size = cap;
+  }
+  return { chunks, size };
+};
@@ -0,0 +1,5 @@
+// Colour of the idx-th trace: the configured palette first, then hues spread
+// by the golden angle so any number of overlays stay distinguishable
+export const traceColor = (palette, idx) => (idx < palette.length
+  ? palette[idx]
+  : `hsl(${Math.round(200 + (idx - palette.length) * 137.508) % 360}, 70%, 60%)`);
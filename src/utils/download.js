@@ -0,0 +1,12 @@
+// Save a Blob (or text) through a temporary object URL
+export const downloadBlob = (content, filename, type = 'application/octet-stream') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,26 @@
+// h:mm:ss (or mm:ss under an hour) for a duration in ms
+export const formatDuration = (ms) => {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${m}:${s}` : `${m}:${s}`;
+};
+
+// Sample timestamps are epoch ms for live sources and ms since the start of
+// the run for replayed datasets (timeBase 'elapsed').
+export const formatSampleTime = (timestamp, timeBase = 'wall') => {
+  if (timeBase === 'elapsed') {
+    const total = Math.max(0, Math.floor(timestamp / 1000));
+    const h = String(Math.floor(total / 3600)).padStart(2, '0');
+    const m = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+    const s = String(total % 60).padStart(2, '0');
+    return `${h}:${m}:${s}`;
+  }
+  return new Date(timestamp).toLocaleTimeString();
+};
+
+// Settings/limit patch as "key=value, ..." for the audit trail
+export const formatPatch = (patch) => Object.entries(patch)
+  .map(([key, value]) => `${key}=${value !== null && typeof value === 'object' ? JSON.stringify(value) : value}`)
+  .join(', ');
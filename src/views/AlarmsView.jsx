@@ -0,0 +1,340 @@
+import React, { useState } from 'react';
+import { Bell, BellOff, CheckCheck, Check, History, SlidersHorizontal, RotateCcw } from 'lucide-react';
+import { LIMIT_TYPES, PRIORITIES, unacknowledgedActive } from '../alarms/alarmEngine.js';
+import { useSettings } from '../settings/SettingsContext.jsx';
+import { useAuth } from '../auth/AuthContext.jsx';
+import CommitInput from '../components/CommitInput.jsx';
+import PermissionNotice from '../components/PermissionNotice.jsx';
+import { formatSampleTime, formatPatch } from '../utils/format.js';
+
+export const PRIORITY_STYLES = {
+  high: 'bg-red-500/10 text-red-400 border border-red-500/20',
+  medium: 'bg-amber-500/10 text-amber-400 border border-amber-500/20',
+  low: 'bg-blue-500/10 text-blue-400 border border-blue-500/20'
+};
+
+const SHELVE_OPTIONS = [
+  { label: '15m', duration: 15 * 60 * 1000 },
+  { label: '1h', duration: 60 * 60 * 1000 },
+  { label: '8h', duration: 8 * 60 * 60 * 1000 }
+];
+
+const EVENT_STYLES = {
+  ACTIVE: 'text-red-400',
+  CLEAR: 'text-emerald-400',
+  ACK: 'text-blue-400',
+  SHELVE: 'text-slate-400',
+  UNSHELVE: 'text-slate-400',
+  REMOVED: 'text-slate-500'
+};
+
+const thClass = 'text-left text-sm font-medium text-slate-400 pb-3 px-4';
+const tdClass = 'py-3 px-4 text-sm text-slate-300 font-mono';
+const smallButton = 'px-2 py-1 rounded text-xs border border-slate-600 bg-slate-700 hover:border-slate-500 text-slate-300 disabled:opacity-40 transition-all';
+const inputClass = 'w-24 bg-slate-700 border border-slate-600 rounded px-2 py-1 text-sm text-white font-mono focus:outline-none focus:border-blue-500';
+
+// Entered limit: null for a blank field, undefined (input ignored) for
+// anything that is not a finite number
+const parseLimit = (value) => {
+  if (value.trim() === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+const alarmState = (alarm) => {
+  if (alarm.shelvedUntil) return 'SHELVED';
+  if (alarm.active) return alarm.acked ? 'ACKED' : 'UNACK';
+  return 'RTN UNACK';
+};
+
+const PriorityBadge = ({ priority }) => (
+  <span className={`inline-flex px-2 py-1 rounded text-xs font-medium uppercase ${PRIORITY_STYLES[priority]}`}>
+    {priority}
+  </span>
+);
+
+const Summary = ({ alarms, canAcknowledge, canShelve, onAcknowledge, onAcknowledgeAll, onShelve, onUnshelve }) => {
+  const { sensorLabel } = useSettings();
+  const unack = unacknowledgedActive(alarms);
+  return (
+    <>
+      <div className="grid grid-cols-4 gap-6 mb-6">
+        {PRIORITIES.map(priority => (
+          <div key={priority} className="bg-slate-700/50 border border-slate-600 rounded-lg p-4">
+            <p className="text-slate-400 text-sm mb-1 capitalize">{priority} (unack / active)</p>
+            <p className="text-2xl font-semibold text-white font-mono">
+              {unack.filter(a => a.priority === priority).length} / {alarms.filter(a => a.active && a.priority === priority).length}
+            </p>
+          </div>
+        ))}
+        <div className="bg-slate-700/50 border border-slate-600 rounded-lg p-4">
+          <p className="text-slate-400 text-sm mb-1">Shelved</p>
+          <p className="text-2xl font-semibold text-white font-mono">{alarms.filter(a => a.shelvedUntil).length}</p>
+        </div>
+      </div>
+
+      <div className="flex justify-end mb-4">
+        <button
+          onClick={onAcknowledgeAll}
+          disabled={unack.length === 0 || !canAcknowledge}
+          className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-500 hover:bg-blue-400 text-white text-sm font-medium disabled:opacity-50 transition-all"
+        >
+          <CheckCheck className="w-4 h-4" />
+          Acknowledge all
+        </button>
+      </div>
+
+      <table className="w-full">
+        <thead>
+          <tr className="border-b border-slate-700">
+            <th className={thClass}>Priority</th>
+            <th className={thClass}>Sensor</th>
+            <th className={thClass}>Type</th>
+            <th className={thClass}>Value</th>
+            <th className={thClass}>Limit</th>
+            <th className={thClass}>Activated</th>
+            <th className={thClass}>State</th>
+            <th className={thClass}>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {alarms.map(alarm => (
+            <tr key={alarm.key} className="border-b border-slate-700/50 hover:bg-slate-700/30 transition-colors">
+              <td className="py-3 px-4"><PriorityBadge priority={alarm.priority} /></td>
+              <td className={`${tdClass} text-white`}>{sensorLabel(alarm.sensorId)}</td>
+              <td className={tdClass}>{alarm.type}</td>
+              <td className={tdClass}>{alarm.value.toFixed(3)}</td>
+              <td className={tdClass}>{alarm.limit}</td>
+              <td className={tdClass}>{formatSampleTime(alarm.activatedAt)}</td>
+              <td className={`${tdClass} ${alarmState(alarm) === 'UNACK' ? 'text-red-400 animate-pulse' : ''}`}>{alarmState(alarm)}</td>
+              <td className="py-3 px-4">
+                <div className="flex items-center gap-1">
+                  {!alarm.acked && (
+                    <button className={smallButton} onClick={() => onAcknowledge(alarm.key)} disabled={!canAcknowledge} title="Acknowledge">
+                      <Check className="w-3 h-3" />
+                    </button>
+                  )}
+                  {alarm.shelvedUntil ? (
+                    <button className={smallButton} onClick={() => onUnshelve(alarm.key)} disabled={!canShelve}>
+                      Unshelve ({new Date(alarm.shelvedUntil).toLocaleTimeString()})
+                    </button>
+                  ) : (
+                    SHELVE_OPTIONS.map(option => (
+                      <button
+                        key={option.label}
+                        className={smallButton}
+                        onClick={() => onShelve(alarm.key, option.duration)}
+                        disabled={!canShelve}
+                        title={`Shelve for ${option.label}`}
+                      >
+                        <span className="flex items-center gap-1"><BellOff className="w-3 h-3" />{option.label}</span>
+                      </button>
+                    ))
+                  )}
+                </div>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {alarms.length === 0 && <p className="text-sm text-slate-500 italic mt-4">활성 알람이 없습니다</p>}
+    </>
+  );
+};
+
+const HistoryTable = ({ history }) => {
+  const { sensorLabel } = useSettings();
+  return (
+    <>
+      <table className="w-full">
+        <thead>
+          <tr className="border-b border-slate-700">
+            <th className={thClass}>Time</th>
+            <th className={thClass}>Event</th>
+            <th className={thClass}>Sensor</th>
+            <th className={thClass}>Type</th>
+            <th className={thClass}>Priority</th>
+            <th className={thClass}>Value</th>
+            <th className={thClass}>User</th>
+          </tr>
+        </thead>
+        <tbody>
+          {history.slice(0, 300).map((entry, idx) => (
+            <tr key={`${entry.time}-${entry.key}-${idx}`} className="border-b border-slate-700/50 hover:bg-slate-700/30 transition-colors">
+              <td className={tdClass}>{formatSampleTime(entry.time)}</td>
+              <td className={`${tdClass} ${EVENT_STYLES[entry.event]}`}>{entry.event}</td>
+              <td className={`${tdClass} text-white`}>{sensorLabel(entry.sensorId)}</td>
+              <td className={tdClass}>{entry.type}</td>
+              <td className="py-3 px-4"><PriorityBadge priority={entry.priority} /></td>
+              <td className={tdClass}>{entry.value.toFixed(3)}</td>
+              <td className={tdClass}>{entry.user || ''}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {history.length === 0 && <p className="text-sm text-slate-500 italic mt-4">알람 이력이 없습니다</p>}
+    </>
+  );
+};
+
+const LimitsTable = ({ limits, canEdit, onUpdate, onReset }) => {
+  const { sensorLabel } = useSettings();
+  return (
+    <fieldset disabled={!canEdit}>
+      {!canEdit && <div className="mb-4"><PermissionNotice permission="limits.edit" /></div>}
+      <div className="flex items-center justify-between mb-4">
+        <p className="text-sm text-slate-400">빈 칸은 해당 한계를 사용하지 않습니다. On-delay는 연속 샘플 수입니다.</p>
+        <button onClick={onReset} className="flex items-center gap-2 px-3 py-2 rounded-lg bg-slate-700 border border-slate-600 hover:border-slate-500 text-slate-300 text-sm">
+          <RotateCcw className="w-4 h-4" />
+          기본값으로
+        </button>
+      </div>
+      <table className="w-full">
+        <thead>
+          <tr className="border-b border-slate-700">
+            <th className={thClass}>Sensor</th>
+            <th className={thClass}>On</th>
+            {LIMIT_TYPES.map(type => <th key={type} className={thClass}>{type}</th>)}
+            <th className={thClass}>Deadband</th>
+            <th className={thClass}>On-delay</th>
+            <th className={thClass}>Priority (LOLO / LO / HI / HIHI)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(limits).map(([id, cfg]) => (
+            <tr key={id} className="border-b border-slate-700/50">
+              <td className={`${tdClass} text-white`}>{sensorLabel(id)}</td>
+              <td className="py-2 px-4">
+                <input type="checkbox" checked={cfg.enabled} onChange={e => onUpdate(id, { enabled: e.target.checked })} />
+              </td>
+              {LIMIT_TYPES.map(type => (
+                <td key={type} className="py-2 px-4">
+                  <CommitInput
+                    className={inputClass}
+                    value={cfg[type]}
+                    onCommit={value => {
+                      const limit = parseLimit(value);
+                      if (limit !== undefined) onUpdate(id, { [type]: limit });
+                    }}
+                  />
+                </td>
+              ))}
+              <td className="py-2 px-4">
+                <CommitInput
+                  className={inputClass}
+                  value={cfg.deadband}
+                  onCommit={value => {
+                    const deadband = Number(value);
+                    if (Number.isFinite(deadband)) onUpdate(id, { deadband: Math.max(0, deadband) });
+                  }}
+                />
+              </td>
+              <td className="py-2 px-4">
+                <CommitInput
+                  className={inputClass}
+                  value={cfg.onDelay}
+                  onCommit={value => onUpdate(id, { onDelay: Math.max(1, Math.round(Number(value) || 1)) })}
+                />
+              </td>
+              <td className="py-2 px-4">
+                <div className="flex gap-1">
+                  {LIMIT_TYPES.map(type => (
+                    <select
+                      key={type}
+                      className="bg-slate-700 border border-slate-600 rounded px-1 py-1 text-xs text-white"
+                      value={cfg.priorities[type]}
+                      onChange={e => onUpdate(id, { priorities: { ...cfg.priorities, [type]: e.target.value } })}
+                    >
+                      {PRIORITIES.map(priority => <option key={priority} value={priority}>{priority}</option>)}
+                    </select>
+                  ))}
+                </div>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </fieldset>
+  );
+};
+
+const TABS = [
+  { id: 'summary', icon: Bell, label: '알람 요약' },
+  { id: 'history', icon: History, label: '이력' },
+  { id: 'limits', icon: SlidersHorizontal, label: '한계 설정' }
+];
+
+// Alarm summary, history and limit configuration
+const AlarmsView = ({ alarmState: state }) => {
+  const { sensorLabel } = useSettings();
+  const { user, can, audit } = useAuth();
+  const [tab, setTab] = useState('summary');
+  const username = user ? user.username : null;
+
+  // Operator actions are attributed in the alarm history and the audit trail
+  const describe = (key) => {
+    const alarm = state.alarms.find(a => a.key === key);
+    return alarm ? `${sensorLabel(alarm.sensorId)} ${alarm.type}` : key;
+  };
+  const acknowledge = (key) => {
+    audit('alarm.acknowledge', describe(key));
+    state.acknowledge(key, username);
+  };
+  const acknowledgeAll = () => {
+    audit('alarm.acknowledge_all', `${unacknowledgedActive(state.alarms).length} alarms`);
+    state.acknowledgeAll(username);
+  };
+  const shelve = (key, duration) => {
+    audit('alarm.shelve', `${describe(key)} for ${duration / 60000} min`);
+    state.shelve(key, duration, username);
+  };
+  const unshelve = (key) => {
+    audit('alarm.unshelve', describe(key));
+    state.unshelve(key, username);
+  };
+  const updateLimits = (sensorId, patch) => {
+    audit('limits.update', `${sensorLabel(sensorId)}: ${formatPatch(patch)}`);
+    state.updateLimits(sensorId, patch);
+  };
+  const resetLimits = () => {
+    audit('limits.reset', 'all sensors');
+    state.resetLimits();
+  };
+
+  return (
+    <div className="bg-slate-800 border border-slate-700 rounded-lg p-6">
+      <div className="flex gap-2 mb-6">
+        {TABS.map(item => (
+          <button
+            key={item.id}
+            onClick={() => setTab(item.id)}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-all text-sm ${
+              tab === item.id ? 'bg-slate-700 text-white' : 'text-slate-400 hover:bg-slate-700/50 hover:text-white'
+            }`}
+          >
+            <item.icon className="w-4 h-4" />
+            {item.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto">
+        {tab === 'summary' && (
+          <Summary
+            alarms={state.alarms}
+            canAcknowledge={can('alarms.acknowledge')}
+            canShelve={can('alarms.shelve')}
+            onAcknowledge={acknowledge}
+            onAcknowledgeAll={acknowledgeAll}
+            onShelve={shelve}
+            onUnshelve={unshelve}
+          />
+        )}
+        {tab === 'history' && <HistoryTable history={state.history} />}
+        {tab === 'limits' && <LimitsTable limits={state.limits} canEdit={can('limits.edit')} onUpdate={updateLimits} onReset={resetLimits} />}
+      </div>
+    </div>
+  );
+};
+
+export default AlarmsView;
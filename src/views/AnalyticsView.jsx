@@ -0,0 +1,354 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  ComposedChart, Area, Line, Bar, ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer
+} from 'recharts';
+import { RefreshCw, Search } from 'lucide-react';
+import { TEP_VARIABLES } from '../catalog/tepVariables.js';
+import { aggregateBuckets, histogram, correlationMatrix, thin } from '../analytics/statistics.js';
+import { useSettings } from '../settings/SettingsContext.jsx';
+import CorrelationHeatmap from '../components/CorrelationHeatmap.jsx';
+import ExportButtons from '../components/ExportButtons.jsx';
+import { exportHistory } from '../export/dataExport.js';
+import { exportIncidentReport } from '../export/incidentReport.js';
+
+const RANGE_PRESETS = [
+  { label: '15m', duration: 15 * 60 * 1000 },
+  { label: '1h', duration: 60 * 60 * 1000 },
+  { label: '8h', duration: 8 * 60 * 60 * 1000 },
+  { label: '24h', duration: 24 * 60 * 60 * 1000 },
+  { label: '전체', duration: null }
+];
+
+const BUCKET_OPTIONS = [50, 100, 200];
+const SCATTER_LIMIT = 2000;
+
+const inputClass = 'bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-sm text-white font-mono focus:outline-none focus:border-blue-500';
+const axisProps = { stroke: '#64748b', tick: { fontSize: 11, fill: '#64748b' }, axisLine: { stroke: '#334155' } };
+const tooltipProps = {
+  contentStyle: { backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' },
+  itemStyle: { color: '#fff' },
+  labelStyle: { color: '#94a3b8' }
+};
+
+// <input type="datetime-local"> works in local time without a zone suffix
+const toLocalInput = (timestamp) => {
+  const d = new Date(timestamp - new Date(timestamp).getTimezoneOffset() * 60000);
+  return d.toISOString().slice(0, 16);
+};
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString();
+const formatValue = (v) => (Math.abs(v) >= 1000 ? v.toFixed(0) : v.toPrecision(4));
+
+const Card = ({ title, description, children, className = '' }) => (
+  <div className={`bg-slate-800 border border-slate-700 rounded-lg p-6 ${className}`}>
+    <h3 className="text-lg font-semibold text-white mb-1">{title}</h3>
+    {description && <p className="text-sm text-slate-400 mb-4">{description}</p>}
+    {children}
+  </div>
+);
+
+// Offline investigation of stored history: bucketed trends, distributions
+// against the normal-operation baseline and the correlation structure.
+const AnalyticsView = ({ history, referenceModel, alarmEvents }) => {
+  const { settings, sensorLabel, sensorUnit } = useSettings();
+  const [sensorIds, setSensorIds] = useState([1, 2, 3]);
+  const [filter, setFilter] = useState('');
+  const [range, setRange] = useState({ preset: '1h', from: null, to: null });
+  const [bucketCount, setBucketCount] = useState(100);
+  const [rows, setRows] = useState([]);
+  const [notes, setNotes] = useState([]);
+  const [stored, setStored] = useState({ from: null, to: null, count: 0 });
+  const [pair, setPair] = useState(null);
+  const [error, setError] = useState(null);
+  const [report, setReport] = useState({ at: null, minutes: 30 });
+
+  const load = async () => {
+    setError(null);
+    try {
+      const span = await history.getRange();
+      setStored(span);
+      if (span.count === 0) {
+        setRows([]);
+        setNotes([]);
+        return;
+      }
+      const preset = RANGE_PRESETS.find(p => p.label === range.preset);
+      const query = preset
+        ? { from: preset.duration === null ? span.from : span.to - preset.duration, to: span.to }
+        : { from: range.from ?? span.from, to: range.to ?? span.to };
+      setRows(await history.query(query));
+      setNotes(await history.queryNotes(query));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [history, range]);
+
+  // Baseline per sensor: the fitted PCA reference when there is one,
+  // otherwise the catalogue's base-case operating point
+  const baselineFor = (id) => (referenceModel
+    ? { mean: referenceModel.mean[id - 1], std: referenceModel.std[id - 1] }
+    : { mean: TEP_VARIABLES[id - 1].nominal, std: TEP_VARIABLES[id - 1].sd });
+
+  const trend = useMemo(() => aggregateBuckets(rows, sensorIds, bucketCount), [rows, sensorIds, bucketCount]);
+  const distributions = useMemo(
+    () => sensorIds.map(id => ({ id, bins: histogram(rows.map(row => row.values[id - 1]), { baseline: baselineFor(id) }) })),
+    [rows, sensorIds, referenceModel]
+  );
+  const correlation = useMemo(() => correlationMatrix(rows), [rows]);
+  // Fewer than two rows have no correlation matrix and nothing to pick from
+  useEffect(() => {
+    if (!correlation) setPair(null);
+  }, [correlation]);
+  const pairCorrelation = pair && correlation ? correlation[pair[0] - 1][pair[1] - 1] : null;
+  const scatter = useMemo(() => {
+    if (!pair) return [];
+    return thin(rows, SCATTER_LIMIT).map(row => ({ x: row.values[pair[0] - 1], y: row.values[pair[1] - 1] }));
+  }, [rows, pair]);
+
+  const generateReport = (format) => {
+    const at = report.at ?? Date.now();
+    const half = report.minutes * 60 * 1000;
+    return exportIncidentReport(
+      { history, alarmEvents, model: referenceModel, from: at - half, to: at + half },
+      { sensorLabel, sensorUnit },
+      format
+    );
+  };
+
+  const selectPair = useCallback((a, b) => setPair([a, b]), []);
+
+  const toggleSensor = (id) => {
+    setSensorIds(sensorIds.includes(id) ? sensorIds.filter(s => s !== id) : [...sensorIds, id].sort((a, b) => a - b));
+  };
+
+  const color = (idx) => settings.sensorColors[idx % settings.sensorColors.length];
+  const needle = filter.trim().toLowerCase();
+  const candidates = TEP_VARIABLES.filter(v => !needle
+    || sensorLabel(v.id).toLowerCase().includes(needle)
+    || v.tag.toLowerCase().includes(needle)
+    || String(v.id) === needle);
+
+  return (
+    <div className="space-y-6">
+      {/* 조회 조건 */}
+      <Card title="조회 조건" description={stored.count > 0
+        ? `저장된 이력 ${stored.count.toLocaleString()}행 · ${new Date(stored.from).toLocaleString()} ~ ${new Date(stored.to).toLocaleString()}`
+        : '저장된 이력이 없습니다. Live 데이터를 수신하면 기록됩니다 (재생 데이터는 제외).'}
+      >
+        <div className="flex flex-wrap items-end gap-4 mb-4">
+          <div className="flex flex-col gap-1">
+            <span className="text-xs text-slate-500">기간</span>
+            <div className="flex gap-1">
+              {RANGE_PRESETS.map(preset => (
+                <button
+                  key={preset.label}
+                  onClick={() => setRange({ preset: preset.label, from: null, to: null })}
+                  className={`px-3 py-2 rounded-lg text-sm transition-all ${
+                    range.preset === preset.label ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                  }`}
+                >
+                  {preset.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-slate-500">시작</span>
+            <input
+              type="datetime-local"
+              className={inputClass}
+              value={range.from !== null ? toLocalInput(range.from) : ''}
+              onChange={e => setRange({ ...range, preset: null, from: e.target.value ? new Date(e.target.value).getTime() : null })}
+            />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-slate-500">종료</span>
+            <input
+              type="datetime-local"
+              className={inputClass}
+              value={range.to !== null ? toLocalInput(range.to) : ''}
+              onChange={e => setRange({ ...range, preset: null, to: e.target.value ? new Date(e.target.value).getTime() : null })}
+            />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-slate-500">버킷 수</span>
+            <select className={inputClass} value={bucketCount} onChange={e => setBucketCount(Number(e.target.value))}>
+              {BUCKET_OPTIONS.map(n => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </label>
+          <button
+            onClick={load}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg bg-slate-700 border border-slate-600 hover:border-slate-500 text-slate-300 text-sm transition-all"
+          >
+            <RefreshCw className="w-4 h-4" />
+            새로고침
+          </button>
+          {error && <span className="text-sm text-red-400">{error}</span>}
+          <span className="text-sm text-slate-400 ml-auto">{rows.length.toLocaleString()}행 선택됨</span>
+          <ExportButtons
+            formats={['csv', 'json']}
+            disabled={rows.length === 0 || sensorIds.length === 0}
+            onExport={format => exportHistory(rows, sensorIds, format, { sensorLabel, sensorUnit }, notes)}
+          />
+        </div>
+
+        <div className="flex items-center gap-2 mb-3">
+          <Search className="w-4 h-4 text-slate-500" />
+          <input
+            className={`${inputClass} w-64`}
+            placeholder="센서 검색 (이름, 태그, 번호)"
+            value={filter}
+            onChange={e => setFilter(e.target.value)}
+          />
+          {sensorIds.length > 0 && (
+            <button onClick={() => setSensorIds([])} className="text-xs text-slate-400 hover:text-white">선택 해제</button>
+          )}
+        </div>
+        <div className="flex flex-wrap gap-2 max-h-32 overflow-y-auto">
+          {candidates.map(v => (
+            <button
+              key={v.id}
+              onClick={() => toggleSensor(v.id)}
+              className={`px-2 py-1 rounded text-xs font-mono border transition-all ${
+                sensorIds.includes(v.id)
+                  ? 'bg-blue-500/10 border-blue-500/50 text-white'
+                  : 'bg-slate-700/50 border-slate-600 text-slate-400 hover:border-slate-500'
+              }`}
+            >
+              {sensorLabel(v.id)}
+            </button>
+          ))}
+        </div>
+      </Card>
+
+      {/* 사고 보고서 */}
+      <Card
+        title="사고 보고서 (Incident Report)"
+        description="선택한 시각 전후의 상태 타임라인, 알람 목록, 상위 센서와 추세 차트를 하나의 문서로 만듭니다. PDF는 인쇄 대화상자에서 'PDF로 저장'을 선택하세요."
+      >
+        <div className="flex flex-wrap items-end gap-4">
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-slate-500">기준 시각 (비우면 현재)</span>
+            <input
+              type="datetime-local"
+              className={inputClass}
+              value={report.at !== null ? toLocalInput(report.at) : ''}
+              onChange={e => setReport({ ...report, at: e.target.value ? new Date(e.target.value).getTime() : null })}
+            />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-slate-500">전후 (분)</span>
+            <input
+              type="number"
+              min="1"
+              className={`${inputClass} w-24`}
+              value={report.minutes}
+              onChange={e => setReport({ ...report, minutes: Math.max(1, Number(e.target.value) || 1) })}
+            />
+          </label>
+          <ExportButtons formats={['html', 'pdf']} disabled={stored.count === 0} onExport={generateReport} />
+        </div>
+      </Card>
+
+      {rows.length === 0 ? (
+        <p className="text-sm text-slate-500 italic">선택한 기간에 데이터가 없습니다</p>
+      ) : (
+        <>
+          {/* 집계 추세 */}
+          <Card title="집계 추세 (min / max / mean)" description="버킷별 최소-최대 범위(음영)와 평균(선)">
+            {sensorIds.length === 0 && <p className="text-sm text-slate-500 italic">센서를 선택해주세요</p>}
+            <div className="grid grid-cols-2 gap-6">
+              {sensorIds.map((id, idx) => (
+                <div key={id}>
+                  <p className="text-sm text-slate-300 font-mono mb-2">{sensorLabel(id)} {sensorUnit(id) && `(${sensorUnit(id)})`}</p>
+                  <ResponsiveContainer width="100%" height={200}>
+                    <ComposedChart data={trend}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                      <XAxis dataKey="timestamp" type="number" domain={['dataMin', 'dataMax']} tickFormatter={formatTime} {...axisProps} />
+                      <YAxis domain={['auto', 'auto']} tickFormatter={formatValue} {...axisProps} />
+                      <Tooltip
+                        {...tooltipProps}
+                        labelFormatter={formatTime}
+                        formatter={(value, key) => (Array.isArray(value)
+                          ? [`${formatValue(value[0])} ~ ${formatValue(value[1])}`, 'min ~ max']
+                          : [formatValue(value), key.startsWith('mean') ? 'mean' : key])}
+                      />
+                      <Area dataKey={`range_${id}`} stroke="none" fill={color(idx)} fillOpacity={0.2} isAnimationActive={false} />
+                      <Line dataKey={`mean_${id}`} stroke={color(idx)} strokeWidth={2} dot={false} isAnimationActive={false} />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+              ))}
+            </div>
+          </Card>
+
+          {/* 분포 */}
+          <Card
+            title="분포 (Histogram vs Baseline)"
+            description={`막대: 선택 기간 · 선: 정상 운전 기준 분포 (${referenceModel ? 'PCA 기준 모델' : '설계 운전점'})`}
+          >
+            <div className="grid grid-cols-2 gap-6">
+              {distributions.map(({ id, bins }, idx) => (
+                <div key={id}>
+                  <p className="text-sm text-slate-300 font-mono mb-2">{sensorLabel(id)}</p>
+                  <ResponsiveContainer width="100%" height={200}>
+                    <ComposedChart data={bins}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                      <XAxis dataKey="x" tickFormatter={formatValue} {...axisProps} />
+                      <YAxis {...axisProps} />
+                      <Tooltip
+                        {...tooltipProps}
+                        labelFormatter={(x) => `${formatValue(x)} ${sensorUnit(id)}`}
+                        formatter={(value, key) => [key === 'baseline' ? value.toFixed(1) : value, key === 'baseline' ? 'baseline' : 'count']}
+                      />
+                      <Bar dataKey="count" fill={color(idx)} fillOpacity={0.6} isAnimationActive={false} />
+                      <Line dataKey="baseline" stroke="#e2e8f0" strokeDasharray="4 2" dot={false} isAnimationActive={false} />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+              ))}
+            </div>
+          </Card>
+
+          {/* 상관관계 */}
+          <div className="grid grid-cols-2 gap-6">
+            <Card title="상관관계 히트맵 (52×52)" description="선택 기간 전체 변수의 Pearson 상관계수">
+              {correlation && (
+                <CorrelationHeatmap
+                  matrix={correlation}
+                  selected={pair}
+                  onSelect={selectPair}
+                  sensorLabel={sensorLabel}
+                />
+              )}
+            </Card>
+            <Card
+              title="산점도 (Pairwise Scatter)"
+              description={pair
+                ? `${sensorLabel(pair[0])} × ${sensorLabel(pair[1])} · r = ${pairCorrelation === null ? 'n/a' : pairCorrelation.toFixed(3)}`
+                : '히트맵에서 셀을 선택하세요'}
+            >
+              {pair && (
+                <ResponsiveContainer width="100%" height={480}>
+                  <ScatterChart>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                    <XAxis dataKey="x" type="number" name={sensorLabel(pair[0])} domain={['auto', 'auto']} tickFormatter={formatValue} {...axisProps} />
+                    <YAxis dataKey="y" type="number" name={sensorLabel(pair[1])} domain={['auto', 'auto']} tickFormatter={formatValue} {...axisProps} />
+                    <Tooltip {...tooltipProps} formatter={formatValue} />
+                    <Scatter data={scatter} fill={settings.sensorColors[0]} fillOpacity={0.5} isAnimationActive={false} />
+                  </ScatterChart>
+                </ResponsiveContainer>
+              )}
+            </Card>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AnalyticsView;
@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { Activity, LogIn, KeyRound, AlertCircle } from 'lucide-react';
+import { useAuth } from '../auth/AuthContext.jsx';
+
+const inputClass = 'w-full bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-blue-500';
+
+const Field = ({ label, children }) => (
+  <label className="flex flex-col gap-1">
+    <span className="text-xs text-slate-500">{label}</span>
+    {children}
+  </label>
+);
+
+const SignInForm = () => {
+  const { login, backend } = useAuth();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      await login(username.trim(), password);
+    } catch (err) {
+      setError(err.message);
+      setPassword('');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="space-y-4">
+      <Field label="사용자 ID">
+        <input className={inputClass} value={username} onChange={e => setUsername(e.target.value)} autoFocus autoComplete="username" />
+      </Field>
+      <Field label="비밀번호">
+        <input type="password" className={inputClass} value={password} onChange={e => setPassword(e.target.value)} autoComplete="current-password" />
+      </Field>
+      {error && (
+        <p className="flex items-center gap-2 text-sm text-red-400"><AlertCircle className="w-4 h-4" />{error}</p>
+      )}
+      <button
+        type="submit"
+        disabled={busy || !username.trim() || !password}
+        className="w-full flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-blue-500 hover:bg-blue-400 text-white text-sm font-medium disabled:opacity-50 transition-all"
+      >
+        <LogIn className="w-4 h-4" />
+        로그인
+      </button>
+      <p className="text-xs text-slate-500 text-center">
+        {backend.kind === 'http' ? '인증 서버 계정으로 로그인' : '이 브라우저에 저장된 로컬 계정'} · 최초 계정 admin / admin
+      </p>
+    </form>
+  );
+};
+
+const ChangePasswordForm = ({ forced, onDone }) => {
+  const { user, changePassword, logout } = useAuth();
+  const [current, setCurrent] = useState('');
+  const [next, setNext] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (next !== confirm) {
+      setError('새 비밀번호가 일치하지 않습니다');
+      return;
+    }
+    setBusy(true);
+    setError(null);
+    try {
+      await changePassword(current, next);
+      onDone();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="space-y-4">
+      <p className="text-sm text-slate-400">
+        {forced ? `${user.displayName}님, 계속하려면 새 비밀번호를 설정하세요.` : `${user.displayName} 비밀번호 변경`}
+      </p>
+      <Field label="현재 비밀번호">
+        <input type="password" className={inputClass} value={current} onChange={e => setCurrent(e.target.value)} autoFocus autoComplete="current-password" />
+      </Field>
+      <Field label="새 비밀번호 (6자 이상)">
+        <input type="password" className={inputClass} value={next} onChange={e => setNext(e.target.value)} autoComplete="new-password" />
+      </Field>
+      <Field label="새 비밀번호 확인">
+        <input type="password" className={inputClass} value={confirm} onChange={e => setConfirm(e.target.value)} autoComplete="new-password" />
+      </Field>
+      {error && (
+        <p className="flex items-center gap-2 text-sm text-red-400"><AlertCircle className="w-4 h-4" />{error}</p>
+      )}
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={forced ? logout : onDone}
+          className="flex-1 px-4 py-2 rounded-lg bg-slate-700 border border-slate-600 hover:border-slate-500 text-slate-300 text-sm transition-all"
+        >
+          {forced ? '로그아웃' : '취소'}
+        </button>
+        <button
+          type="submit"
+          disabled={busy || !current || !next}
+          className="flex-1 flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-blue-500 hover:bg-blue-400 text-white text-sm font-medium disabled:opacity-50 transition-all"
+        >
+          <KeyRound className="w-4 h-4" />
+          변경
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Full-screen sign-in over the dashboard, which keeps monitoring underneath
+// so a shift handover never interrupts data collection or alarming. Signed-in
+// users see the password form instead (forced after an admin reset).
+const LoginView = ({ onClose }) => {
+  const { user } = useAuth();
+  const forced = Boolean(user && user.mustChangePassword);
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-slate-900/95 backdrop-blur-sm flex items-center justify-center">
+      <div className="w-96 bg-slate-800 border border-slate-700 rounded-lg p-8">
+        <div className="flex items-center gap-3 mb-6">
+          <div className="w-10 h-10 bg-blue-500 rounded-lg flex items-center justify-center">
+            <Activity className="w-6 h-6 text-white" />
+          </div>
+          <div>
+            <h1 className="text-white font-semibold text-lg">TEP Monitor</h1>
+            <p className="text-slate-400 text-xs">{user ? '비밀번호 변경' : '로그인'}</p>
+          </div>
+        </div>
+        {user ? <ChangePasswordForm forced={forced} onDone={onClose} /> : <SignInForm />}
+      </div>
+    </div>
+  );
+};
+
+export default LoginView;
@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { Info, LineChart as LineChartIcon } from 'lucide-react';
+import { useSettings } from '../settings/SettingsContext.jsx';
+import ProcessSchematic from '../components/ProcessSchematic.jsx';
+
+const CLICK_MODES = [
+  { id: 'details', icon: Info, label: '상세 정보' },
+  { id: 'chart', icon: LineChartIcon, label: '차트에 추가' }
+];
+
+const LEGEND = [
+  { color: '#34d399', label: '정상' },
+  { color: '#fbbf24', label: '기여도 > 40%' },
+  { color: '#f87171', label: '기여도 > 70%' },
+  { color: '#ef4444', label: '미확인 알람', pulse: true },
+  { color: '#94a3b8', label: '확인된 알람' }
+];
+
+// Live flowsheet view. A click on an instrument runs the selected click mode;
+// shift-click runs the other one. `children` is rendered below the schematic
+// (the shared trend chart of the selected sensors).
+const ProcessFlowView = ({ sensors, alarms, selectedSensors, onOpenDetails, onToggleChart, children }) => {
+  const { sensorLabel, sensorUnit } = useSettings();
+  const [clickMode, setClickMode] = useState('details');
+
+  const handleSelect = (sensorId, event) => {
+    const details = clickMode === 'details' ? !event.shiftKey : event.shiftKey;
+    if (details) onOpenDetails(sensorId);
+    else onToggleChart(sensorId);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-slate-800 border border-slate-700 rounded-lg p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="text-lg font-semibold text-white">공정 흐름도 (Process Flow)</h3>
+            <p className="text-xs text-slate-500 mt-1">계기를 클릭하여 {clickMode === 'details' ? '상세 정보 열기' : '차트에 추가/제거'} · Shift+클릭은 반대 동작</p>
+          </div>
+          <div className="flex items-center gap-1 bg-slate-700/50 rounded-lg p-1">
+            {CLICK_MODES.map(mode => (
+              <button
+                key={mode.id}
+                onClick={() => setClickMode(mode.id)}
+                className={`flex items-center gap-1 px-3 py-1.5 rounded text-xs font-medium transition-all ${
+                  clickMode === mode.id ? 'bg-slate-600 text-white' : 'text-slate-400 hover:text-white'
+                }`}
+              >
+                <mode.icon className="w-3 h-3" />
+                {mode.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <ProcessSchematic
+          sensors={sensors}
+          alarms={alarms}
+          selectedSensors={selectedSensors}
+          sensorLabel={sensorLabel}
+          sensorUnit={sensorUnit}
+          onSelect={handleSelect}
+        />
+
+        <div className="flex items-center gap-4 mt-4 pt-4 border-t border-slate-700">
+          {LEGEND.map(item => (
+            <div key={item.label} className="flex items-center gap-2 text-xs text-slate-400">
+              <span className={`w-3 h-3 rounded border-2 ${item.pulse ? 'animate-pulse' : ''}`} style={{ borderColor: item.color }} />
+              {item.label}
+            </div>
+          ))}
+          <div className="flex items-center gap-2 text-xs text-slate-400">
+            <span className="w-3 h-3 rounded border border-dashed border-blue-400" />
+            차트 표시 중
+          </div>
+        </div>
+      </div>
+
+      {children}
+    </div>
+  );
+};
+
+export default ProcessFlowView;
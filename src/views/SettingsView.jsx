@@ -0,0 +1,436 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Download, Upload, RotateCcw, Plus, X, Trash2, Volume2, Send, BellRing } from 'lucide-react';
+import { useSettings } from '../settings/SettingsContext.jsx';
+import { SOURCE_KINDS } from '../datasources/index.js';
+import { getVariable } from '../catalog/tepVariables.js';
+import { PRIORITIES } from '../alarms/alarmEngine.js';
+import { browserNotificationSupport, requestBrowserPermission } from '../notifications/channels.js';
+import { useAuth } from '../auth/AuthContext.jsx';
+import CommitInput from '../components/CommitInput.jsx';
+import PermissionNotice from '../components/PermissionNotice.jsx';
+import { PRIORITY_STYLES } from './AlarmsView.jsx';
+import { downloadBlob } from '../utils/download.js';
+import { formatPatch } from '../utils/format.js';
+
+const CONFIG_APP = 'tep-monitor';
+
+const inputClass = 'bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-sm text-white font-mono focus:outline-none focus:border-blue-500';
+const cellInputClass = 'w-full bg-slate-700 border border-slate-600 rounded px-2 py-1 text-sm text-white font-mono focus:outline-none focus:border-blue-500';
+const thClass = 'text-left text-sm font-medium text-slate-400 pb-3 px-4';
+const buttonClass = 'flex items-center gap-2 px-4 py-2 rounded-lg bg-slate-700 border border-slate-600 hover:border-slate-500 text-slate-300 text-sm disabled:opacity-40 transition-all';
+
+const Section = ({ title, description, children }) => (
+  <div className="bg-slate-800 border border-slate-700 rounded-lg p-6">
+    <h3 className="text-lg font-semibold text-white mb-1">{title}</h3>
+    {description && <p className="text-sm text-slate-400 mb-4">{description}</p>}
+    {children}
+  </div>
+);
+
+const Field = ({ label, children }) => (
+  <label className="flex flex-col gap-1">
+    <span className="text-xs text-slate-500">{label}</span>
+    {children}
+  </label>
+);
+
+const PERMISSION_LABELS = { granted: '허용됨', denied: '차단됨 (브라우저 설정에서 변경)', default: '요청 전', unsupported: '지원하지 않는 브라우저' };
+
+// Editable dashboard configuration, persisted in localStorage and shareable
+// between control-room screens as one JSON file (settings + alarm limits).
+const SettingsView = ({ history, alarmLimits, onReplaceAlarmLimits, onResetAlarmLimits, notifications, onHistoryCleared }) => {
+  const { settings, updateSettings, updateSensor, replaceSettings, resetSettings, sensorLabel } = useSettings();
+  const { can, audit } = useAuth();
+  const canEdit = can('settings.edit');
+  const [message, setMessage] = useState(null);
+  const importInput = useRef(null);
+  const [stored, setStored] = useState(null);
+  const [permission, setPermission] = useState(browserNotificationSupport);
+  const [webhookTest, setWebhookTest] = useState(null);
+
+  const refreshStored = () => {
+    history.getRange().then(setStored).catch(err => setMessage({ type: 'error', text: err.message }));
+  };
+
+  useEffect(refreshStored, [history]);
+
+  const update = (patch) => {
+    audit('settings.update', formatPatch(patch));
+    updateSettings(patch);
+  };
+
+  const editSensor = (id, patch) => {
+    audit('settings.sensor', `${sensorLabel(id)}: ${formatPatch(patch)}`);
+    updateSensor(id, patch);
+  };
+
+  const clearHistory = async () => {
+    if (!window.confirm('저장된 이력과 운전 메모를 모두 삭제할까요?')) return;
+    try {
+      await history.clear();
+      audit('history.clear');
+      onHistoryCleared();
+      setMessage({ type: 'ok', text: '이력을 삭제했습니다' });
+    } catch (err) {
+      setMessage({ type: 'error', text: `이력 삭제 실패: ${err.message}` });
+    }
+    refreshStored();
+  };
+
+  const exportConfig = () => {
+    const config = { app: CONFIG_APP, exportedAt: new Date().toISOString(), settings, alarmLimits };
+    downloadBlob(JSON.stringify(config, null, 2), 'tep-monitor-config.json', 'application/json');
+  };
+
+  const importConfig = async (file) => {
+    try {
+      const config = JSON.parse(await file.text());
+      if (!config || config.app !== CONFIG_APP || !config.settings) {
+        throw new Error('not a TEP Monitor configuration file');
+      }
+      replaceSettings(config.settings);
+      if (config.alarmLimits) onReplaceAlarmLimits(config.alarmLimits);
+      audit('settings.import', file.name);
+      setMessage({ type: 'ok', text: `${file.name} 가져오기 완료` });
+    } catch (err) {
+      setMessage({ type: 'error', text: `${file.name}: ${err.message}` });
+    }
+  };
+
+  const notify = settings.notifications;
+  const updateNotifications = (patch) => update({ notifications: { ...notify, ...patch } });
+  const updateRule = (priority, patch) => updateNotifications({
+    priorities: { ...notify.priorities, [priority]: { ...notify.priorities[priority], ...patch } }
+  });
+
+  const testWebhook = async () => {
+    setWebhookTest(null);
+    try {
+      await notifications.testWebhook(notify.webhookUrl);
+      setWebhookTest({ type: 'ok', text: '전송 성공' });
+    } catch (err) {
+      setWebhookTest({ type: 'error', text: err.message });
+    }
+  };
+
+  const setColor = (idx, color) => {
+    update({ sensorColors: settings.sensorColors.map((c, i) => (i === idx ? color : c)) });
+  };
+
+  return (
+    <div className="space-y-6">
+      <Section title="구성 공유" description="설정과 알람 한계를 JSON 파일로 내보내 다른 화면에서 가져올 수 있습니다.">
+        <div className="flex flex-wrap items-center gap-3">
+          <button className={buttonClass} onClick={exportConfig}>
+            <Download className="w-4 h-4" />
+            JSON 내보내기
+          </button>
+          <button className={buttonClass} onClick={() => importInput.current.click()} disabled={!canEdit}>
+            <Upload className="w-4 h-4" />
+            JSON 가져오기
+          </button>
+          <button
+            className={buttonClass}
+            disabled={!canEdit}
+            onClick={() => {
+              audit('settings.reset', 'settings and alarm limits');
+              resetSettings();
+              onResetAlarmLimits();
+              setMessage({ type: 'ok', text: '기본값으로 초기화했습니다' });
+            }}
+          >
+            <RotateCcw className="w-4 h-4" />
+            기본값으로 초기화
+          </button>
+          <input
+            ref={importInput}
+            type="file"
+            accept=".json"
+            className="hidden"
+            onChange={e => {
+              if (e.target.files[0]) importConfig(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+          {message && (
+            <span className={`text-sm ${message.type === 'error' ? 'text-red-400' : 'text-emerald-400'}`}>{message.text}</span>
+          )}
+        </div>
+      </Section>
+
+      {!canEdit && <PermissionNotice permission="settings.edit" />}
+
+      <fieldset disabled={!canEdit} className="space-y-6">
+        <div className="grid grid-cols-2 gap-6">
+          <Section title="일반" description="업데이트 주기와 화면에 유지할 데이터 양">
+            <div className="grid grid-cols-2 gap-4">
+              <Field label="업데이트 주기 (ms, 시뮬레이터)">
+                <CommitInput type="number" className={inputClass} value={settings.updateInterval} onCommit={v => update({ updateInterval: v })} />
+              </Field>
+              <Field label="차트 윈도우 (포인트)">
+                <CommitInput type="number" className={inputClass} value={settings.chartWindow} onCommit={v => update({ chartWindow: v })} />
+              </Field>
+              <Field label="로그 최대 행 수">
+                <CommitInput type="number" className={inputClass} value={settings.logCap} onCommit={v => update({ logCap: v })} />
+              </Field>
+              <Field label="랭킹 표시 수">
+                <CommitInput type="number" className={inputClass} value={settings.rankingCount} onCommit={v => update({ rankingCount: v })} />
+              </Field>
+              <label className="col-span-2 flex items-center gap-2 text-sm text-slate-300">
+                <input type="checkbox" checked={settings.logAllSensors} onChange={e => update({ logAllSensors: e.target.checked })} />
+                모든 센서 기록 (해제 시 위험도 상위 5개만 로그에 기록)
+              </label>
+            </div>
+          </Section>
+
+          <Section title="데이터 소스" description="변경하면 실시간 연결을 다시 시작합니다 (재생 중에는 Live로 돌아갈 때 적용)">
+            <div className="grid grid-cols-3 gap-4">
+              <Field label="종류">
+                <select
+                  className={inputClass}
+                  value={settings.dataSource.kind}
+                  onChange={e => update({ dataSource: { ...settings.dataSource, kind: e.target.value } })}
+                >
+                  {SOURCE_KINDS.map(kind => <option key={kind} value={kind}>{kind}</option>)}
+                </select>
+              </Field>
+              <div className="col-span-2">
+                <Field label="URL (비우면 로컬 mock 서버)">
+                  <CommitInput
+                    className={inputClass}
+                    value={settings.dataSource.url}
+                    placeholder={settings.dataSource.kind === 'sse' ? 'http://localhost:8090/stream' : 'ws://localhost:8090/ws'}
+                    disabled={settings.dataSource.kind === 'simulator'}
+                    onCommit={v => update({ dataSource: { ...settings.dataSource, url: v.trim() } })}
+                  />
+                </Field>
+              </div>
+            </div>
+          </Section>
+        </div>
+
+        <Section title="알람 알림" description="미확인 알람을 브라우저 알림, 경보음(확인할 때까지 반복), 웹훅으로 알립니다. 에스컬레이션은 정해진 시간 동안 확인되지 않은 알람을 우선순위·야간 설정과 관계없이 브라우저와 웹훅으로 다시 알리고 High 경보음으로 울립니다.">
+          <div className="space-y-6">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-slate-700">
+                  <th className={thClass}>Priority</th>
+                  <th className={thClass}>브라우저 알림</th>
+                  <th className={thClass}>경보음</th>
+                  <th className={thClass}>웹훅</th>
+                  <th className={thClass}>에스컬레이션 (분, 0 = 안 함)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {PRIORITIES.map(priority => {
+                  const rule = notify.priorities[priority];
+                  return (
+                    <tr key={priority} className="border-b border-slate-700/50">
+                      <td className="py-2 px-4">
+                        <span className={`px-2 py-1 rounded text-xs font-medium ${PRIORITY_STYLES[priority]}`}>{priority}</span>
+                      </td>
+                      <td className="py-2 px-4">
+                        <input type="checkbox" checked={rule.browser} onChange={e => updateRule(priority, { browser: e.target.checked })} />
+                      </td>
+                      <td className="py-2 px-4">
+                        <div className="flex items-center gap-3">
+                          <input type="checkbox" checked={rule.sound} onChange={e => updateRule(priority, { sound: e.target.checked })} />
+                          <button type="button" className="text-slate-400 hover:text-white" title="경보음 듣기" onClick={() => notifications.testTone(priority)}>
+                            <Volume2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </td>
+                      <td className="py-2 px-4">
+                        <input type="checkbox" checked={rule.webhook} onChange={e => updateRule(priority, { webhook: e.target.checked })} />
+                      </td>
+                      <td className="py-2 px-4">
+                        <CommitInput type="number" className={`${cellInputClass} max-w-[120px]`} value={rule.escalateAfterMin} onCommit={v => updateRule(priority, { escalateAfterMin: v })} />
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+
+            <div className="grid grid-cols-3 gap-6">
+              <Field label="경보음 볼륨 (0 - 100)">
+                <CommitInput type="number" className={inputClass} value={notify.volume} onCommit={v => updateNotifications({ volume: v })} />
+              </Field>
+              <div className="col-span-2 flex items-end gap-3">
+                <div className="flex-1">
+                  <Field label="웹훅 URL (POST JSON, 비우면 사용 안 함)">
+                    <CommitInput
+                      className={inputClass}
+                      value={notify.webhookUrl}
+                      placeholder="http://localhost:8090/webhook"
+                      onCommit={v => updateNotifications({ webhookUrl: v.trim() })}
+                    />
+                  </Field>
+                </div>
+                <button type="button" className={buttonClass} onClick={testWebhook} disabled={!notify.webhookUrl}>
+                  <Send className="w-4 h-4" />
+                  테스트 전송
+                </button>
+              </div>
+            </div>
+            {webhookTest && (
+              <p className={`text-sm ${webhookTest.type === 'error' ? 'text-red-400' : 'text-emerald-400'}`}>{webhookTest.text}</p>
+            )}
+
+            <div className="flex flex-wrap items-center gap-3">
+              <span className="text-sm text-slate-400">브라우저 알림 권한: {PERMISSION_LABELS[permission]}</span>
+              {permission === 'default' && (
+                <button type="button" className={buttonClass} onClick={() => requestBrowserPermission().then(setPermission)}>
+                  권한 요청
+                </button>
+              )}
+              <button type="button" className={buttonClass} onClick={notifications.testBrowser} disabled={permission !== 'granted'}>
+                <BellRing className="w-4 h-4" />
+                테스트 알림
+              </button>
+            </div>
+
+            <div className="flex flex-wrap items-end gap-4">
+              <label className="flex items-center gap-2 text-sm text-slate-300 pb-2">
+                <input
+                  type="checkbox"
+                  checked={notify.quietHours.enabled}
+                  onChange={e => updateNotifications({ quietHours: { ...notify.quietHours, enabled: e.target.checked } })}
+                />
+                야간 무음 시간
+              </label>
+              <Field label="시작">
+                <CommitInput
+                  type="time"
+                  className={inputClass}
+                  value={notify.quietHours.start}
+                  onCommit={v => v && updateNotifications({ quietHours: { ...notify.quietHours, start: v } })}
+                />
+              </Field>
+              <Field label="종료">
+                <CommitInput
+                  type="time"
+                  className={inputClass}
+                  value={notify.quietHours.end}
+                  onCommit={v => v && updateNotifications({ quietHours: { ...notify.quietHours, end: v } })}
+                />
+              </Field>
+              <Field label="무음 중에도 알릴 우선순위">
+                <select
+                  className={inputClass}
+                  value={notify.quietHours.minPriority}
+                  onChange={e => updateNotifications({ quietHours: { ...notify.quietHours, minPriority: e.target.value } })}
+                >
+                  <option value="high">high</option>
+                  <option value="medium">medium 이상</option>
+                  <option value="low">전체</option>
+                </select>
+              </Field>
+            </div>
+          </div>
+        </Section>
+
+        <Section title="이력 저장 (Historian)" description="모든 Live 샘플을 브라우저(IndexedDB)에 저장합니다. 보관 기간이 지난 원본은 1분 단위 집계(평균/최소/최대)로 축소됩니다.">
+          <div className="flex flex-wrap items-end gap-4">
+            <Field label="원본 보관 (시간)">
+              <CommitInput
+                type="number"
+                className={inputClass}
+                value={settings.history.rawRetentionHours}
+                onCommit={v => update({ history: { ...settings.history, rawRetentionHours: v } })}
+              />
+            </Field>
+            <Field label="전체 보관 (일)">
+              <CommitInput
+                type="number"
+                className={inputClass}
+                value={settings.history.retentionDays}
+                onCommit={v => update({ history: { ...settings.history, retentionDays: v } })}
+              />
+            </Field>
+            <button className={buttonClass} onClick={clearHistory}>
+              <Trash2 className="w-4 h-4" />
+              이력 삭제
+            </button>
+            {stored && (
+              <span className="text-sm text-slate-400">
+                {stored.count > 0
+                  ? `${stored.count.toLocaleString()}행 · ${new Date(stored.from).toLocaleString()} ~ ${new Date(stored.to).toLocaleString()}`
+                  : '저장된 이력 없음'}
+              </span>
+            )}
+            {stored && stored.lastError && (
+              <span className="text-sm text-red-400">
+                {stored.lastError.operation === 'write' ? '저장' : '정리'} 실패 ({new Date(stored.lastError.time).toLocaleTimeString()}): {stored.lastError.message}
+              </span>
+            )}
+          </div>
+        </Section>
+
+        <Section title="차트 색상" description="메인 그래프 추세선에 순서대로 사용됩니다. 색상보다 센서가 많으면 나머지는 자동으로 색상이 정해집니다">
+          <div className="flex flex-wrap items-center gap-3">
+            {settings.sensorColors.map((color, idx) => (
+              <div key={idx} className="flex items-center gap-2 px-3 py-2 bg-slate-700 rounded-lg border border-slate-600">
+                <input type="color" value={color} onChange={e => setColor(idx, e.target.value)} className="w-8 h-8 bg-transparent cursor-pointer" />
+                <span className="text-sm text-slate-300 font-mono">{color}</span>
+                {settings.sensorColors.length > 1 && (
+                  <button
+                    onClick={() => update({ sensorColors: settings.sensorColors.filter((_, i) => i !== idx) })}
+                    className="text-slate-500 hover:text-slate-300"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            ))}
+            <button className={buttonClass} onClick={() => update({ sensorColors: [...settings.sensorColors, '#f59e0b'] })}>
+              <Plus className="w-4 h-4" />
+              색상 추가
+            </button>
+          </div>
+        </Section>
+
+        <Section title="센서" description="표시 이름, 단위, 차트 범위 (최소/최대를 비우면 자동)">
+          <div className="overflow-x-auto max-h-[600px] overflow-y-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-slate-700">
+                  <th className={thClass}>Column</th>
+                  <th className={thClass}>Variable</th>
+                  <th className={thClass}>Display name</th>
+                  <th className={thClass}>Unit</th>
+                  <th className={thClass}>Min</th>
+                  <th className={thClass}>Max</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(settings.sensors).map(([id, sensor]) => (
+                  <tr key={id} className="border-b border-slate-700/50">
+                    <td className="py-2 px-4 text-sm text-slate-400 font-mono">#{id}</td>
+                    <td className="py-2 px-4 text-sm text-slate-400">
+                      <span className="font-mono text-slate-300">{getVariable(Number(id)).tag}</span> {getVariable(Number(id)).description}
+                    </td>
+                    <td className="py-2 px-4">
+                      <CommitInput className={cellInputClass} value={sensor.name} onCommit={v => editSensor(id, { name: v })} />
+                    </td>
+                    <td className="py-2 px-4">
+                      <CommitInput className={cellInputClass} value={sensor.unit} onCommit={v => editSensor(id, { unit: v })} />
+                    </td>
+                    <td className="py-2 px-4">
+                      <CommitInput className={cellInputClass} value={sensor.min} onCommit={v => editSensor(id, { min: v })} />
+                    </td>
+                    <td className="py-2 px-4">
+                      <CommitInput className={cellInputClass} value={sensor.max} onCommit={v => editSensor(id, { max: v })} />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </Section>
+      </fieldset>
+    </div>
+  );
+};
+
+export default SettingsView;
@@ -0,0 +1,239 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { UserPlus, Trash2, KeyRound, RefreshCw, Download } from 'lucide-react';
+import { useAuth } from '../auth/AuthContext.jsx';
+import { ROLES, ROLE_LABELS } from '../auth/index.js';
+import { exportAuditTrail } from '../export/dataExport.js';
+
+const AUDIT_PAGE = 500;
+
+const inputClass = 'bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-blue-500';
+const cellSelectClass = 'bg-slate-700 border border-slate-600 rounded px-2 py-1 text-sm text-white focus:outline-none focus:border-blue-500';
+const thClass = 'text-left text-sm font-medium text-slate-400 pb-3 px-4';
+const tdClass = 'py-3 px-4 text-sm text-slate-300';
+const buttonClass = 'flex items-center gap-2 px-4 py-2 rounded-lg bg-slate-700 border border-slate-600 hover:border-slate-500 text-slate-300 text-sm disabled:opacity-40 transition-all';
+const smallButton = 'px-2 py-1 rounded text-xs border border-slate-600 bg-slate-700 hover:border-slate-500 text-slate-300 disabled:opacity-40 transition-all';
+
+const Section = ({ title, description, actions, children }) => (
+  <div className="bg-slate-800 border border-slate-700 rounded-lg p-6">
+    <div className="flex items-start justify-between mb-4">
+      <div>
+        <h3 className="text-lg font-semibold text-white mb-1">{title}</h3>
+        {description && <p className="text-sm text-slate-400">{description}</p>}
+      </div>
+      {actions}
+    </div>
+    {children}
+  </div>
+);
+
+const Field = ({ label, children }) => (
+  <label className="flex flex-col gap-1">
+    <span className="text-xs text-slate-500">{label}</span>
+    {children}
+  </label>
+);
+
+const formatTime = (time) => (time ? new Date(time).toLocaleString() : '—');
+
+const EMPTY_FORM = { username: '', displayName: '', role: 'operator', password: '' };
+
+// Admin-only: accounts, roles and the audit trail of who did what
+const UsersView = () => {
+  const { backend, token, user: me, refresh } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [entries, setEntries] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [filter, setFilter] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const load = () => {
+    Promise.all([backend.listUsers(token), backend.queryAudit(token, { limit: AUDIT_PAGE })])
+      .then(([list, audit]) => {
+        setUsers(list);
+        setEntries(audit);
+      })
+      .catch(err => setMessage({ type: 'error', text: err.message }));
+  };
+
+  useEffect(load, [backend, token]);
+
+  // Every change reloads the lists (the backend audits it) and re-reads the
+  // signed-in account in case it was the one edited
+  const run = async (action, okText) => {
+    try {
+      await action();
+      setMessage({ type: 'ok', text: okText });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    }
+    load();
+    refresh();
+  };
+
+  const createUser = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await backend.createUser(token, { ...form, username: form.username.trim() });
+      setForm(EMPTY_FORM);
+    }, `${form.username.trim()} 계정을 추가했습니다`);
+  };
+
+  const resetPassword = (username) => {
+    const password = window.prompt(`${username}의 임시 비밀번호 (다음 로그인 시 변경 필요)`);
+    if (!password) return;
+    run(() => backend.updateUser(token, username, { password }), `${username} 비밀번호를 초기화했습니다`);
+  };
+
+  const deleteUser = (username) => {
+    if (!window.confirm(`${username} 계정을 삭제할까요?`)) return;
+    run(() => backend.deleteUser(token, username), `${username} 계정을 삭제했습니다`);
+  };
+
+  const filtered = useMemo(() => {
+    const query = filter.trim().toLowerCase();
+    if (!query) return entries;
+    return entries.filter(e => `${e.username} ${e.action} ${e.detail}`.toLowerCase().includes(query));
+  }, [entries, filter]);
+
+  return (
+    <div className="space-y-6">
+      <Section title="사용자" description="역할: Operator (알람 확인·메모) < Engineer (한계·모델·설정·외란) < Admin (사용자 관리)">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b border-slate-700">
+                <th className={thClass}>ID</th>
+                <th className={thClass}>Name</th>
+                <th className={thClass}>Role</th>
+                <th className={thClass}>Status</th>
+                <th className={thClass}>Last login</th>
+                <th className={thClass}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map(u => (
+                <tr key={u.username} className="border-b border-slate-700/50">
+                  <td className={`${tdClass} font-mono`}>{u.username}</td>
+                  <td className={tdClass}>{u.displayName}</td>
+                  <td className={tdClass}>
+                    <select
+                      className={cellSelectClass}
+                      value={u.role}
+                      onChange={e => run(() => backend.updateUser(token, u.username, { role: e.target.value }), `${u.username} 역할을 변경했습니다`)}
+                    >
+                      {ROLES.map(role => <option key={role} value={role}>{ROLE_LABELS[role]}</option>)}
+                    </select>
+                  </td>
+                  <td className={tdClass}>
+                    {u.disabled
+                      ? <span className="text-slate-500">비활성</span>
+                      : u.mustChangePassword ? <span className="text-amber-400">비밀번호 변경 대기</span> : <span className="text-emerald-400">활성</span>}
+                  </td>
+                  <td className={`${tdClass} font-mono`}>{formatTime(u.lastLogin)}</td>
+                  <td className={tdClass}>
+                    <div className="flex items-center justify-end gap-2">
+                      <button
+                        className={smallButton}
+                        disabled={u.username === me.username}
+                        onClick={() => run(
+                          () => backend.updateUser(token, u.username, { disabled: !u.disabled }),
+                          `${u.username} 계정을 ${u.disabled ? '활성화' : '비활성화'}했습니다`
+                        )}
+                      >
+                        {u.disabled ? '활성화' : '비활성화'}
+                      </button>
+                      <button className={smallButton} onClick={() => resetPassword(u.username)} title="비밀번호 초기화">
+                        <KeyRound className="w-3 h-3" />
+                      </button>
+                      <button className={smallButton} disabled={u.username === me.username} onClick={() => deleteUser(u.username)} title="삭제">
+                        <Trash2 className="w-3 h-3" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <form onSubmit={createUser} className="flex flex-wrap items-end gap-4 mt-6 pt-6 border-t border-slate-700">
+          <Field label="ID">
+            <input className={inputClass} value={form.username} onChange={e => setForm({ ...form, username: e.target.value })} />
+          </Field>
+          <Field label="이름">
+            <input className={inputClass} value={form.displayName} onChange={e => setForm({ ...form, displayName: e.target.value })} />
+          </Field>
+          <Field label="역할">
+            <select className={inputClass} value={form.role} onChange={e => setForm({ ...form, role: e.target.value })}>
+              {ROLES.map(role => <option key={role} value={role}>{ROLE_LABELS[role]}</option>)}
+            </select>
+          </Field>
+          <Field label="임시 비밀번호">
+            <input type="password" className={inputClass} value={form.password} onChange={e => setForm({ ...form, password: e.target.value })} autoComplete="new-password" />
+          </Field>
+          <button type="submit" className={buttonClass} disabled={!form.username.trim() || !form.password}>
+            <UserPlus className="w-4 h-4" />
+            사용자 추가
+          </button>
+          {message && (
+            <span className={`text-sm ${message.type === 'error' ? 'text-red-400' : 'text-emerald-400'}`}>{message.text}</span>
+          )}
+        </form>
+      </Section>
+
+      <Section
+        title="감사 기록 (Audit Trail)"
+        description={`로그인, 알람 확인, 한계·설정 변경, 모델 학습, 외란 주입 등 · 최근 ${AUDIT_PAGE}건`}
+        actions={
+          <div className="flex items-center gap-2">
+            <input className={inputClass} placeholder="사용자 / 동작 / 내용 검색" value={filter} onChange={e => setFilter(e.target.value)} />
+            <button className={buttonClass} onClick={load} title="새로고침">
+              <RefreshCw className="w-4 h-4" />
+            </button>
+            <button className={buttonClass} onClick={() => exportAuditTrail(filtered, 'csv')} disabled={filtered.length === 0}>
+              <Download className="w-4 h-4" />
+              CSV
+            </button>
+            <button className={buttonClass} onClick={() => exportAuditTrail(filtered, 'json')} disabled={filtered.length === 0}>
+              <Download className="w-4 h-4" />
+              JSON
+            </button>
+          </div>
+        }
+      >
+        <div className="overflow-x-auto max-h-[600px] overflow-y-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b border-slate-700">
+                <th className={thClass}>Time</th>
+                <th className={thClass}>User</th>
+                <th className={thClass}>Action</th>
+                <th className={thClass}>Detail</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filtered.map(e => (
+                <tr key={e.id} className="border-b border-slate-700/50">
+                  <td className={`${tdClass} font-mono whitespace-nowrap`}>{formatTime(e.time)}</td>
+                  <td className={tdClass}>
+                    {e.username ?? '—'}
+                    {e.role && <span className="ml-2 text-xs text-slate-500">{ROLE_LABELS[e.role]}</span>}
+                  </td>
+                  <td className={`${tdClass} font-mono`}>{e.action}</td>
+                  <td className={tdClass}>{e.detail}</td>
+                </tr>
+              ))}
+              {filtered.length === 0 && (
+                <tr>
+                  <td colSpan={4} className="py-6 text-center text-sm text-slate-500">기록 없음</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </Section>
+    </div>
+  );
+};
+
+export default UsersView;